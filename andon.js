@@ -0,0 +1,187 @@
+// Andon board page (GET /andon): open urgents per machine, coloured by age, live from GET /urgent/stream.
+// Plain HTML + EventSource, no library, written for the kiosk browsers on the TV screens.
+
+// config in a <script>: no "</script>" inside strings
+const inlineJson = (v) => JSON.stringify(v).replace(/</g, '\\u003c');
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+// { title, machines, types, warn, alert, token, openStatuses, events }
+function andonPage(config) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(config.title)}</title>
+  <style>
+    html, body { margin: 0; background: #111; color: #eee; font: 18px/1.3 system-ui, sans-serif; }
+    header { display: flex; align-items: center; gap: 24px; padding: 10px 20px; background: #000; font-size: 22px; }
+    header h1 { margin: 0; font-size: 28px; flex: 1; }
+    #live { font-size: 16px; }
+    #live.on::before { content: "● "; color: #3c3; }
+    #live.off::before { content: "● "; color: #c33; }
+    #board { display: flex; flex-wrap: wrap; gap: 14px; padding: 16px; }
+    .machine { flex: 0 0 300px; border-radius: 8px; padding: 10px 14px; background: #264d26; }
+    .machine.warn { background: #8a6a00; }
+    .machine.alert { background: #9b1c1c; animation: blink 1.5s step-start infinite; }
+    @keyframes blink { 50% { background: #6b0f0f; } }
+    .machine h2 { margin: 0 0 6px; font-size: 34px; display: flex; justify-content: space-between; }
+    .machine h2 small { font-size: 18px; font-weight: normal; }
+    .urgent { display: flex; justify-content: space-between; gap: 8px; border-top: 1px solid rgba(255, 255, 255, .25); padding: 4px 0; }
+    .urgent .st { font-size: 13px; padding: 0 4px; border: 1px solid rgba(255, 255, 255, .6); border-radius: 3px; margin-left: 4px; }
+    .pb { font-size: 14px; opacity: .85; }
+    #empty { padding: 60px; text-align: center; font-size: 32px; color: #6c6; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(config.title)}</h1>
+    <span id="count"></span>
+    <span id="clock"></span>
+    <span id="live" class="off">connecting</span>
+  </header>
+  <div id="board"></div>
+  <div id="empty" hidden>No open urgent</div>
+  <script>
+  (function () {
+    var cfg = ${inlineJson(config)};
+    var urgents = {};        // id -> urgent, open ones only
+    var skew = 0;            // server clock - this screen's clock
+    var loading = false;
+    var queued = [];         // events received while the board reloads
+
+    function query(extra) {
+      var q = [];
+      if (cfg.machines.length) q.push('machines=' + encodeURIComponent(cfg.machines.join(',')));
+      for (var k in extra) q.push(k + '=' + encodeURIComponent(extra[k]));
+      return q.join('&');
+    }
+    function wanted(u) {
+      if (cfg.machines.length && cfg.machines.indexOf(String(u.machine || '').toUpperCase()) < 0) return false;
+      if (cfg.types.length && cfg.types.indexOf(String(u.type || '').toLowerCase()) < 0) return false;
+      return true;
+    }
+    function apply(u) {
+      if (!u || !u.id) return;
+      if (cfg.openStatuses.indexOf(String(u.status || '').toUpperCase()) >= 0 && wanted(u)) urgents[u.id] = u;
+      else delete urgents[u.id];
+    }
+    function minutes(u) {
+      return Math.max(0, (Date.now() + skew - new Date(u.declaredAt).getTime()) / 60000);
+    }
+    function age(m) {
+      return m < 60 ? Math.floor(m) + ' min' : Math.floor(m / 60) + ' h ' + ('0' + Math.floor(m % 60)).slice(-2);
+    }
+    function esc(v) {
+      return String(v == null ? '' : v).replace(/[&<>"']/g, function (c) {
+        return { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c];
+      });
+    }
+
+    function render() {
+      var byMachine = {};
+      var total = 0;
+      for (var id in urgents) {
+        var u = urgents[id];
+        var key = u.machine || '?';
+        (byMachine[key] = byMachine[key] || []).push(u);
+        total++;
+      }
+      var tiles = Object.keys(byMachine).map(function (m) {
+        var list = byMachine[m].sort(function (a, b) { return minutes(b) - minutes(a); });
+        return { machine: m, list: list, oldest: minutes(list[0]) };
+      }).sort(function (a, b) { return b.oldest - a.oldest; });
+
+      document.getElementById('board').innerHTML = tiles.map(function (t) {
+        var level = t.oldest >= cfg.alert ? 'alert' : t.oldest >= cfg.warn ? 'warn' : 'ok';
+        return '<div class="machine ' + level + '"><h2>' + esc(t.machine) + '<small>' + t.list.length + '</small></h2>' +
+          t.list.map(function (u) {
+            return '<div class="urgent"><span>' + esc(u.unico) +
+              (u.status !== 'NOK' ? '<span class="st">' + esc(u.status) + '</span>' : '') +
+              (u.planB && u.mcPb ? '<div class="pb">Plan B → ' + esc(u.mcPb) + '</div>' : '') +
+              '</span><span>' + age(minutes(u)) + '</span></div>';
+          }).join('') + '</div>';
+      }).join('');
+      document.getElementById('empty').hidden = total > 0;
+      document.getElementById('count').textContent = total ? total + ' open' : '';
+    }
+
+    function get(url) {
+      var headers = cfg.token ? { Authorization: 'Bearer ' + cfg.token } : {};
+      return fetch(url, { headers: headers }).then(function (r) {
+        if (!r.ok) throw new Error('HTTP ' + r.status);
+        return r.json();
+      });
+    }
+
+    // every open urgent, page after page; events that arrive meanwhile are applied after
+    function reload() {
+      if (loading) return;
+      loading = true;
+      var fresh = {};
+      function page(cursor) {
+        var extra = { status: 'open', total: 'false', limit: 1000 };
+        if (cursor) extra.cursor = cursor;
+        return get('urgent?' + query(extra)).then(function (data) {
+          data.results.forEach(function (u) { fresh[u.id] = u; });
+          if (data.nextCursor) return page(data.nextCursor);
+        });
+      }
+      page(null).then(function () {
+        urgents = {};
+        for (var id in fresh) apply(fresh[id]);
+      }).catch(function (e) {
+        console.error('andon reload failed', e);
+        setTimeout(reload, 10000);
+      }).then(function () {
+        loading = false;
+        queued.splice(0).forEach(apply);
+        render();
+      });
+    }
+
+    function connect() {
+      var extra = { events: cfg.events.join(',') };
+      if (cfg.types.length) extra.types = cfg.types.join(',');
+      if (cfg.token) extra.token = cfg.token;
+      var source = new EventSource('urgent/stream?' + query(extra));
+      var live = document.getElementById('live');
+      var first = true;
+
+      source.addEventListener('hello', function (e) {
+        var hello = JSON.parse(e.data);
+        skew = new Date(hello.at).getTime() - Date.now();
+        live.className = 'on';
+        live.textContent = 'live';
+        if (first) reload();   // later reconnects resume with Last-Event-ID
+        first = false;
+      });
+      source.addEventListener('resync', reload);
+      cfg.events.forEach(function (name) {
+        source.addEventListener(name, function (e) {
+          var u = JSON.parse(e.data);
+          if (loading) queued.push(u);
+          else { apply(u); render(); }
+        });
+      });
+      source.onerror = function () {
+        live.className = 'off';
+        live.textContent = 'reconnecting';
+      };
+    }
+
+    setInterval(function () {
+      var now = new Date(Date.now() + skew);
+      document.getElementById('clock').textContent = ('0' + now.getHours()).slice(-2) + ':' + ('0' + now.getMinutes()).slice(-2);
+    }, 1000);
+    setInterval(render, 30000);   // ages and colours move on without events
+    connect();
+  })();
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { andonPage };
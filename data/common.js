@@ -0,0 +1,19 @@
+// Domain constants shared by the API and both data backends
+
+/* ---- lifecycle ----
+ NOK ──acknowledge──> ACK ──start──> EN_COURS ──resolve──> OK
+  │                    │                │
+  └──────────── cancel (reason) ────────┴──> ANNULE
+ OK / ANNULE ──reopen──> NOK
+ (start and resolve may skip the earlier steps)
+*/
+const STATUS = { DECLARED: 'NOK', ACKNOWLEDGED: 'ACK', IN_PROGRESS: 'EN_COURS', RESOLVED: 'OK', CANCELLED: 'ANNULE' };
+const OPEN_STATUSES = [STATUS.DECLARED, STATUS.ACKNOWLEDGED, STATUS.IN_PROGRESS];
+
+// Machine codes come with NBSP / tabs / padding from the tablets
+const normMachine = (m) => String(m ?? '').replace(/[\u00A0\t]/g, ' ').trim().toUpperCase();
+
+// Sortable columns of GET /urgent
+const URGENT_SORT_KEYS = ['declaredAt', 'correctedAt', 'machine', 'status'];
+
+module.exports = { STATUS, OPEN_STATUSES, normMachine, URGENT_SORT_KEYS };
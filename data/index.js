@@ -0,0 +1,107 @@
+// Data layer: picks the backend behind the repositories the API talks to
+const fs = require('fs');
+const path = require('path');
+const common = require('./common');
+
+/* ===================== DB config ===================== */
+// server and credentials have no default: they come from the environment (or a site's db)
+const config = {
+  user: process.env.DB_USER,
+  password: process.env.DB_PASS,
+  server: process.env.DB_HOST,
+  database: process.env.DB_NAME || 'Précontrole',
+  options: { encrypt: false, trustServerCertificate: true },
+  pool: { max: 10, min: 1, idleTimeoutMillis: 30000 }
+};
+
+/*
+ DATA_BACKEND=mssql   SQL Server (default)
+ DATA_BACKEND=memory  in-process tables, seeded with demo data unless DATA_SEED=false
+ db: SQL Server config (default: the one above, see loadSites() for per-site ones);
+     mssql refuses to start without its server, user and password
+ onReady(repos): runs once before the first query is served (permission seeding)
+
+ Every store exposes the same repositories (permissions, audit, users, urgents,
+ wires, wireImports, idempotency, machines, webhooks,
+ webhookDeliveries, loginAttempts) returning M5_* shaped rows, plus
+   begin() -> the same repositories bound to a transaction, + commit() / rollback()
+ Backends are required lazily so the memory one runs without a SQL Server driver.
+*/
+// -> the variables to set for the SQL Server settings db lacks
+const DB_ENV = { server: 'DB_HOST', user: 'DB_USER', password: 'DB_PASS' };
+function missingDbSettings(db) {
+  return Object.keys(DB_ENV).filter(k => !String(db?.[k] ?? '').trim()).map(k => DB_ENV[k]);
+}
+
+function createStore({ backend = process.env.DATA_BACKEND || 'mssql', db = config, onReady } = {}) {
+  const name = String(backend).trim().toLowerCase();
+  if (name === 'mssql') {
+    const missing = missingDbSettings(db);
+    if (missing.length) throw new Error(`DATA_BACKEND=mssql needs ${missing.join(', ')} (or DATA_BACKEND=memory for the demo data)`);
+    return require('./mssql').createMssqlStore(db, { onReady });
+  }
+  if (name === 'memory') {
+    const seed = !['0', 'false', 'off', 'no'].includes(String(process.env.DATA_SEED ?? '').trim().toLowerCase());
+    return require('./memory').createMemoryStore({ seed, onReady });
+  }
+  throw new Error(`Unknown DATA_BACKEND "${backend}". Allowed: mssql, memory`);
+}
+
+/* ===================== Sites ===================== */
+/*
+ One API for several plants / lines, each with its own database:
+   SITES_FILE=./sites.json   or   SITES='[...]'  (the same JSON inline)
+   [
+     { "id": "m5", "name": "M5 line 1" },
+     { "id": "m5b", "name": "M5 line 2", "db": { "database": "Precontrole_L2" } },
+     { "id": "tanger", "name": "Tanger", "backend": "mssql",
+       "db": { "server": "10.80.1.12", "user": "api", "password": "..." } }
+   ]
+ db fields left out come from DB_HOST / DB_NAME / DB_USER / DB_PASS, backend from DATA_BACKEND;
+ an mssql site without a server, user or password stops the start.
+ Without either variable: one site "default", the database above.
+ -> [{ id, name, backend, db }]   (the first one is the default site)
+*/
+const SITE_ID = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+function readSites() {
+  if (process.env.SITES_FILE) {
+    const file = path.resolve(process.env.SITES_FILE);
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`SITES_FILE ${file}: ${e.message}`);
+    }
+  }
+  if (process.env.SITES) {
+    try {
+      return JSON.parse(process.env.SITES);
+    } catch (e) {
+      throw new Error(`SITES: ${e.message}`);
+    }
+  }
+  return [{ id: 'default', name: config.database }];
+}
+
+function loadSites() {
+  const list = readSites();
+  if (!Array.isArray(list) || !list.length) throw new Error('SITES: expected a non-empty array of sites');
+
+  const seen = new Set();
+  return list.map((site, i) => {
+    const id = String(site?.id ?? '').trim().toLowerCase();
+    if (!SITE_ID.test(id)) throw new Error(`SITES[${i}]: invalid id "${site?.id ?? ''}" (a-z, 0-9, - and _, up to 32)`);
+    if (seen.has(id)) throw new Error(`SITES[${i}]: duplicate id "${id}"`);
+    seen.add(id);
+
+    const backend = site.backend || process.env.DATA_BACKEND || 'mssql';
+    const db = { ...config, ...(site.db || {}), options: { ...config.options, ...(site.db?.options || {}) } };
+    const missing = String(backend).trim().toLowerCase() === 'mssql' ? missingDbSettings(db) : [];
+    if (missing.length)
+      throw new Error(`SITES[${i}] "${id}": mssql needs ${missing.join(', ')} (or db.server / db.user / db.password)`);
+
+    return { id, name: String(site.name || id).trim(), backend, db };
+  });
+}
+
+module.exports = { createStore, loadSites, ...common };
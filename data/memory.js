@@ -0,0 +1,725 @@
+// In-memory backend: the M5_* tables as arrays, for demos and local development
+const { EventEmitter } = require('events');
+const { STATUS, OPEN_STATUSES, normMachine } = require('./common');
+const seedTables = require('./seed');
+
+// SQL Server compares case- and trailing-space-insensitively, so do we
+const trim = (v) => String(v ?? '').trim();
+const same = (a, b) => trim(a).toLowerCase() === trim(b).toLowerCase();
+const like = (value, part) => String(value ?? '').toLowerCase().includes(String(part).toLowerCase());
+const upper = (v) => trim(v).toUpperCase();
+const isOpen = (r) => OPEN_STATUSES.includes(upper(r.Statut));
+const copy = (r) => (r ? { ...r } : null);
+
+const duplicateKey = (table) => Object.assign(new Error(`Violation of PRIMARY KEY constraint on ${table}`), { number: 2627 });
+
+function emptyTables() {
+  return {
+    ids: { M5_Urgent: 0, M5_Audit: 0, M5_Wires_Imports: 0, M5_Webhooks: 0, M5_Webhooks_Livraisons: 0 },
+    M5_Users: [],
+    M5_Urgent: [],
+    M5_Wires: [],
+    M5_Permissions: [],
+    M5_Audit: [],
+    M5_Idempotence: [],
+    M5_Wires_Imports: [],
+    M5_Machines: [],
+    M5_Machines_Alias: [],
+    M5_Webhooks: [],
+    M5_Webhooks_Livraisons: [],
+    M5_Connexions_Echecs: []
+  };
+}
+
+// columns the SQL Server schema fills by default
+const URGENT_DEFAULTS = { Escalade: 0, Limite_Illisible: false };
+const MACHINE_DEFAULTS = { Ligne: null, Coupe: true, Twist: false, Statut: 'running', Motif_Statut: null, Statut_Par: null, Date_Statut: null };
+const WEBHOOK_DEFAULTS = { Description: null, Evenements: null, Machines: null, Types: null, Actif: true, Cree_Par: null };
+const LOGIN_ATTEMPT_DEFAULTS = { Attente_Jusqu: null, Verrou_Jusqu: null, Verrouillages: 0 };
+const DELIVERY_DEFAULTS = { Seq: null, Tentatives: 0, Prochain_Essai: null, Code_Http: null, Erreur: null, Date_Livraison: null };
+
+// M5_Urgent.Plan_B is an NVARCHAR column: the bit written to it reads back as '1' / '0'
+const urgentColumns = (fields) => ('Plan_B' in fields && typeof fields.Plan_B === 'boolean'
+  ? { ...fields, Plan_B: fields.Plan_B ? '1' : '0' }
+  : fields);
+
+// (a, b) -> -1 / 0 / 1 on dates, numbers or strings
+function compare(a, b) {
+  const x = a instanceof Date ? a.getTime() : a;
+  const y = b instanceof Date ? b.getTime() : b;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+const EPOCH = new Date('1900-01-01T00:00:00Z');
+const URGENT_SORTS = {
+  declaredAt:  (r) => r.Date_Declaration ?? EPOCH,
+  correctedAt: (r) => r.Date_Correction ?? EPOCH,
+  machine:     (r) => normMachine(r.Machine),
+  status:      (r) => upper(r.Statut)
+};
+
+/*
+ Same events as an mssql streaming request: 'row', 'error', 'done';
+ pause() / resume() / cancel(). load() -> rows
+*/
+function rowStream(load) {
+  const out = new EventEmitter();
+  let rows = null;
+  let i = 0;
+  let paused = false;
+  let cancelled = false;
+  let scheduled = false;
+
+  const schedule = () => {
+    if (scheduled || !rows) return;
+    scheduled = true;
+    setImmediate(pump);
+  };
+  const pump = () => {
+    scheduled = false;
+    if (cancelled || paused) return;
+    if (i >= rows.length) {
+      out.emit('done', { rowsAffected: [rows.length] });
+      return;
+    }
+    out.emit('row', rows[i++]);
+    schedule();
+  };
+
+  out.pause = () => { paused = true; };
+  out.resume = () => {
+    paused = false;
+    schedule();
+  };
+  out.cancel = () => { cancelled = true; };
+
+  load().then(r => {
+    rows = r;
+    schedule();
+  }, e => setImmediate(() => out.emit('error', e)));
+  return out;
+}
+
+/*
+ Repositories over the tables.
+ db(): resolves to the tables; write(fn): runs fn once no other transaction holds the store
+*/
+function repositories(db, write) {
+  const userOf = (t, mlle) => (mlle ? t.M5_Users.find(u => trim(u.Mlle) === trim(mlle)) : null);
+
+  // M5_Urgent row + Decl_* / Corr_* / Asg_* like URGENT_SELECT_SQL
+  const joined = (t, r) => {
+    const d = userOf(t, r.Declarer_Par);
+    const c = userOf(t, r.Corriger_Par);
+    const a = userOf(t, r.Assigne_A);
+    return {
+      ...r,
+      Decl_Nom: d?.Nom ?? null, Decl_Prenom: d?.Prenom ?? null, Decl_Role: d?.Role ?? null, Decl_Badge: d?.Mlle ?? null,
+      Corr_Nom: c?.Nom ?? null, Corr_Prenom: c?.Prenom ?? null, Corr_Role: c?.Role ?? null, Corr_Badge: c?.Mlle ?? null,
+      Asg_Nom: a?.Nom ?? null, Asg_Prenom: a?.Prenom ?? null
+    };
+  };
+
+  // filter of store.urgents (see data/mssql.js urgentWhere) -> predicate on joined rows
+  const urgentMatch = (f = {}) => (r) => {
+    if (f.statuses?.length && !f.statuses.includes(upper(r.Statut))) return false;
+    if (f.unico && !like(r.Unico, f.unico)) return false;
+    if (f.unicoExact && trim(r.Unico) !== f.unicoExact) return false;
+    if (f.from && !(r.Date_Declaration && r.Date_Declaration >= f.from)) return false;
+    if (f.to && !(r.Date_Declaration && r.Date_Declaration <= f.to)) return false;
+    if (f.declaredBefore && !(r.Date_Declaration && r.Date_Declaration < f.declaredBefore)) return false;
+    if (f.activeSince && !isOpen(r)) {
+      const closed = r.Date_Correction ?? r.Date_Annulation ?? null;
+      if (!(closed && closed >= f.activeSince)) return false;
+    }
+    if (f.declaredBy && ![trim(r.Declarer_Par), r.Decl_Nom, r.Decl_Prenom].some(v => v && like(v, f.declaredBy))) return false;
+    if (f.correctedBy && ![trim(r.Corriger_Par), r.Corr_Nom, r.Corr_Prenom].some(v => v && like(v, f.correctedBy))) return false;
+    if (f.assignedTo && trim(r.Assigne_A) !== trim(f.assignedTo)) return false;
+    if (f.machines?.length && !f.machines.includes(normMachine(r.Machine))) return false;
+    if (f.machineLike && !normMachine(r.Machine).includes(f.machineLike)) return false;
+    return true;
+  };
+
+  const urgentRows = async (f) => {
+    const t = await db();
+    return t.M5_Urgent.map(r => joined(t, r)).filter(urgentMatch(f));
+  };
+
+  const sortUrgents = (rows, sort, desc) => {
+    const key = URGENT_SORTS[sort];
+    const dir = desc ? -1 : 1;
+    return rows
+      .map(r => ({ ...r, _sortKey: key(r) }))
+      .sort((a, b) => dir * (compare(a._sortKey, b._sortKey) || compare(a.id, b.id)));
+  };
+
+  const distinctMachines = async (f) => {
+    const rows = await urgentRows(f);
+    return [...new Set(rows
+      .filter(r => trim(r.Machine) !== '' && r.Machine !== '-')
+      .map(r => normMachine(r.Machine))
+      .filter(Boolean))]
+      .sort(compare);
+  };
+
+  const withCounts = (t, u) => {
+    const resolved = t.M5_Urgent.filter(r => trim(r.Corriger_Par) === trim(u.Mlle) && upper(r.Statut) === STATUS.RESOLVED
+      && r.Date_Declaration && r.Date_Correction);
+    return {
+      Nom: u.Nom, Prenom: u.Prenom, Mlle: u.Mlle, Role: u.Role,
+      declaredCount: t.M5_Urgent.filter(r => trim(r.Declarer_Par) === trim(u.Mlle)).length,
+      correctedCount: t.M5_Urgent.filter(r => trim(r.Corriger_Par) === trim(u.Mlle)).length,
+      assignedCount: t.M5_Urgent.filter(r => trim(r.Assigne_A) === trim(u.Mlle) && isOpen(r)).length,
+      avgResolutionMinutes: resolved.length
+        ? resolved.reduce((n, r) => n + (r.Date_Correction - r.Date_Declaration) / 60000, 0) / resolved.length
+        : null
+    };
+  };
+
+  const userRows = async (f = {}) => {
+    const t = await db();
+    return t.M5_Users
+      .filter(u => !f.role || same(u.Role, f.role))
+      .filter(u => !f.q || [u.Nom, u.Prenom, u.Mlle].some(v => like(v, f.q)))
+      .filter(u => !f.matricule || trim(u.Mlle) === trim(f.matricule))
+      .sort((a, b) => compare(trim(a.Nom), trim(b.Nom)) || compare(trim(a.Prenom), trim(b.Prenom)))
+      .map(u => withCounts(t, u));
+  };
+
+  const wireRows = async (f = {}) => {
+    const t = await db();
+    return t.M5_Wires
+      .filter(w => !f.type || upper(w.Type) === f.type)
+      .filter(w => !f.machine || normMachine(w.Machine) === f.machine)
+      .filter(w => !f.q || like(w.Unico, f.q) || like(w.Emplacement, f.q))
+      .sort((a, b) => compare(a.Unico, b.Unico))
+      .map(copy);
+  };
+
+  const openOf = (t, unico) => t.M5_Urgent.filter(r => trim(r.Unico) === trim(unico) && isOpen(r)).length;
+
+  const permissions = {
+    async grants() {
+      const t = await db();
+      return t.M5_Permissions.filter(p => p.Accorde).map(({ Role, Permission }) => ({ Role, Permission }));
+    },
+
+    addMissing: (role, permission, granted) => write(async () => {
+      const t = await db();
+      if (t.M5_Permissions.some(p => p.Role === role && p.Permission === permission)) return 0;
+      t.M5_Permissions.push({ Role: role, Permission: permission, Accorde: !!granted });
+      return 1;
+    }),
+
+    set: (role, permission, granted) => write(async () => {
+      const t = await db();
+      const row = t.M5_Permissions.find(p => p.Role === role && p.Permission === permission);
+      if (row) row.Accorde = !!granted;
+      else t.M5_Permissions.push({ Role: role, Permission: permission, Accorde: !!granted });
+    })
+  };
+
+  const audit = {
+    add: ({ at, actor, entity, entityId, action, oldValue, newValue }) => write(async () => {
+      const t = await db();
+      t.M5_Audit.push({
+        id: ++t.ids.M5_Audit,
+        Date_Action: at, Acteur: actor, Entite: entity, Entite_Id: entityId, Action: action,
+        Ancienne_Valeur: oldValue, Nouvelle_Valeur: newValue
+      });
+    }),
+
+    async list(f = {}) {
+      const t = await db();
+      const rows = t.M5_Audit
+        .filter(a => !f.actor || trim(a.Acteur) === f.actor)
+        .filter(a => !f.entity || a.Entite === f.entity)
+        .filter(a => !f.entityId || a.Entite_Id === f.entityId)
+        .filter(a => !f.action || a.Action === f.action)
+        .filter(a => !f.from || a.Date_Action >= f.from)
+        .filter(a => !f.to || a.Date_Action <= f.to)
+        .filter(a => !f.beforeId || a.id < f.beforeId)
+        .sort((a, b) => (f.ascending ? a.id - b.id : b.id - a.id));
+      return (f.limit ? rows.slice(0, f.limit) : rows).map(a => {
+        const u = userOf(t, a.Acteur);
+        return { ...a, Act_Nom: u?.Nom ?? null, Act_Prenom: u?.Prenom ?? null };
+      });
+    }
+  };
+
+  const users = {
+    async find(matricule, { withPassword = false } = {}) {
+      const t = await db();
+      const key = trim(matricule).replace(/ /g, '');
+      const u = t.M5_Users.find(x => trim(x.Mlle).replace(/ /g, '') === key);
+      if (!u) return null;
+      const { Mlle, Nom, Prenom, Role, Password } = u;
+      return withPassword ? { Mlle, Nom, Prenom, Role, Password } : { Mlle, Nom, Prenom, Role };
+    },
+
+    list: userRows,
+
+    stream: (f) => rowStream(() => userRows(f)),
+
+    create: (fields) => write(async () => {
+      const t = await db();
+      t.M5_Users.push({ ...fields });
+    }),
+
+    update: (matricule, fields) => write(async () => {
+      const t = await db();
+      const rows = t.M5_Users.filter(u => trim(u.Mlle) === trim(matricule));
+      rows.forEach(u => Object.assign(u, fields));
+      return rows.length;
+    }),
+
+    remove: (matricule) => write(async () => {
+      const t = await db();
+      const before = t.M5_Users.length;
+      t.M5_Users = t.M5_Users.filter(u => trim(u.Mlle) !== trim(matricule));
+      return before - t.M5_Users.length;
+    })
+  };
+
+  const urgents = {
+    async get(id) {
+      const t = await db();
+      const r = t.M5_Urgent.find(x => x.id === id);
+      return r ? joined(t, r) : null;
+    },
+
+    count: async (f) => (await urgentRows(f)).length,
+
+    async list(f, { sort = 'declaredAt', desc = true, after = null, limit }) {
+      let rows = sortUrgents(await urgentRows(f), sort, desc);
+      if (after) {
+        const v = sort === 'declaredAt' || sort === 'correctedAt' ? new Date(after.v) : after.v;
+        const dir = desc ? -1 : 1;
+        rows = rows.filter(r => dir * (compare(r._sortKey, v) || compare(r.id, after.id)) > 0);
+      }
+      return rows.slice(0, limit);
+    },
+
+    all: async (f) => sortUrgents(await urgentRows(f), 'declaredAt', true),
+
+    stream: (f, { sort = 'declaredAt', desc = true } = {}) =>
+      rowStream(async () => sortUrgents(await urgentRows(f), sort, desc)),
+
+    async machines(f, { after = null, limit } = {}) {
+      const list = (await distinctMachines(f)).filter(m => after === null || m > after);
+      return limit ? list.slice(0, limit) : list;
+    },
+
+    countMachines: async (f) => (await distinctMachines(f)).length,
+
+    // the store-wide transaction lock already serialises declarations
+    async latestOpen(unico, { machine = null } = {}) {
+      const t = await db();
+      const found = t.M5_Urgent
+        .filter(r => trim(r.Unico) === trim(unico) && isOpen(r))
+        .filter(r => !machine || normMachine(r.Machine) === normMachine(machine))
+        .sort((a, b) => compare(b.Date_Declaration, a.Date_Declaration) || b.id - a.id);
+      return copy(found[0]);
+    },
+
+    insert: (fields) => write(async () => {
+      const t = await db();
+      const id = ++t.ids.M5_Urgent;
+      t.M5_Urgent.push({ ...URGENT_DEFAULTS, ...urgentColumns(fields), id });
+      return id;
+    }),
+
+    // expect: { col: value | [values] | null } guard, see data/mssql.js
+    update: (id, fields, expect = {}) => write(async () => {
+      const t = await db();
+      const r = t.M5_Urgent.find(x => x.id === id);
+      if (!r) return 0;
+      for (const [col, value] of Object.entries(expect)) {
+        const current = col === 'Statut' ? upper(r[col]) : r[col] ?? null;
+        if (value === null ? current !== null : Array.isArray(value) ? !value.includes(current) : compare(current, value) !== 0)
+          return 0;
+      }
+      Object.assign(r, urgentColumns(fields));
+      return 1;
+    }),
+
+    async openLoad() {
+      const t = await db();
+      const groups = new Map();
+      for (const r of t.M5_Urgent.filter(isOpen)) {
+        const key = normMachine(r.Machine);
+        const g = groups.get(key) || { Machine: key, openCount: 0, oldestAt: null, pendingCount: 0 };
+        g.openCount++;
+        if (upper(r.Statut) === OPEN_STATUSES[0]) g.pendingCount++;
+        if (r.Date_Declaration && (!g.oldestAt || r.Date_Declaration < g.oldestAt)) g.oldestAt = r.Date_Declaration;
+        groups.set(key, g);
+      }
+      return [...groups.values()];
+    },
+
+    openCount: async (unico) => openOf(await db(), unico),
+
+    async openWithoutDeadline() {
+      const t = await db();
+      return t.M5_Urgent
+        .filter(r => isOpen(r) && !r.Date_Limite && !r.Limite_Illisible && trim(r.Temps_Restant))
+        .map(({ id, Date_Declaration, Temps_Restant }) => ({ id, Date_Declaration, Temps_Restant }));
+    },
+
+    async escalationCandidates(levels) {
+      const t = await db();
+      return t.M5_Urgent
+        .filter(r => isOpen(r) && r.Date_Limite && (r.Escalade || 0) < levels)
+        .map(copy);
+    }
+  };
+
+  const wires = {
+    list: wireRows,
+
+    stream: (f) => rowStream(() => wireRows(f)),
+
+    async get(unico) {
+      const t = await db();
+      return copy(t.M5_Wires.find(w => trim(w.Unico) === trim(unico)));
+    },
+
+    async existing(unicos) {
+      const t = await db();
+      const wanted = new Set(unicos.map(u => trim(u)));
+      return new Set(t.M5_Wires.map(w => trim(w.Unico)).filter(u => wanted.has(u)));
+    },
+
+    async find(unicos) {
+      const t = await db();
+      const wanted = new Set(unicos.map(u => trim(u)));
+      return t.M5_Wires.filter(w => wanted.has(trim(w.Unico))).map(copy);
+    },
+
+    async allWithOpenCounts() {
+      const t = await db();
+      return t.M5_Wires.map(w => ({ ...w, openUrgents: openOf(t, w.Unico) }));
+    },
+
+    insert: (fields) => write(async () => {
+      const t = await db();
+      t.M5_Wires.push({ ...fields });
+    }),
+
+    update: (unico, fields) => write(async () => {
+      const t = await db();
+      const rows = t.M5_Wires.filter(w => trim(w.Unico) === trim(unico));
+      rows.forEach(w => Object.assign(w, fields));
+      return rows.length;
+    }),
+
+    remove: (unico) => write(async () => {
+      const t = await db();
+      const before = t.M5_Wires.length;
+      t.M5_Wires = t.M5_Wires.filter(w => trim(w.Unico) !== trim(unico));
+      return before - t.M5_Wires.length;
+    }),
+
+    removeUnlessOpen: (unico) => write(async () => {
+      const t = await db();
+      const openUrgents = openOf(t, unico);
+      if (openUrgents) return { removed: false, openUrgents };
+      const before = t.M5_Wires.length;
+      t.M5_Wires = t.M5_Wires.filter(w => trim(w.Unico) !== trim(unico));
+      return { removed: t.M5_Wires.length < before, openUrgents };
+    })
+  };
+
+  const wireImports = {
+    add: (rec) => write(async () => {
+      const t = await db();
+      const id = ++t.ids.M5_Wires_Imports;
+      t.M5_Wires_Imports.push({ ...rec, id });
+      return id;
+    }),
+
+    async list(limit) {
+      const t = await db();
+      return [...t.M5_Wires_Imports]
+        .sort((a, b) => b.id - a.id)
+        .slice(0, limit)
+        .map(i => {
+          const u = userOf(t, i.Importe_Par);
+          return { ...i, Nom: u?.Nom ?? null, Prenom: u?.Prenom ?? null };
+        });
+    }
+  };
+
+  const idempotency = {
+    async find(key, actor, since) {
+      const t = await db();
+      const r = t.M5_Idempotence.find(x => x.Cle === key && x.Acteur === actor && x.Date_Creation >= since);
+      return r ? { Route: r.Route, Empreinte: r.Empreinte, Statut_Http: r.Statut_Http, Reponse: r.Reponse } : null;
+    },
+
+    save: ({ key, actor, route, print, status, body, at }, expired) => write(async () => {
+      const t = await db();
+      t.M5_Idempotence = t.M5_Idempotence.filter(x => x.Date_Creation >= expired);
+      if (t.M5_Idempotence.some(x => x.Cle === key && x.Acteur === actor)) throw duplicateKey('M5_Idempotence');
+      t.M5_Idempotence.push({
+        Cle: key, Acteur: actor, Route: route, Empreinte: print,
+        Statut_Http: status, Reponse: body, Date_Creation: at
+      });
+    })
+  };
+
+  const machines = {
+    async list() {
+      const t = await db();
+      return [...t.M5_Machines].sort((a, b) => compare(a.Code, b.Code)).map(copy);
+    },
+
+    async aliases() {
+      const t = await db();
+      return t.M5_Machines_Alias.map(copy);
+    },
+
+    insert: (fields) => write(async () => {
+      const t = await db();
+      if (t.M5_Machines.some(m => same(m.Code, fields.Code))) throw duplicateKey('M5_Machines');
+      t.M5_Machines.push({ ...MACHINE_DEFAULTS, ...fields });
+    }),
+
+    update: (code, fields) => write(async () => {
+      const t = await db();
+      const m = t.M5_Machines.find(x => same(x.Code, code));
+      if (!m) return 0;
+      Object.assign(m, fields);
+      return 1;
+    }),
+
+    setAliases: (code, aliases) => write(async () => {
+      const t = await db();
+      const kept = t.M5_Machines_Alias.filter(a => !same(a.Code, code));
+      for (const alias of aliases) {
+        if (kept.some(a => same(a.Alias, alias))) throw duplicateKey('M5_Machines_Alias');
+        kept.push({ Alias: alias, Code: code });
+      }
+      t.M5_Machines_Alias = kept;
+    })
+  };
+
+  const webhooks = {
+    async list() {
+      const t = await db();
+      return [...t.M5_Webhooks].sort((a, b) => a.id - b.id).map(copy);
+    },
+
+    async get(id) {
+      const t = await db();
+      return copy(t.M5_Webhooks.find(w => w.id === id));
+    },
+
+    insert: (fields) => write(async () => {
+      const t = await db();
+      const id = ++t.ids.M5_Webhooks;
+      t.M5_Webhooks.push({ ...WEBHOOK_DEFAULTS, ...fields, id });
+      return id;
+    }),
+
+    update: (id, fields) => write(async () => {
+      const t = await db();
+      const w = t.M5_Webhooks.find(x => x.id === id);
+      if (!w) return 0;
+      Object.assign(w, fields);
+      return 1;
+    }),
+
+    // deliveries go with it, like ON DELETE CASCADE
+    remove: (id) => write(async () => {
+      const t = await db();
+      const before = t.M5_Webhooks.length;
+      t.M5_Webhooks = t.M5_Webhooks.filter(w => w.id !== id);
+      t.M5_Webhooks_Livraisons = t.M5_Webhooks_Livraisons.filter(d => d.Webhook_Id !== id);
+      return before - t.M5_Webhooks.length;
+    })
+  };
+
+  // M5_Webhooks_Livraisons row + Url like DELIVERY_SELECT_SQL (inner join)
+  const deliveryRows = (t) => t.M5_Webhooks_Livraisons
+    .map(d => ({ d, w: t.M5_Webhooks.find(w => w.id === d.Webhook_Id) }))
+    .filter(({ w }) => w)
+    .map(({ d, w }) => ({ ...d, Url: w.Url }));
+
+  const webhookDeliveries = {
+    add: (fields) => write(async () => {
+      const t = await db();
+      const id = ++t.ids.M5_Webhooks_Livraisons;
+      t.M5_Webhooks_Livraisons.push({ ...DELIVERY_DEFAULTS, ...fields, id });
+      return id;
+    }),
+
+    async get(id) {
+      const t = await db();
+      return deliveryRows(t).find(d => d.id === id) || null;
+    },
+
+    async due(now, limit) {
+      const t = await db();
+      return deliveryRows(t)
+        .filter(d => ['pending', 'sending'].includes(d.Etat) && d.Prochain_Essai && d.Prochain_Essai <= now)
+        .sort((a, b) => compare(a.Prochain_Essai, b.Prochain_Essai) || a.id - b.id)
+        .slice(0, limit);
+    },
+
+    // expect: { col: value | [values] | null } guard, see data/mssql.js
+    update: (id, fields, expect = {}) => write(async () => {
+      const t = await db();
+      const d = t.M5_Webhooks_Livraisons.find(x => x.id === id);
+      if (!d) return 0;
+      for (const [col, value] of Object.entries(expect)) {
+        const current = d[col] ?? null;
+        if (value === null ? current !== null : Array.isArray(value) ? !value.includes(current) : compare(current, value) !== 0)
+          return 0;
+      }
+      Object.assign(d, fields);
+      return 1;
+    }),
+
+    async list(f = {}) {
+      const t = await db();
+      const rows = deliveryRows(t)
+        .filter(d => !f.webhookId || d.Webhook_Id === f.webhookId)
+        .filter(d => !f.states?.length || f.states.includes(d.Etat))
+        .filter(d => !f.event || d.Evenement === f.event)
+        .filter(d => !f.beforeId || d.id < f.beforeId)
+        .sort((a, b) => b.id - a.id);
+      return f.limit ? rows.slice(0, f.limit) : rows;
+    },
+
+    prune: (before) => write(async () => {
+      const t = await db();
+      const count = t.M5_Webhooks_Livraisons.length;
+      t.M5_Webhooks_Livraisons = t.M5_Webhooks_Livraisons
+        .filter(d => !(d.Etat === 'delivered' && d.Date_Livraison < before));
+      return count - t.M5_Webhooks_Livraisons.length;
+    })
+  };
+
+  const loginAttempts = {
+    async get(key) {
+      const t = await db();
+      return copy(t.M5_Connexions_Echecs.find(x => same(x.Cle, key)));
+    },
+
+    async list() {
+      const t = await db();
+      return [...t.M5_Connexions_Echecs].sort((a, b) => compare(a.Cle, b.Cle)).map(copy);
+    },
+
+    insert: (fields) => write(async () => {
+      const t = await db();
+      if (t.M5_Connexions_Echecs.some(x => same(x.Cle, fields.Cle))) throw duplicateKey('M5_Connexions_Echecs');
+      t.M5_Connexions_Echecs.push({ ...LOGIN_ATTEMPT_DEFAULTS, ...fields });
+    }),
+
+    // expect: { col: value | null } guard, see data/mssql.js
+    update: (key, fields, expect = {}) => write(async () => {
+      const t = await db();
+      const r = t.M5_Connexions_Echecs.find(x => same(x.Cle, key));
+      if (!r) return 0;
+      for (const [col, value] of Object.entries(expect)) {
+        const current = r[col] ?? null;
+        if (value === null ? current !== null : compare(current, value) !== 0) return 0;
+      }
+      Object.assign(r, fields);
+      return 1;
+    }),
+
+    remove: (key) => write(async () => {
+      const t = await db();
+      const count = t.M5_Connexions_Echecs.length;
+      t.M5_Connexions_Echecs = t.M5_Connexions_Echecs.filter(x => !same(x.Cle, key));
+      return count - t.M5_Connexions_Echecs.length;
+    }),
+
+    prune: (before) => write(async () => {
+      const t = await db();
+      const count = t.M5_Connexions_Echecs.length;
+      t.M5_Connexions_Echecs = t.M5_Connexions_Echecs
+        .filter(x => !(x.Dernier_Echec < before && (!x.Verrou_Jusqu || x.Verrou_Jusqu < before)));
+      return count - t.M5_Connexions_Echecs.length;
+    })
+  };
+
+  return {
+    permissions, audit, users, urgents, wires, wireImports, idempotency, machines, webhooks, webhookDeliveries,
+    loginAttempts
+  };
+}
+
+/*
+ seed: fill the tables with demo data on start (data/seed.js)
+ onReady(repos): run once before the first query is served
+ Transactions take a store-wide lock and a snapshot; rollback puts the snapshot back.
+ Writes outside a transaction wait for the lock, reads don't (read uncommitted).
+*/
+function createMemoryStore({ seed = true, onReady } = {}) {
+  const tables = emptyTables();
+
+  let lockTail = Promise.resolve();
+  // -> release()
+  function acquire() {
+    let release;
+    const held = new Promise(resolve => { release = resolve; });
+    const ready = lockTail.then(() => release);
+    lockTail = lockTail.then(() => held);
+    return ready;
+  }
+
+  async function exclusive(fn) {
+    const release = await acquire();
+    try {
+      return await fn();
+    } finally {
+      release();
+    }
+  }
+
+  let readyPromise;
+  function getTables() {
+    if (!readyPromise) {
+      readyPromise = (async () => {
+        if (seed) {
+          seedTables(tables);
+          console.log(`🧪 memory store seeded: ${tables.M5_Users.length} users, ${tables.M5_Wires.length} wires, ${tables.M5_Urgent.length} urgents`);
+        }
+        if (onReady) await onReady(repositories(async () => tables, fn => fn()));
+        return tables;
+      })();
+    }
+    return readyPromise;
+  }
+
+  return {
+    backend: 'memory',
+    ...repositories(getTables, exclusive),
+
+    ready: () => getTables().then(() => {}),
+
+    async begin() {
+      await getTables();
+      const release = await acquire();
+      const snapshot = structuredClone(tables);
+      let open = true;
+      const end = (restore) => {
+        if (!open) return;
+        open = false;
+        if (restore) Object.assign(tables, snapshot);
+        release();
+      };
+      return {
+        ...repositories(async () => tables, fn => fn()),
+        commit: async () => end(false),
+        rollback: async () => end(true)
+      };
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,1350 @@
+// SQL Server backend: the M5_* tables of the plant database
+const sql = require('mssql');
+const { STATUS, OPEN_STATUSES, normMachine } = require('./common');
+
+const normMachineSql = (col) =>
+  `UPPER(LTRIM(RTRIM(REPLACE(REPLACE(${col}, CHAR(160), ' '), CHAR(9), ' '))))`;
+
+const OPEN_STATUS_SQL = `(${OPEN_STATUSES.map(st => `'${st}'`).join(',')})`;
+
+// urg = M5_Urgent, uDecl / uCorr / uAsg = declarer / corrector / assignee in M5_Users
+const URGENT_FROM_SQL = `
+  FROM [dbo].[M5_Urgent] AS urg
+  LEFT JOIN [dbo].[M5_Users] AS uDecl
+    ON LTRIM(RTRIM(uDecl.[Mlle])) = LTRIM(RTRIM(urg.[Declarer_Par]))
+  LEFT JOIN [dbo].[M5_Users] AS uCorr
+    ON LTRIM(RTRIM(uCorr.[Mlle])) = LTRIM(RTRIM(urg.[Corriger_Par]))
+  LEFT JOIN [dbo].[M5_Users] AS uAsg
+    ON LTRIM(RTRIM(uAsg.[Mlle])) = LTRIM(RTRIM(urg.[Assigne_A]))
+`;
+
+const URGENT_SELECT_SQL = `
+  SELECT
+    urg.*,
+    uDecl.[Nom]     AS Decl_Nom,
+    uDecl.[Prenom]  AS Decl_Prenom,
+    uDecl.[Role]    AS Decl_Role,
+    uDecl.[Mlle]    AS Decl_Badge,
+    uCorr.[Nom]     AS Corr_Nom,
+    uCorr.[Prenom]  AS Corr_Prenom,
+    uCorr.[Role]    AS Corr_Role,
+    uCorr.[Mlle]    AS Corr_Badge,
+    uAsg.[Nom]      AS Asg_Nom,
+    uAsg.[Prenom]   AS Asg_Prenom
+`;
+
+const AUDIT_SELECT_SQL = `
+  SELECT a.*, u.[Nom] AS Act_Nom, u.[Prenom] AS Act_Prenom
+  FROM [dbo].[M5_Audit] AS a
+  LEFT JOIN [dbo].[M5_Users] AS u
+    ON LTRIM(RTRIM(u.[Mlle])) = LTRIM(RTRIM(a.[Acteur]))
+`;
+
+const DELIVERY_SELECT_SQL = `
+  SELECT d.*, w.[Url]
+  FROM [dbo].[M5_Webhooks_Livraisons] AS d
+  JOIN [dbo].[M5_Webhooks] AS w ON w.[id] = d.[Webhook_Id]
+`;
+
+// assignedCount: open urgents assigned now; avgResolutionMinutes: declaration -> resolution of the urgents resolved
+const USER_COUNTS_SQL = `
+  (SELECT COUNT(*) FROM [dbo].[M5_Urgent] WHERE LTRIM(RTRIM([Declarer_Par])) = LTRIM(RTRIM(u.[Mlle]))) AS declaredCount,
+  (SELECT COUNT(*) FROM [dbo].[M5_Urgent] WHERE LTRIM(RTRIM([Corriger_Par])) = LTRIM(RTRIM(u.[Mlle]))) AS correctedCount,
+  (SELECT COUNT(*) FROM [dbo].[M5_Urgent]
+    WHERE LTRIM(RTRIM([Assigne_A])) = LTRIM(RTRIM(u.[Mlle])) AND UPPER([Statut]) IN ${OPEN_STATUS_SQL}) AS assignedCount,
+  (SELECT AVG(DATEDIFF(SECOND, [Date_Declaration], [Date_Correction]) / 60.0) FROM [dbo].[M5_Urgent]
+    WHERE LTRIM(RTRIM([Corriger_Par])) = LTRIM(RTRIM(u.[Mlle])) AND UPPER([Statut]) = '${STATUS.RESOLVED}'
+      AND [Date_Declaration] IS NOT NULL AND [Date_Correction] IS NOT NULL) AS avgResolutionMinutes
+`;
+
+// COALESCE keeps keyset comparisons NULL-safe
+const URGENT_SORTS = {
+  declaredAt:  { expr: `COALESCE(urg.[Date_Declaration], CAST('1900-01-01' AS DATETIME2))`, type: sql.DateTime2 },
+  correctedAt: { expr: `COALESCE(urg.[Date_Correction], CAST('1900-01-01' AS DATETIME2))`, type: sql.DateTime2 },
+  machine:     { expr: `COALESCE(${normMachineSql('urg.[Machine]')}, '')`, type: sql.NVarChar },
+  status:      { expr: `UPPER(COALESCE(urg.[Statut], ''))`, type: sql.VarChar }
+};
+
+// writable columns (name -> type); anything else is refused, names end up in SQL text
+const COLUMNS = {
+  M5_Urgent: {
+    Unico: sql.NVarChar, Machine: sql.NVarChar, Type: sql.NVarChar, Statut: sql.VarChar,
+    Date_Declaration: sql.DateTime2, Declarer_Par: sql.VarChar,
+    Date_Correction: sql.DateTime2, Corriger_Par: sql.VarChar,
+    Plan_B: sql.Bit, McPb: sql.NVarChar, Plan_B_Par: sql.VarChar, Date_Plan_B: sql.DateTime2,
+    Temps_Restant: sql.NVarChar, Date_Limite: sql.DateTime2, Limite_Illisible: sql.Bit,
+    Escalade: sql.TinyInt, Date_Escalade: sql.DateTime2,
+    Acquitte_Par: sql.VarChar, Date_Acquittement: sql.DateTime2,
+    Debute_Par: sql.VarChar, Date_Debut: sql.DateTime2,
+    Annule_Par: sql.VarChar, Date_Annulation: sql.DateTime2, Motif_Annulation: sql.NVarChar,
+    Assigne_A: sql.VarChar, Assigne_Par: sql.VarChar, Date_Assignation: sql.DateTime2
+  },
+  M5_Users: {
+    Mlle: sql.VarChar, Nom: sql.NVarChar, Prenom: sql.NVarChar, Role: sql.VarChar, Password: sql.VarChar
+  },
+  M5_Wires: {
+    Unico: sql.NVarChar, Projet: sql.NVarChar, Emplacement: sql.NVarChar, Qte_Pq: sql.Int,
+    Machine: sql.NVarChar, Type: sql.VarChar
+  },
+  M5_Machines: {
+    Code: sql.VarChar, Ligne: sql.NVarChar, Coupe: sql.Bit, Twist: sql.Bit, Statut: sql.VarChar,
+    Motif_Statut: sql.NVarChar, Statut_Par: sql.VarChar, Date_Statut: sql.DateTime2
+  },
+  M5_Webhooks: {
+    Url: sql.NVarChar, Description: sql.NVarChar, Evenements: sql.VarChar, Machines: sql.NVarChar, Types: sql.VarChar,
+    Secret: sql.VarChar, Actif: sql.Bit, Cree_Par: sql.VarChar, Date_Creation: sql.DateTime2
+  },
+  M5_Webhooks_Livraisons: {
+    Webhook_Id: sql.Int, Evenement: sql.VarChar, Seq: sql.Int, Corps: sql.NVarChar(sql.MAX),
+    Etat: sql.VarChar, Tentatives: sql.Int, Prochain_Essai: sql.DateTime2,
+    Code_Http: sql.Int, Erreur: sql.NVarChar, Date_Creation: sql.DateTime2, Date_Livraison: sql.DateTime2
+  },
+  M5_Connexions_Echecs: {
+    Cle: sql.VarChar, Echecs: sql.Int, Premier_Echec: sql.DateTime2, Dernier_Echec: sql.DateTime2,
+    Attente_Jusqu: sql.DateTime2, Verrou_Jusqu: sql.DateTime2, Verrouillages: sql.Int
+  }
+};
+
+function columnsOf(table, fields) {
+  return Object.keys(fields).map(col => {
+    const type = COLUMNS[table][col];
+    if (!type) throw new Error(`Unknown column ${table}.${col}`);
+    return [col, type];
+  });
+}
+
+// { col: value } -> "[col] = @col, ..."
+function setSql(request, table, fields, prefix = 's_') {
+  return columnsOf(table, fields).map(([col, type]) => {
+    request.input(`${prefix}${col}`, type, fields[col]);
+    return `[${col}] = @${prefix}${col}`;
+  }).join(', ');
+}
+
+function insertSql(request, table, fields) {
+  const cols = columnsOf(table, fields);
+  cols.forEach(([col, type]) => request.input(`i_${col}`, type, fields[col]));
+  return `
+    INSERT INTO [dbo].[${table}] (${cols.map(([c]) => `[${c}]`).join(',')})
+    VALUES (${cols.map(([c]) => `@i_${c}`).join(',')});
+  `;
+}
+
+/*
+ expect: { Statut: ['NOK', 'ACK'], Escalade: 0, Date_Limite: null }
+ -> guard conditions; an array is an IN list, null is IS NULL (Statut compared upper-cased)
+*/
+function expectSql(request, table, expect = {}) {
+  return Object.entries(expect).map(([col, value]) => {
+    const type = COLUMNS[table][col];
+    if (!type) throw new Error(`Unknown column ${table}.${col}`);
+    const target = col === 'Statut' ? 'UPPER([Statut])' : `[${col}]`;
+    if (value === null) return `${target} IS NULL`;
+    if (Array.isArray(value)) {
+      const keys = value.map((v, i) => {
+        request.input(`e_${col}${i}`, type, v);
+        return `@e_${col}${i}`;
+      });
+      return `${target} IN (${keys.join(',')})`;
+    }
+    request.input(`e_${col}`, type, value);
+    return `${target} = @e_${col}`;
+  });
+}
+
+/* -------------------------------------------------
+ Urgent filters (see urgentFilter() in the API):
+  { statuses, unico, unicoExact, from, to, declaredBefore, activeSince, declaredBy, correctedBy, assignedTo, machines, machineLike }
+ activeSince: still open, or resolved / cancelled at or after that date
+ Adds inputs to `request` and returns the WHERE clause.
+------------------------------------------------- */
+function urgentWhere(request, f = {}, extra = []) {
+  const conditions = [];
+
+  if (f.statuses?.length) {
+    const keys = f.statuses.map((st, i) => {
+      request.input(`status${i}`, sql.VarChar, st);
+      return `@status${i}`;
+    });
+    conditions.push(`UPPER(urg.[Statut]) IN (${keys.join(',')})`);
+  }
+
+  if (f.unico) {
+    request.input('unico', sql.VarChar, `%${f.unico}%`);
+    conditions.push('urg.[Unico] LIKE @unico');
+  }
+
+  if (f.unicoExact) {
+    request.input('unicoExact', sql.NVarChar, f.unicoExact);
+    conditions.push('LTRIM(RTRIM(urg.[Unico])) = @unicoExact');
+  }
+
+  if (f.from) {
+    request.input('from', sql.DateTime2, f.from);
+    conditions.push('urg.[Date_Declaration] >= @from');
+  }
+
+  if (f.to) {
+    request.input('to', sql.DateTime2, f.to);
+    conditions.push('urg.[Date_Declaration] <= @to');
+  }
+
+  if (f.declaredBefore) {
+    request.input('declaredBefore', sql.DateTime2, f.declaredBefore);
+    conditions.push('urg.[Date_Declaration] < @declaredBefore');
+  }
+
+  if (f.activeSince) {
+    request.input('activeSince', sql.DateTime2, f.activeSince);
+    conditions.push(`(UPPER(urg.[Statut]) IN ${OPEN_STATUS_SQL} OR COALESCE(urg.[Date_Correction], urg.[Date_Annulation]) >= @activeSince)`);
+  }
+
+  // 🔍 who declared
+  if (f.declaredBy) {
+    request.input('declaredBy', sql.VarChar, `%${f.declaredBy}%`);
+    conditions.push(`
+      (
+        LTRIM(RTRIM(urg.[Declarer_Par])) LIKE @declaredBy OR
+        uDecl.[Nom]    LIKE @declaredBy OR
+        uDecl.[Prenom] LIKE @declaredBy
+      )
+    `);
+  }
+
+  // 🔍 who corrected
+  if (f.correctedBy) {
+    request.input('correctedBy', sql.VarChar, `%${f.correctedBy}%`);
+    conditions.push(`
+      (
+        LTRIM(RTRIM(urg.[Corriger_Par])) LIKE @correctedBy OR
+        uCorr.[Nom]    LIKE @correctedBy OR
+        uCorr.[Prenom] LIKE @correctedBy
+      )
+    `);
+  }
+
+  // 🔍 assigned to (matricule)
+  if (f.assignedTo) {
+    request.input('assignedTo', sql.VarChar, f.assignedTo);
+    conditions.push('LTRIM(RTRIM(urg.[Assigne_A])) = @assignedTo');
+  }
+
+  // ---- robust machine filters
+  if (f.machines?.length) {
+    const orParts = f.machines.map((m, i) => {
+      request.input(`mach${i}`, sql.VarChar, m);
+      return `${normMachineSql('urg.[Machine]')} = @mach${i}`;
+    });
+    conditions.push(`(${orParts.join(' OR ')})`);
+  }
+
+  if (f.machineLike) {
+    request.input('machineLike', sql.VarChar, `%${f.machineLike}%`);
+    conditions.push(`${normMachineSql('urg.[Machine]')} LIKE @machineLike`);
+  }
+
+  conditions.push(...extra);
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// { role, q, matricule } -> WHERE clause on M5_Users AS u
+function userWhere(request, f = {}) {
+  const conditions = [];
+  if (f.role) {
+    request.input('role', sql.VarChar, String(f.role).trim().toUpperCase());
+    conditions.push('UPPER(LTRIM(RTRIM(u.[Role]))) = @role');
+  }
+  if (f.q) {
+    const like = `%${f.q}%`;
+    request.input('q1', sql.VarChar, like);
+    request.input('q2', sql.VarChar, like);
+    request.input('q3', sql.VarChar, like);
+    conditions.push('(u.[Nom] LIKE @q1 OR u.[Prenom] LIKE @q2 OR u.[Mlle] LIKE @q3)');
+  }
+  if (f.matricule) {
+    request.input('mlle', sql.VarChar, f.matricule);
+    conditions.push('LTRIM(RTRIM(u.[Mlle])) = LTRIM(RTRIM(@mlle))');
+  }
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// { type, machine, q } -> WHERE clause on M5_Wires
+function wireWhere(request, f = {}) {
+  const conditions = [];
+  if (f.type) {
+    request.input('type', sql.VarChar, f.type);
+    conditions.push('UPPER([Type]) = @type');
+  }
+  if (f.machine) {
+    request.input('mach', sql.VarChar, f.machine);
+    conditions.push(`${normMachineSql('[Machine]')} = @mach`);
+  }
+  if (f.q) {
+    const like = `%${f.q}%`;
+    request.input('q1', sql.VarChar, like);
+    request.input('q2', sql.VarChar, like);
+    conditions.push('([Unico] LIKE @q1 OR [Emplacement] LIKE @q2)');
+  }
+  return conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// ---- tables added by this API (created on first connection if missing) ----
+async function ensureSchema(pool) {
+  // permission matrix: one row per (Role, Permission); revoking keeps the row with Accorde = 0
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Permissions]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Permissions] (
+        [Role]       NVARCHAR(50) NOT NULL,
+        [Permission] VARCHAR(50)  NOT NULL,
+        [Accorde]    BIT          NOT NULL CONSTRAINT [DF_M5_Permissions_Accorde] DEFAULT 1,
+        CONSTRAINT [PK_M5_Permissions] PRIMARY KEY ([Role], [Permission])
+      );
+    IF COL_LENGTH('dbo.M5_Permissions', 'Accorde') IS NULL
+      ALTER TABLE [dbo].[M5_Permissions] ADD [Accorde] BIT NOT NULL CONSTRAINT [DF_M5_Permissions_Accorde] DEFAULT 1;
+  `);
+
+  // scrypt password hashes (≈ 70 chars, see hashPassword() in the API) do not fit a column sized for plaintext
+  await pool.request().query(`
+    IF EXISTS (
+      SELECT 1 FROM sys.columns
+      WHERE [object_id] = OBJECT_ID('dbo.M5_Users') AND [name] = 'Password' AND [max_length] <> -1
+        AND [max_length] / CASE WHEN TYPE_NAME([system_type_id]) IN ('nvarchar', 'nchar') THEN 2 ELSE 1 END < 100
+    )
+    BEGIN
+      DECLARE @nullable NVARCHAR(10) =
+        CASE WHEN COLUMNPROPERTY(OBJECT_ID('dbo.M5_Users'), 'Password', 'AllowsNull') = 1 THEN 'NULL' ELSE 'NOT NULL' END;
+      EXEC('ALTER TABLE [dbo].[M5_Users] ALTER COLUMN [Password] NVARCHAR(100) ' + @nullable);
+    END
+  `);
+
+  // append-only audit trail, see audit()
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Audit]', N'U') IS NULL
+    BEGIN
+      CREATE TABLE [dbo].[M5_Audit] (
+        [id]              INT IDENTITY(1,1) NOT NULL CONSTRAINT [PK_M5_Audit] PRIMARY KEY,
+        [Date_Action]     DATETIME2     NOT NULL,
+        [Acteur]          VARCHAR(50)   NULL,
+        [Entite]          VARCHAR(30)   NOT NULL,
+        [Entite_Id]       NVARCHAR(100) NULL,
+        [Action]          VARCHAR(50)   NOT NULL,
+        [Ancienne_Valeur] NVARCHAR(MAX) NULL,
+        [Nouvelle_Valeur] NVARCHAR(MAX) NULL
+      );
+      CREATE INDEX [IX_M5_Audit_Entite] ON [dbo].[M5_Audit] ([Entite], [Entite_Id]);
+    END
+  `);
+
+  // deadline (parsed from Temps_Restant, Limite_Illisible = 1 when it cannot be) + escalation state,
+  // see the escalation engine
+  await pool.request().query(`
+    IF COL_LENGTH('dbo.M5_Urgent', 'Date_Limite') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD [Date_Limite] DATETIME2 NULL;
+    IF COL_LENGTH('dbo.M5_Urgent', 'Limite_Illisible') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD [Limite_Illisible] BIT NOT NULL CONSTRAINT [DF_M5_Urgent_Limite_Illisible] DEFAULT 0;
+    IF COL_LENGTH('dbo.M5_Urgent', 'Escalade') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD [Escalade] TINYINT NOT NULL CONSTRAINT [DF_M5_Urgent_Escalade] DEFAULT 0;
+    IF COL_LENGTH('dbo.M5_Urgent', 'Date_Escalade') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD [Date_Escalade] DATETIME2 NULL;
+  `);
+
+  // stored answers of POST /urgent retries, see saveIdempotent()
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Idempotence]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Idempotence] (
+        [Cle]           NVARCHAR(100) NOT NULL,
+        [Acteur]        VARCHAR(50)   NOT NULL,
+        [Route]         VARCHAR(100)  NOT NULL,
+        [Empreinte]     CHAR(64)      NOT NULL,
+        [Statut_Http]   INT           NOT NULL,
+        [Reponse]       NVARCHAR(MAX) NOT NULL,
+        [Date_Creation] DATETIME2     NOT NULL,
+        CONSTRAINT [PK_M5_Idempotence] PRIMARY KEY ([Cle], [Acteur])
+      );
+  `);
+
+  // applied catalog imports, see POST /wires/import
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Wires_Imports]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Wires_Imports] (
+        [id]          INT IDENTITY(1,1) NOT NULL CONSTRAINT [PK_M5_Wires_Imports] PRIMARY KEY,
+        [Date_Import] DATETIME2     NOT NULL,
+        [Importe_Par] VARCHAR(50)   NOT NULL,
+        [Fichier]     NVARCHAR(200) NULL,
+        [Ajoutes]     INT           NOT NULL,
+        [Modifies]    INT           NOT NULL,
+        [Supprimes]   INT           NOT NULL,
+        [Bloques]     INT           NOT NULL
+      );
+  `);
+
+  // machine registry, seeded on first start from the machines already in use
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Machines]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Machines] (
+        [Code]         VARCHAR(50)   NOT NULL CONSTRAINT [PK_M5_Machines] PRIMARY KEY,
+        [Ligne]        NVARCHAR(50)  NULL,
+        [Coupe]        BIT           NOT NULL CONSTRAINT [DF_M5_Machines_Coupe] DEFAULT (1),
+        [Twist]        BIT           NOT NULL CONSTRAINT [DF_M5_Machines_Twist] DEFAULT (0),
+        [Statut]       VARCHAR(20)   NOT NULL CONSTRAINT [DF_M5_Machines_Statut] DEFAULT ('running'),
+        [Motif_Statut] NVARCHAR(400) NULL,
+        [Statut_Par]   VARCHAR(50)   NULL,
+        [Date_Statut]  DATETIME2     NULL
+      );
+
+    IF OBJECT_ID(N'[dbo].[M5_Machines_Alias]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Machines_Alias] (
+        [Alias] VARCHAR(50) NOT NULL CONSTRAINT [PK_M5_Machines_Alias] PRIMARY KEY,
+        [Code]  VARCHAR(50) NOT NULL
+          CONSTRAINT [FK_M5_Machines_Alias_Code] REFERENCES [dbo].[M5_Machines] ([Code])
+      );
+
+    IF NOT EXISTS (SELECT 1 FROM [dbo].[M5_Machines])
+      INSERT INTO [dbo].[M5_Machines] ([Code],[Coupe],[Twist])
+      SELECT LEFT(src.M, 50),
+        -- machines only seen without a type are assumed to cut
+        CASE WHEN SUM(CASE WHEN src.T = 'TWIST' THEN 1 ELSE 0 END) > 0
+              AND SUM(CASE WHEN src.T = 'COUPE' THEN 1 ELSE 0 END) = 0 THEN 0 ELSE 1 END,
+        CASE WHEN SUM(CASE WHEN src.T = 'TWIST' THEN 1 ELSE 0 END) > 0 THEN 1 ELSE 0 END
+      FROM (
+        SELECT ${normMachineSql('[Machine]')} AS M, UPPER(LTRIM(RTRIM([Type]))) AS T FROM [dbo].[M5_Wires]
+        UNION ALL
+        SELECT ${normMachineSql('[Machine]')}, UPPER(LTRIM(RTRIM([Type]))) FROM [dbo].[M5_Urgent]
+      ) AS src
+      WHERE src.M IS NOT NULL AND src.M NOT IN ('', '-')
+      GROUP BY LEFT(src.M, 50);
+  `);
+
+  // lifecycle (acknowledge / start / cancel, Plan B, assignment), see URGENT_TRANSITIONS, switchPlanB and assignUrgent
+  await pool.request().query(`
+    IF COL_LENGTH('dbo.M5_Urgent', 'Acquitte_Par') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD
+        [Acquitte_Par]      VARCHAR(50)   NULL,
+        [Date_Acquittement] DATETIME2     NULL,
+        [Debute_Par]        VARCHAR(50)   NULL,
+        [Date_Debut]        DATETIME2     NULL,
+        [Annule_Par]        VARCHAR(50)   NULL,
+        [Date_Annulation]   DATETIME2     NULL,
+        [Motif_Annulation]  NVARCHAR(400) NULL;
+
+    IF COL_LENGTH('dbo.M5_Urgent', 'Plan_B_Par') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD
+        [Plan_B_Par]        VARCHAR(50)   NULL,
+        [Date_Plan_B]       DATETIME2     NULL;
+
+    -- the Cutting operator working on it (claim / assign / release)
+    IF COL_LENGTH('dbo.M5_Urgent', 'Assigne_A') IS NULL
+      ALTER TABLE [dbo].[M5_Urgent] ADD
+        [Assigne_A]         VARCHAR(50)   NULL,
+        [Assigne_Par]       VARCHAR(50)   NULL,
+        [Date_Assignation]  DATETIME2     NULL;
+
+    -- 'EN_COURS' / 'ANNULE' do not fit a column sized for 'NOK'
+    IF COL_LENGTH('dbo.M5_Urgent', 'Statut') BETWEEN 1 AND 19
+    BEGIN
+      DECLARE @type SYSNAME = (
+        SELECT TYPE_NAME([system_type_id]) FROM sys.columns
+        WHERE [object_id] = OBJECT_ID('dbo.M5_Urgent') AND [name] = 'Statut'
+      );
+      DECLARE @nullable NVARCHAR(10) =
+        CASE WHEN COLUMNPROPERTY(OBJECT_ID('dbo.M5_Urgent'), 'Statut', 'AllowsNull') = 1 THEN 'NULL' ELSE 'NOT NULL' END;
+      EXEC('ALTER TABLE [dbo].[M5_Urgent] ALTER COLUMN [Statut] ' + @type + '(20) ' + @nullable);
+    END
+  `);
+
+  // outbound webhooks and their delivery log (Etat: pending | sending | delivered | dead), see the webhook worker
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Webhooks]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Webhooks] (
+        [id]            INT IDENTITY(1,1) NOT NULL CONSTRAINT [PK_M5_Webhooks] PRIMARY KEY,
+        [Url]           NVARCHAR(500) NOT NULL,
+        [Description]   NVARCHAR(200) NULL,
+        [Evenements]    VARCHAR(400)  NULL,
+        [Machines]      NVARCHAR(1000) NULL,
+        [Types]         VARCHAR(100)  NULL,
+        [Secret]        VARCHAR(100)  NOT NULL,
+        [Actif]         BIT           NOT NULL CONSTRAINT [DF_M5_Webhooks_Actif] DEFAULT (1),
+        [Cree_Par]      VARCHAR(50)   NULL,
+        [Date_Creation] DATETIME2     NOT NULL
+      );
+
+    IF OBJECT_ID(N'[dbo].[M5_Webhooks_Livraisons]', N'U') IS NULL
+    BEGIN
+      CREATE TABLE [dbo].[M5_Webhooks_Livraisons] (
+        [id]             INT IDENTITY(1,1) NOT NULL CONSTRAINT [PK_M5_Webhooks_Livraisons] PRIMARY KEY,
+        [Webhook_Id]     INT           NOT NULL
+          CONSTRAINT [FK_M5_Webhooks_Livraisons_Webhook] REFERENCES [dbo].[M5_Webhooks] ([id]) ON DELETE CASCADE,
+        [Evenement]      VARCHAR(50)   NOT NULL,
+        [Seq]            INT           NULL,
+        [Corps]          NVARCHAR(MAX) NOT NULL,
+        [Etat]           VARCHAR(20)   NOT NULL,
+        [Tentatives]     INT           NOT NULL CONSTRAINT [DF_M5_Webhooks_Livraisons_Tentatives] DEFAULT (0),
+        [Prochain_Essai] DATETIME2     NULL,
+        [Code_Http]      INT           NULL,
+        [Erreur]         NVARCHAR(400) NULL,
+        [Date_Creation]  DATETIME2     NOT NULL,
+        [Date_Livraison] DATETIME2     NULL
+      );
+      CREATE INDEX [IX_M5_Webhooks_Livraisons_Etat] ON [dbo].[M5_Webhooks_Livraisons] ([Etat], [Prochain_Essai]);
+      CREATE INDEX [IX_M5_Webhooks_Livraisons_Webhook] ON [dbo].[M5_Webhooks_Livraisons] ([Webhook_Id], [id]);
+    END
+  `);
+
+  // failed logins per matricule / IP, shared by every instance (LOGIN_LIMITER_STORE=database), see limiter.js
+  await pool.request().query(`
+    IF OBJECT_ID(N'[dbo].[M5_Connexions_Echecs]', N'U') IS NULL
+      CREATE TABLE [dbo].[M5_Connexions_Echecs] (
+        [Cle]           VARCHAR(120) NOT NULL CONSTRAINT [PK_M5_Connexions_Echecs] PRIMARY KEY,
+        [Echecs]        INT          NOT NULL,
+        [Premier_Echec] DATETIME2    NOT NULL,
+        [Dernier_Echec] DATETIME2    NOT NULL,
+        [Attente_Jusqu] DATETIME2    NULL,
+        [Verrou_Jusqu]  DATETIME2    NULL,
+        [Verrouillages] INT          NOT NULL CONSTRAINT [DF_M5_Connexions_Echecs_Verrouillages] DEFAULT (0)
+      );
+  `);
+}
+
+/*
+ Repositories over a pool or an open transaction.
+ db(): resolves to the pool / transaction every request is built on.
+*/
+function repositories(db) {
+  const request = async () => new sql.Request(await db());
+
+  // request.stream = true: rows arrive as 'row' events ('error', 'done'; pause / resume / cancel)
+  const stream = async (build) => {
+    const r = await request();
+    const text = build(r);
+    r.stream = true;
+    r.query(text);
+    return r;
+  };
+
+  const permissions = {
+    async grants() {
+      const rows = await (await request()).query(`
+        SELECT [Role],[Permission] FROM [dbo].[M5_Permissions] WHERE [Accorde] = 1;
+      `);
+      return rows.recordset;
+    },
+
+    // -> 1 when the pair was missing and got inserted
+    async addMissing(role, permission, granted) {
+      const ins = await request();
+      ins.input('role', sql.NVarChar, role);
+      ins.input('perm', sql.VarChar, permission);
+      ins.input('granted', sql.Bit, granted);
+      const r = await ins.query(`
+        IF NOT EXISTS (SELECT 1 FROM [dbo].[M5_Permissions] WHERE [Role] = @role AND [Permission] = @perm)
+          INSERT INTO [dbo].[M5_Permissions] ([Role],[Permission],[Accorde]) VALUES (@role, @perm, @granted);
+      `);
+      return r.rowsAffected?.reduce((a, b) => a + b, 0) || 0;
+    },
+
+    async set(role, permission, granted) {
+      const up = await request();
+      up.input('role', sql.NVarChar, role);
+      up.input('perm', sql.VarChar, permission);
+      up.input('granted', sql.Bit, granted);
+      await up.query(`
+        UPDATE [dbo].[M5_Permissions] SET [Accorde] = @granted
+        WHERE [Role] = @role AND [Permission] = @perm;
+        IF @@ROWCOUNT = 0
+          INSERT INTO [dbo].[M5_Permissions] ([Role],[Permission],[Accorde]) VALUES (@role, @perm, @granted);
+      `);
+    }
+  };
+
+  const audit = {
+    async add({ at, actor, entity, entityId, action, oldValue, newValue }) {
+      const ins = await request();
+      ins.input('at', sql.DateTime2, at);
+      ins.input('actor', sql.VarChar, actor);
+      ins.input('entity', sql.VarChar, entity);
+      ins.input('entityId', sql.NVarChar, entityId);
+      ins.input('action', sql.VarChar, action);
+      ins.input('oldValue', sql.NVarChar(sql.MAX), oldValue);
+      ins.input('newValue', sql.NVarChar(sql.MAX), newValue);
+      await ins.query(`
+        INSERT INTO [dbo].[M5_Audit]
+          ([Date_Action],[Acteur],[Entite],[Entite_Id],[Action],[Ancienne_Valeur],[Nouvelle_Valeur])
+        VALUES (@at, @actor, @entity, @entityId, @action, @oldValue, @newValue);
+      `);
+    },
+
+    // { actor, entity, entityId, action, from, to, beforeId, limit, ascending } -> rows (+ Act_Nom / Act_Prenom)
+    async list(f = {}) {
+      const r = await request();
+      const conditions = [];
+      if (f.actor) {
+        r.input('actor', sql.VarChar, f.actor);
+        conditions.push('LTRIM(RTRIM(a.[Acteur])) = @actor');
+      }
+      if (f.entity) {
+        r.input('entity', sql.VarChar, f.entity);
+        conditions.push('a.[Entite] = @entity');
+      }
+      if (f.entityId) {
+        r.input('entityId', sql.NVarChar, f.entityId);
+        conditions.push('a.[Entite_Id] = @entityId');
+      }
+      if (f.action) {
+        r.input('action', sql.VarChar, f.action);
+        conditions.push('a.[Action] = @action');
+      }
+      if (f.from) {
+        r.input('from', sql.DateTime2, f.from);
+        conditions.push('a.[Date_Action] >= @from');
+      }
+      if (f.to) {
+        r.input('to', sql.DateTime2, f.to);
+        conditions.push('a.[Date_Action] <= @to');
+      }
+      if (f.beforeId) {
+        r.input('curId', sql.Int, f.beforeId);
+        conditions.push('a.[id] < @curId');
+      }
+
+      const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const dir = f.ascending ? 'ASC' : 'DESC';
+      const page = f.limit ? `OFFSET 0 ROWS FETCH NEXT ${Number(f.limit)} ROWS ONLY` : '';
+      const rows = await r.query(`
+        ${AUDIT_SELECT_SQL}
+        ${whereSql}
+        ORDER BY a.[id] ${dir}
+        ${page};
+      `);
+      return rows.recordset;
+    }
+  };
+
+  const users = {
+    // matricule compared without spaces; password only when asked for
+    async find(matricule, { withPassword = false } = {}) {
+      const find = await request();
+      find.input('mlle', sql.VarChar, String(matricule).trim());
+      const rows = await find.query(`
+        SELECT [Mlle],[Nom],[Prenom],[Role]${withPassword ? ',[Password]' : ''}
+        FROM [dbo].[M5_Users]
+        WHERE REPLACE(LTRIM(RTRIM([Mlle])),' ','') = REPLACE(@mlle,' ','')
+      `);
+      return rows.recordset[0] || null;
+    },
+
+    // { role, q, matricule } -> rows (+ declaredCount / correctedCount / assignedCount / avgResolutionMinutes)
+    async list(f) {
+      const r = await request();
+      const rows = await r.query(`
+        SELECT u.[Nom], u.[Prenom], u.[Mlle], u.[Role], ${USER_COUNTS_SQL}
+        FROM [dbo].[M5_Users] AS u
+        ${userWhere(r, f)}
+        ORDER BY u.[Nom] ASC, u.[Prenom] ASC;
+      `);
+      return rows.recordset;
+    },
+
+    stream(f) {
+      return stream((r) => `
+        SELECT u.[Nom], u.[Prenom], u.[Mlle], u.[Role], ${USER_COUNTS_SQL}
+        FROM [dbo].[M5_Users] AS u
+        ${userWhere(r, f)}
+        ORDER BY u.[Nom] ASC, u.[Prenom] ASC;
+      `);
+    },
+
+    async create(fields) {
+      const r = await request();
+      await r.query(insertSql(r, 'M5_Users', fields));
+    },
+
+    async update(matricule, fields) {
+      const r = await request();
+      r.input('mlle', sql.VarChar, String(matricule).trim());
+      const out = await r.query(`
+        UPDATE [dbo].[M5_Users]
+        SET ${setSql(r, 'M5_Users', fields)}
+        WHERE LTRIM(RTRIM([Mlle])) = LTRIM(RTRIM(@mlle));
+      `);
+      return out.rowsAffected?.[0] || 0;
+    },
+
+    async remove(matricule) {
+      const r = await request();
+      r.input('mlle', sql.VarChar, String(matricule).trim());
+      const out = await r.query(`
+        DELETE FROM [dbo].[M5_Users]
+        WHERE LTRIM(RTRIM([Mlle])) = LTRIM(RTRIM(@mlle))
+      `);
+      return out.rowsAffected?.[0] || 0;
+    }
+  };
+
+  const urgents = {
+    // -> M5_Urgent row + Decl_* / Corr_* joins, or null
+    async get(id) {
+      const sel = await request();
+      sel.input('id', sql.Int, id);
+      const rset = await sel.query(`
+        ${URGENT_SELECT_SQL}
+        ${URGENT_FROM_SQL}
+        WHERE urg.[id] = @id;
+      `);
+      return rset.recordset[0] || null;
+    },
+
+    async count(f) {
+      const r = await request();
+      const c = await r.query(`SELECT COUNT(*) AS total ${URGENT_FROM_SQL} ${urgentWhere(r, f)};`);
+      return c.recordset[0]?.total ?? 0;
+    },
+
+    /*
+     One page in sort order; rows carry _sortKey for the next cursor.
+     after: { v, id } of the last row of the previous page
+    */
+    async list(f, { sort = 'declaredAt', desc = true, after = null, limit }) {
+      const s = URGENT_SORTS[sort];
+      const r = await request();
+      const op = desc ? '<' : '>';
+      const keyset = [];
+      if (after) {
+        r.input('curVal', s.type, s.type === sql.DateTime2 ? new Date(after.v) : after.v);
+        r.input('curId', sql.Int, after.id);
+        keyset.push(`(${s.expr} ${op} @curVal OR (${s.expr} = @curVal AND urg.[id] ${op} @curId))`);
+      }
+      const dir = desc ? 'DESC' : 'ASC';
+      const rows = await r.query(`
+        ${URGENT_SELECT_SQL},
+          ${s.expr} AS _sortKey
+        ${URGENT_FROM_SQL}
+        ${urgentWhere(r, f, keyset)}
+        ORDER BY ${s.expr} ${dir}, urg.[id] ${dir}
+        OFFSET 0 ROWS FETCH NEXT ${Number(limit)} ROWS ONLY;
+      `);
+      return rows.recordset;
+    },
+
+    // every matching row, newest first (stats, wire history)
+    async all(f) {
+      const r = await request();
+      const rows = await r.query(`
+        ${URGENT_SELECT_SQL}
+        ${URGENT_FROM_SQL}
+        ${urgentWhere(r, f)}
+        ORDER BY urg.[Date_Declaration] DESC, urg.[id] DESC;
+      `);
+      return rows.recordset;
+    },
+
+    stream(f, { sort = 'declaredAt', desc = true } = {}) {
+      const s = URGENT_SORTS[sort];
+      const dir = desc ? 'DESC' : 'ASC';
+      return stream((r) => `
+        ${URGENT_SELECT_SQL}
+        ${URGENT_FROM_SQL}
+        ${urgentWhere(r, f)}
+        ORDER BY ${s.expr} ${dir}, urg.[id] ${dir};
+      `);
+    },
+
+    // distinct normalized machines of the matching rows, ascending
+    async machines(f, { after = null, limit } = {}) {
+      const r = await request();
+      let afterSql = '';
+      if (after !== null) {
+        r.input('after', sql.NVarChar, after);
+        afterSql = 'AND MNorm > @after';
+      }
+      const q = await r.query(`
+        ${distinctMachinesSql(r, f)}
+        SELECT DISTINCT MNorm AS Machine
+        FROM N
+        WHERE MNorm IS NOT NULL AND MNorm <> '' ${afterSql}
+        ORDER BY Machine ASC
+        ${limit ? `OFFSET 0 ROWS FETCH NEXT ${Number(limit)} ROWS ONLY` : ''};
+      `);
+      return q.recordset.map(x => x.Machine);
+    },
+
+    async countMachines(f) {
+      const r = await request();
+      const c = await r.query(`
+        ${distinctMachinesSql(r, f)}
+        SELECT COUNT(DISTINCT MNorm) AS total
+        FROM N
+        WHERE MNorm IS NOT NULL AND MNorm <> '';
+      `);
+      return c.recordset[0]?.total ?? 0;
+    },
+
+    /*
+     Latest open urgent of a Unico (optionally on one machine).
+     lock: inside a transaction, UPDLOCK + HOLDLOCK so two tablets declaring
+     the same wire at once queue up here.
+    */
+    async latestOpen(unico, { machine = null, lock = false } = {}) {
+      const find = await request();
+      find.input('unico', sql.NVarChar, String(unico).trim());
+      let machineSql = '';
+      if (machine) {
+        find.input('machine', sql.NVarChar, normMachine(machine));
+        machineSql = `AND ${normMachineSql('urg.[Machine]')} = @machine`;
+      }
+      const found = await find.query(`
+        SELECT TOP 1 urg.*
+        FROM [dbo].[M5_Urgent] AS urg ${lock ? 'WITH (UPDLOCK, HOLDLOCK)' : ''}
+        WHERE LTRIM(RTRIM(urg.[Unico])) = @unico
+          ${machineSql}
+          AND UPPER(urg.[Statut]) IN ${OPEN_STATUS_SQL}
+        ORDER BY urg.[Date_Declaration] DESC, urg.[id] DESC;
+      `);
+      return found.recordset[0] || null;
+    },
+
+    // -> new id
+    async insert(fields) {
+      const ins = await request();
+      const text = insertSql(ins, 'M5_Urgent', fields)
+        .replace(/\)\s*VALUES/, ')\n    OUTPUT INSERTED.id\n    VALUES');
+      const inserted = await ins.query(text);
+      const id = inserted.recordset?.[0]?.id;
+      if (!id) throw new Error(`INSERT returned no id for ${fields.Unico}`);
+      return id;
+    },
+
+    // -> rows affected (0 when `expect` no longer holds: someone else changed it)
+    async update(id, fields, expect) {
+      const upd = await request();
+      upd.input('id', sql.Int, id);
+      const guards = expectSql(upd, 'M5_Urgent', expect);
+      const changed = await upd.query(`
+        UPDATE [dbo].[M5_Urgent]
+        SET ${setSql(upd, 'M5_Urgent', fields)}
+        WHERE ${['[id] = @id', ...guards].join(' AND ')};
+      `);
+      return changed.rowsAffected?.[0] || 0;
+    },
+
+    // open urgents per normalized machine
+    async openLoad() {
+      const load = await (await request()).query(`
+        SELECT ${normMachineSql('[Machine]')} AS Machine,
+               COUNT(*) AS openCount,
+               MIN([Date_Declaration]) AS oldestAt,
+               SUM(CASE WHEN UPPER([Statut]) = '${OPEN_STATUSES[0]}' THEN 1 ELSE 0 END) AS pendingCount
+        FROM [dbo].[M5_Urgent]
+        WHERE UPPER([Statut]) IN ${OPEN_STATUS_SQL}
+        GROUP BY ${normMachineSql('[Machine]')};
+      `);
+      return load.recordset;
+    },
+
+    async openCount(unico) {
+      const r = await request();
+      r.input('unico', sql.NVarChar, String(unico).trim());
+      const c = await r.query(`
+        SELECT COUNT(*) AS openUrgents
+        FROM [dbo].[M5_Urgent]
+        WHERE LTRIM(RTRIM([Unico])) = @unico
+          AND UPPER([Statut]) IN ${OPEN_STATUS_SQL};
+      `);
+      return c.recordset[0]?.openUrgents ?? 0;
+    },
+
+    // open urgents declared before deadlines existed, not yet found unreadable
+    async openWithoutDeadline() {
+      const rows = await (await request()).query(`
+        SELECT [id],[Date_Declaration],[Temps_Restant]
+        FROM [dbo].[M5_Urgent]
+        WHERE UPPER([Statut]) IN ${OPEN_STATUS_SQL} AND [Date_Limite] IS NULL AND [Limite_Illisible] = 0
+          AND [Temps_Restant] IS NOT NULL AND LTRIM(RTRIM([Temps_Restant])) <> '';
+      `);
+      return rows.recordset;
+    },
+
+    // open urgents with a deadline and fewer than `levels` escalations
+    async escalationCandidates(levels) {
+      const r = await request();
+      r.input('levels', sql.TinyInt, levels);
+      const rows = await r.query(`
+        SELECT [id],[Unico],[Machine],[Type],[Date_Declaration],[Temps_Restant],[Date_Limite],[Escalade]
+        FROM [dbo].[M5_Urgent]
+        WHERE UPPER([Statut]) IN ${OPEN_STATUS_SQL} AND [Date_Limite] IS NOT NULL
+          AND [Escalade] < @levels;
+      `);
+      return rows.recordset;
+    }
+  };
+
+  // CTE "N" of the normalized machines of the matching urgents
+  function distinctMachinesSql(r, f) {
+    return `
+      ;WITH F AS (
+        SELECT urg.[Machine]
+        ${URGENT_FROM_SQL}
+        ${urgentWhere(r, f)}
+      ),
+      N AS (
+        SELECT
+          ${normMachineSql('[Machine]')} AS MNorm
+        FROM F
+        WHERE [Machine] IS NOT NULL
+          AND LTRIM(RTRIM([Machine])) <> ''
+          AND [Machine] <> '-'
+      )
+    `;
+  }
+
+  const wires = {
+    async list(f) {
+      const r = await request();
+      const rows = await r.query(`
+        SELECT [Unico], [Projet], [Emplacement], [Qte_Pq], [Machine], [Type]
+        FROM [dbo].[M5_Wires]
+        ${wireWhere(r, f)}
+        ORDER BY [Unico] ASC;
+      `);
+      return rows.recordset;
+    },
+
+    stream(f) {
+      return stream((r) => `
+        SELECT [Unico], [Projet], [Emplacement], [Qte_Pq], [Machine], [Type]
+        FROM [dbo].[M5_Wires]
+        ${wireWhere(r, f)}
+        ORDER BY [Unico] ASC;
+      `);
+    },
+
+    async get(unico) {
+      const sel = await request();
+      sel.input('unico', sql.NVarChar, String(unico).trim());
+      const rset = await sel.query(`
+        SELECT [Unico], [Projet], [Emplacement], [Qte_Pq], [Machine], [Type]
+        FROM [dbo].[M5_Wires]
+        WHERE LTRIM(RTRIM([Unico])) = @unico;
+      `);
+      return rset.recordset[0] || null;
+    },
+
+    // -> Set of the Unicos (trimmed) present in the catalog
+    async existing(unicos) {
+      if (!unicos.length) return new Set();
+      const r = await request();
+      const keys = unicos.map((u, i) => {
+        r.input(`u${i}`, sql.NVarChar, u);
+        return `@u${i}`;
+      });
+      const rows = await r.query(`
+        SELECT DISTINCT [Unico]
+        FROM [dbo].[M5_Wires]
+        WHERE [Unico] IN (${keys.join(',')});
+      `);
+      return new Set(rows.recordset.map(x => x.Unico?.trim()));
+    },
+
+    // catalog rows of these Unicos
+    async find(unicos) {
+      if (!unicos.length) return [];
+      const r = await request();
+      const keys = unicos.map((u, i) => {
+        r.input(`u${i}`, sql.NVarChar, u);
+        return `@u${i}`;
+      });
+      const rows = await r.query(`
+        SELECT [Unico],[Projet],[Emplacement],[Qte_Pq],[Machine],[Type]
+        FROM [dbo].[M5_Wires]
+        WHERE [Unico] IN (${keys.join(',')});
+      `);
+      return rows.recordset;
+    },
+
+    // every wire + the number of open urgents referencing it
+    async allWithOpenCounts() {
+      const rows = await (await request()).query(`
+        SELECT w.[Unico], w.[Projet], w.[Emplacement], w.[Qte_Pq], w.[Machine], w.[Type],
+          (SELECT COUNT(*) FROM [dbo].[M5_Urgent] AS urg
+            WHERE LTRIM(RTRIM(urg.[Unico])) = LTRIM(RTRIM(w.[Unico]))
+              AND UPPER(urg.[Statut]) IN ${OPEN_STATUS_SQL}) AS openUrgents
+        FROM [dbo].[M5_Wires] AS w;
+      `);
+      return rows.recordset;
+    },
+
+    async insert(fields) {
+      const r = await request();
+      await r.query(insertSql(r, 'M5_Wires', fields));
+    },
+
+    async update(unico, fields) {
+      const r = await request();
+      r.input('unico', sql.NVarChar, String(unico).trim());
+      const out = await r.query(`
+        UPDATE [dbo].[M5_Wires]
+        SET ${setSql(r, 'M5_Wires', fields)}
+        WHERE LTRIM(RTRIM([Unico])) = @unico;
+      `);
+      return out.rowsAffected?.[0] || 0;
+    },
+
+    async remove(unico) {
+      const r = await request();
+      r.input('unico', sql.NVarChar, String(unico).trim());
+      const out = await r.query(`DELETE FROM [dbo].[M5_Wires] WHERE LTRIM(RTRIM([Unico])) = @unico;`);
+      return out.rowsAffected?.[0] || 0;
+    },
+
+    // check and delete in one statement so a declaration can't slip in between
+    // -> { removed, openUrgents }
+    async removeUnlessOpen(unico) {
+      const del = await request();
+      del.input('unico', sql.NVarChar, String(unico).trim());
+      const out = await del.query(`
+        DELETE FROM [dbo].[M5_Wires]
+        WHERE LTRIM(RTRIM([Unico])) = @unico
+          AND NOT EXISTS (
+            SELECT 1 FROM [dbo].[M5_Urgent] AS urg
+            WHERE LTRIM(RTRIM(urg.[Unico])) = @unico
+              AND UPPER(urg.[Statut]) IN ${OPEN_STATUS_SQL}
+          );
+        SELECT COUNT(*) AS openUrgents
+        FROM [dbo].[M5_Urgent]
+        WHERE LTRIM(RTRIM([Unico])) = @unico
+          AND UPPER([Statut]) IN ${OPEN_STATUS_SQL};
+      `);
+      return { removed: !!out.rowsAffected[0], openUrgents: out.recordset[0]?.openUrgents ?? 0 };
+    }
+  };
+
+  const wireImports = {
+    // -> new id
+    async add(rec) {
+      const r = await request();
+      r.input('at', sql.DateTime2, rec.Date_Import);
+      r.input('by', sql.VarChar, rec.Importe_Par);
+      r.input('file', sql.NVarChar, rec.Fichier);
+      r.input('added', sql.Int, rec.Ajoutes);
+      r.input('changed', sql.Int, rec.Modifies);
+      r.input('removed', sql.Int, rec.Supprimes);
+      r.input('blocked', sql.Int, rec.Bloques);
+      const saved = await r.query(`
+        INSERT INTO [dbo].[M5_Wires_Imports]
+          ([Date_Import],[Importe_Par],[Fichier],[Ajoutes],[Modifies],[Supprimes],[Bloques])
+        OUTPUT INSERTED.id
+        VALUES (@at, @by, @file, @added, @changed, @removed, @blocked);
+      `);
+      return saved.recordset[0]?.id ?? null;
+    },
+
+    // newest first, + Nom / Prenom of the importer
+    async list(limit) {
+      const rows = await (await request()).query(`
+        SELECT TOP ${Number(limit)} i.*, u.[Nom], u.[Prenom]
+        FROM [dbo].[M5_Wires_Imports] AS i
+        LEFT JOIN [dbo].[M5_Users] AS u
+          ON LTRIM(RTRIM(u.[Mlle])) = LTRIM(RTRIM(i.[Importe_Par]))
+        ORDER BY i.[id] DESC;
+      `);
+      return rows.recordset;
+    }
+  };
+
+  const idempotency = {
+    async find(key, actor, since) {
+      const find = await request();
+      find.input('key', sql.NVarChar, key);
+      find.input('actor', sql.VarChar, actor);
+      find.input('since', sql.DateTime2, since);
+      const r = await find.query(`
+        SELECT [Route],[Empreinte],[Statut_Http],[Reponse]
+        FROM [dbo].[M5_Idempotence]
+        WHERE [Cle] = @key AND [Acteur] = @actor AND [Date_Creation] >= @since;
+      `);
+      return r.recordset[0] || null;
+    },
+
+    // drops the entries older than `expired`; a key already stored fails with a duplicate key error
+    async save({ key, actor, route, print, status, body, at }, expired) {
+      const ins = await request();
+      ins.input('key', sql.NVarChar, key);
+      ins.input('actor', sql.VarChar, actor);
+      ins.input('route', sql.VarChar, route);
+      ins.input('print', sql.Char(64), print);
+      ins.input('status', sql.Int, status);
+      ins.input('body', sql.NVarChar(sql.MAX), body);
+      ins.input('at', sql.DateTime2, at);
+      ins.input('expired', sql.DateTime2, expired);
+      await ins.query(`
+        DELETE FROM [dbo].[M5_Idempotence] WHERE [Date_Creation] < @expired;
+        INSERT INTO [dbo].[M5_Idempotence]
+          ([Cle],[Acteur],[Route],[Empreinte],[Statut_Http],[Reponse],[Date_Creation])
+        VALUES (@key, @actor, @route, @print, @status, @body, @at);
+      `);
+    }
+  };
+
+  const machines = {
+    async list() {
+      const rows = await (await request()).query(`SELECT * FROM [dbo].[M5_Machines] ORDER BY [Code];`);
+      return rows.recordset;
+    },
+
+    async aliases() {
+      const rows = await (await request()).query(`SELECT [Alias],[Code] FROM [dbo].[M5_Machines_Alias];`);
+      return rows.recordset;
+    },
+
+    async insert(fields) {
+      const r = await request();
+      await r.query(insertSql(r, 'M5_Machines', fields));
+    },
+
+    async update(code, fields) {
+      const r = await request();
+      r.input('code', sql.VarChar, code);
+      const out = await r.query(`UPDATE [dbo].[M5_Machines] SET ${setSql(r, 'M5_Machines', fields)} WHERE [Code] = @code;`);
+      return out.rowsAffected?.[0] || 0;
+    },
+
+    async setAliases(code, aliases) {
+      const del = await request();
+      del.input('code', sql.VarChar, code);
+      await del.query(`DELETE FROM [dbo].[M5_Machines_Alias] WHERE [Code] = @code;`);
+      for (const alias of aliases) {
+        const ins = await request();
+        ins.input('alias', sql.VarChar, alias);
+        ins.input('code', sql.VarChar, code);
+        await ins.query(`INSERT INTO [dbo].[M5_Machines_Alias] ([Alias],[Code]) VALUES (@alias, @code);`);
+      }
+    }
+  };
+
+  const webhooks = {
+    async list() {
+      const rows = await (await request()).query(`SELECT * FROM [dbo].[M5_Webhooks] ORDER BY [id];`);
+      return rows.recordset;
+    },
+
+    async get(id) {
+      const r = await request();
+      r.input('id', sql.Int, id);
+      const rows = await r.query(`SELECT * FROM [dbo].[M5_Webhooks] WHERE [id] = @id;`);
+      return rows.recordset[0] || null;
+    },
+
+    // -> new id
+    async insert(fields) {
+      const r = await request();
+      const text = insertSql(r, 'M5_Webhooks', fields)
+        .replace(/\)\s*VALUES/, ')\n    OUTPUT INSERTED.id\n    VALUES');
+      const saved = await r.query(text);
+      return saved.recordset[0]?.id ?? null;
+    },
+
+    async update(id, fields) {
+      const r = await request();
+      r.input('id', sql.Int, id);
+      const out = await r.query(`UPDATE [dbo].[M5_Webhooks] SET ${setSql(r, 'M5_Webhooks', fields)} WHERE [id] = @id;`);
+      return out.rowsAffected?.[0] || 0;
+    },
+
+    // deliveries go with it (ON DELETE CASCADE)
+    async remove(id) {
+      const r = await request();
+      r.input('id', sql.Int, id);
+      const out = await r.query(`DELETE FROM [dbo].[M5_Webhooks] WHERE [id] = @id;`);
+      return out.rowsAffected?.[0] || 0;
+    }
+  };
+
+  const webhookDeliveries = {
+    // -> new id
+    async add(fields) {
+      const r = await request();
+      const text = insertSql(r, 'M5_Webhooks_Livraisons', fields)
+        .replace(/\)\s*VALUES/, ')\n    OUTPUT INSERTED.id\n    VALUES');
+      const saved = await r.query(text);
+      return saved.recordset[0]?.id ?? null;
+    },
+
+    async get(id) {
+      const r = await request();
+      r.input('id', sql.Int, id);
+      const rows = await r.query(`${DELIVERY_SELECT_SQL} WHERE d.[id] = @id;`);
+      return rows.recordset[0] || null;
+    },
+
+    // pending deliveries whose time has come, and sends whose lease ran out (crashed instance)
+    async due(now, limit) {
+      const r = await request();
+      r.input('now', sql.DateTime2, now);
+      const rows = await r.query(`
+        ${DELIVERY_SELECT_SQL}
+        WHERE d.[Etat] IN ('pending', 'sending') AND d.[Prochain_Essai] <= @now
+        ORDER BY d.[Prochain_Essai], d.[id]
+        OFFSET 0 ROWS FETCH NEXT ${Number(limit)} ROWS ONLY;
+      `);
+      return rows.recordset;
+    },
+
+    // -> rows affected (0 when `expect` no longer holds: another instance claimed it)
+    async update(id, fields, expect) {
+      const upd = await request();
+      upd.input('id', sql.Int, id);
+      const guards = expectSql(upd, 'M5_Webhooks_Livraisons', expect);
+      const changed = await upd.query(`
+        UPDATE [dbo].[M5_Webhooks_Livraisons]
+        SET ${setSql(upd, 'M5_Webhooks_Livraisons', fields)}
+        WHERE ${['[id] = @id', ...guards].join(' AND ')};
+      `);
+      return changed.rowsAffected?.[0] || 0;
+    },
+
+    // { webhookId, states, event, beforeId, limit } -> rows newest first (+ Url)
+    async list(f = {}) {
+      const r = await request();
+      const conditions = [];
+      if (f.webhookId) {
+        r.input('webhookId', sql.Int, f.webhookId);
+        conditions.push('d.[Webhook_Id] = @webhookId');
+      }
+      if (f.states?.length) {
+        const keys = f.states.map((st, i) => {
+          r.input(`state${i}`, sql.VarChar, st);
+          return `@state${i}`;
+        });
+        conditions.push(`d.[Etat] IN (${keys.join(',')})`);
+      }
+      if (f.event) {
+        r.input('event', sql.VarChar, f.event);
+        conditions.push('d.[Evenement] = @event');
+      }
+      if (f.beforeId) {
+        r.input('curId', sql.Int, f.beforeId);
+        conditions.push('d.[id] < @curId');
+      }
+
+      const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+      const page = f.limit ? `OFFSET 0 ROWS FETCH NEXT ${Number(f.limit)} ROWS ONLY` : '';
+      const rows = await r.query(`
+        ${DELIVERY_SELECT_SQL}
+        ${whereSql}
+        ORDER BY d.[id] DESC
+        ${page};
+      `);
+      return rows.recordset;
+    },
+
+    // delivered rows older than `before` -> count removed (dead letters stay until retried)
+    async prune(before) {
+      const r = await request();
+      r.input('before', sql.DateTime2, before);
+      const out = await r.query(`
+        DELETE FROM [dbo].[M5_Webhooks_Livraisons]
+        WHERE [Etat] = 'delivered' AND [Date_Livraison] < @before;
+      `);
+      return out.rowsAffected?.[0] || 0;
+    }
+  };
+
+  const loginAttempts = {
+    async get(key) {
+      const r = await request();
+      r.input('key', sql.VarChar, key);
+      const rows = await r.query(`SELECT * FROM [dbo].[M5_Connexions_Echecs] WHERE [Cle] = @key;`);
+      return rows.recordset[0] || null;
+    },
+
+    async list() {
+      const rows = await (await request()).query(`SELECT * FROM [dbo].[M5_Connexions_Echecs] ORDER BY [Cle];`);
+      return rows.recordset;
+    },
+
+    // a key already stored fails with a duplicate key error
+    async insert(fields) {
+      const r = await request();
+      await r.query(insertSql(r, 'M5_Connexions_Echecs', fields));
+    },
+
+    // -> rows affected (0 when `expect` no longer holds: another instance counted first)
+    async update(key, fields, expect) {
+      const upd = await request();
+      upd.input('key', sql.VarChar, key);
+      const guards = expectSql(upd, 'M5_Connexions_Echecs', expect);
+      const changed = await upd.query(`
+        UPDATE [dbo].[M5_Connexions_Echecs]
+        SET ${setSql(upd, 'M5_Connexions_Echecs', fields)}
+        WHERE ${['[Cle] = @key', ...guards].join(' AND ')};
+      `);
+      return changed.rowsAffected?.[0] || 0;
+    },
+
+    async remove(key) {
+      const r = await request();
+      r.input('key', sql.VarChar, key);
+      const out = await r.query(`DELETE FROM [dbo].[M5_Connexions_Echecs] WHERE [Cle] = @key;`);
+      return out.rowsAffected?.[0] || 0;
+    },
+
+    // keys whose last failure and lock both ended before `before` -> count removed
+    async prune(before) {
+      const r = await request();
+      r.input('before', sql.DateTime2, before);
+      const out = await r.query(`
+        DELETE FROM [dbo].[M5_Connexions_Echecs]
+        WHERE [Dernier_Echec] < @before AND ([Verrou_Jusqu] IS NULL OR [Verrou_Jusqu] < @before);
+      `);
+      return out.rowsAffected?.[0] || 0;
+    }
+  };
+
+  return {
+    permissions, audit, users, urgents, wires, wireImports, idempotency, machines, webhooks, webhookDeliveries,
+    loginAttempts
+  };
+}
+
+/*
+ config: mssql connection config
+ onReady(repos): run once after the schema check, before the first query is served
+*/
+function createMssqlStore(config, { onReady } = {}) {
+  // ---- single, shared pool (a failed start is retried on the next query) ----
+  let poolPromise;
+  function getPool() {
+    if (!poolPromise) {
+      poolPromise = new sql.ConnectionPool(config).connect()
+        .then(async pool => {
+          await ensureSchema(pool);
+          if (onReady) await onReady(repositories(async () => pool));
+          return pool;
+        })
+        .catch(e => {
+          poolPromise = null;
+          throw e;
+        });
+    }
+    return poolPromise;
+  }
+
+  return {
+    backend: 'mssql',
+    ...repositories(getPool),
+
+    ready: () => getPool().then(() => {}),
+
+    // -> repositories bound to the transaction, + commit() / rollback()
+    async begin() {
+      const tx = new sql.Transaction(await getPool());
+      await tx.begin();
+      return {
+        ...repositories(async () => tx),
+        commit: () => tx.commit(),
+        rollback: () => tx.rollback()
+      };
+    }
+  };
+}
+
+module.exports = { createMssqlStore };
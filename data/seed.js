@@ -0,0 +1,106 @@
+// Demo data for the memory backend (DATA_BACKEND=memory, disable with DATA_SEED=false)
+const { STATUS } = require('./common');
+
+/*
+ Demo logins (matricule / password). Passwords are stored in clear like the
+ old rows of M5_Users, and get hashed on the first login.
+*/
+const USERS = [
+  { Mlle: '1000', Nom: 'ADMIN', Prenom: 'Demo', Role: 'Admin', Password: 'admin' },
+  { Mlle: '1935', Nom: 'HANIFA', Prenom: 'Salma', Role: 'Cutting', Password: 'cutting' },
+  { Mlle: '1936', Nom: 'BENALI', Prenom: 'Youssef', Role: 'Cutting', Password: 'cutting' },
+  { Mlle: '588', Nom: 'AISSAM', Prenom: 'Karim', Role: 'Opera', Password: 'opera' },
+  { Mlle: '612', Nom: 'EL IDRISSI', Prenom: 'Nadia', Role: 'Opera', Password: 'opera' },
+  { Mlle: '2040', Nom: 'MOUSSAOUI', Prenom: 'Omar', Role: 'Alimentation', Password: 'alim' }
+];
+
+const MACHINES = [
+  { Code: 'MC01', Ligne: 'L1', Coupe: true, Twist: false },
+  { Code: 'MC02', Ligne: 'L1', Coupe: true, Twist: false },
+  { Code: 'MC14', Ligne: 'L2', Coupe: true, Twist: true },
+  { Code: 'MC27', Ligne: 'L2', Coupe: true, Twist: false },
+  { Code: 'TW03', Ligne: 'L3', Coupe: false, Twist: true },
+  { Code: 'TW04', Ligne: 'L3', Coupe: false, Twist: true, Statut: 'maintenance', Motif_Statut: 'Blade change', Statut_Par: '1000' }
+];
+
+const ALIASES = [
+  { Alias: 'MC1', Code: 'MC01' },
+  { Alias: 'MC2', Code: 'MC02' },
+  { Alias: 'KOMAX27', Code: 'MC27' },
+  { Alias: 'TW3', Code: 'TW03' }
+];
+
+const WIRES = [
+  { Unico: 'LH-148031', Projet: 'K9', Emplacement: 'A-01-03', Qte_Pq: 200, Machine: 'MC27', Type: 'COUPE' },
+  { Unico: 'LH-148032', Projet: 'K9', Emplacement: 'A-01-04', Qte_Pq: 200, Machine: 'MC27', Type: 'COUPE' },
+  { Unico: 'LH-150210', Projet: 'K9', Emplacement: 'A-02-01', Qte_Pq: 100, Machine: 'MC01', Type: 'COUPE' },
+  { Unico: 'LH-150211', Projet: 'B12', Emplacement: 'A-02-02', Qte_Pq: 100, Machine: 'MC02', Type: 'COUPE' },
+  { Unico: 'LH-160400', Projet: 'B12', Emplacement: 'B-01-01', Qte_Pq: 50, Machine: 'MC14', Type: 'COUPE' },
+  { Unico: 'TW-200118', Projet: 'B12', Emplacement: 'C-03-02', Qte_Pq: 50, Machine: 'TW03', Type: 'TWIST' },
+  { Unico: 'TW-200119', Projet: 'X5', Emplacement: 'C-03-03', Qte_Pq: 50, Machine: 'MC14', Type: 'TWIST' },
+  { Unico: 'TW-200250', Projet: 'X5', Emplacement: 'C-04-01', Qte_Pq: 25, Machine: 'TW04', Type: 'TWIST' }
+];
+
+// [unico, machine, type, declared (minutes ago), declarer, time remaining, status, corrector, done (minutes ago)]
+const URGENTS = [
+  ['LH-148031', 'MC27', 'COUPE', 25, '588', '45 min', STATUS.DECLARED],
+  ['LH-150210', 'MC01', 'COUPE', 50, '612', '1h', STATUS.ACKNOWLEDGED, '1935', 40],
+  ['TW-200118', 'TW03', 'TWIST', 70, '2040', '1h30', STATUS.IN_PROGRESS, '1936', 30],
+  ['LH-160400', 'MC14', 'COUPE', 95, '588', '30', STATUS.DECLARED],
+  ['LH-148032', 'MC27', 'COUPE', 180, '588', '1h', STATUS.RESOLVED, '1935', 140],
+  ['LH-150211', 'MC02', 'COUPE', 300, '612', '2h', STATUS.RESOLVED, '1936', 210],
+  ['TW-200119', 'MC14', 'TWIST', 1500, '2040', '45', STATUS.RESOLVED, '1935', 1460],
+  ['LH-150210', 'MC01', 'COUPE', 1620, '612', '1h', STATUS.CANCELLED, '612', 1600]
+];
+
+// tables: see emptyTables() in data/memory.js
+function seedTables(tables) {
+  const ago = (minutes) => new Date(Date.now() - minutes * 60000);
+
+  tables.M5_Users.push(...USERS.map(u => ({ ...u })));
+  tables.M5_Machines.push(...MACHINES.map(m => ({
+    Ligne: null, Statut: 'running', Motif_Statut: null, Statut_Par: null,
+    ...m,
+    Date_Statut: m.Statut_Par ? ago(120) : null
+  })));
+  tables.M5_Machines_Alias.push(...ALIASES.map(a => ({ ...a })));
+  tables.M5_Wires.push(...WIRES.map(w => ({ ...w })));
+
+  for (const [unico, machine, type, declared, by, remaining, status, actor, doneAgo] of URGENTS) {
+    const at = ago(declared);
+    const done = actor ? ago(doneAgo) : null;
+    tables.M5_Urgent.push({
+      id: ++tables.ids.M5_Urgent,
+      Unico: unico,
+      Machine: machine,
+      Type: type,
+      Statut: status,
+      Date_Declaration: at,
+      Declarer_Par: by,
+      Temps_Restant: remaining,
+      Date_Limite: null,   // filled from Temps_Restant by the first escalation check
+      Limite_Illisible: false,
+      Escalade: 0,
+      Date_Escalade: null,
+      Plan_B: '0',
+      McPb: null,
+      Plan_B_Par: null,
+      Date_Plan_B: null,
+      Acquitte_Par: status === STATUS.ACKNOWLEDGED ? actor : null,
+      Date_Acquittement: status === STATUS.ACKNOWLEDGED ? done : null,
+      Debute_Par: status === STATUS.IN_PROGRESS ? actor : null,
+      Date_Debut: status === STATUS.IN_PROGRESS ? done : null,
+      // starting claims the urgent
+      Assigne_A: status === STATUS.IN_PROGRESS ? actor : null,
+      Assigne_Par: status === STATUS.IN_PROGRESS ? actor : null,
+      Date_Assignation: status === STATUS.IN_PROGRESS ? done : null,
+      Corriger_Par: status === STATUS.RESOLVED ? actor : null,
+      Date_Correction: status === STATUS.RESOLVED ? done : null,
+      Annule_Par: status === STATUS.CANCELLED ? actor : null,
+      Date_Annulation: status === STATUS.CANCELLED ? done : null,
+      Motif_Annulation: status === STATUS.CANCELLED ? 'Declared twice' : null
+    });
+  }
+}
+
+module.exports = seedTables;
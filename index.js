@@ -1,925 +1,4866 @@
 // server.js
 require('dotenv').config();
 const express = require('express');
-const sql = require('mssql');
 const cors = require('cors');
-const http = require('http');                 // ⬅️ added
-const { Server } = require('socket.io');      // ⬅️ added
+const http = require('http');
+const { Server } = require('socket.io');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const jwt = require('jsonwebtoken');
+const ExcelJS = require('exceljs');
+const swaggerUi = require('swagger-ui-dist');
+const { createStore, loadSites, STATUS, OPEN_STATUSES, normMachine, URGENT_SORT_KEYS } = require('./data');
+const S = require('./schema');                // request schemas, see validate() / GET /openapi.json
+const { validate } = S;
+const { openApiDocument, docsPage } = require('./openapi');
+const { shiftReportPage } = require('./reports');
+const { andonPage } = require('./andon');
+const { createLoginLimiter, memoryAttempts } = require('./limiter');
 
 const app = express();
+// behind a reverse proxy, req.ip (login limiter) must come from X-Forwarded-For:
+// TRUST_PROXY=1 (hops), loopback, 10.0.0.0/8, ... see Express "trust proxy"
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(cors());
 app.use(express.json());
 
-const PORT = process.env.PORT || 3000;
-const HOST = process.env.HOST || "0.0.0.0";
+const PORT = process.env.PORT || 3000;
+const HOST = process.env.HOST || "0.0.0.0";
+
+
+/* ===================== Socket.IO ===================== */
+const server = http.createServer(app);        // ⬅️ wrap Express in HTTP server
+const io = new Server(server, {
+  cors: { origin: '*', methods: ['GET','POST','PATCH','PUT','DELETE'] }
+});
+app.set('io', io);                            // ⬅️ so we can grab io in handlers
+
+/*
+ Handshake: io(url, { auth: { token } })   (token from POST /auth/login)
+ No token = "Anonymous" role; the role needs urgent:read to connect.
+
+ Rooms:
+   mc:MC27 / type:coupe   joined with  socket.emit('subscribe', { machines: ['MC27'], types: ['coupe'] }, ack)
+   role:Admin             joined automatically, for the socket's own role only (escalation,
+                          lockout notices); { roles: [...] } cannot join another role's room
+   all                    every socket without machine/type subscriptions (old tablets)
+ A socket with subscriptions gets the union of its rooms.
+
+ Sites: every site has its own namespace, io(`${url}/m5b`); the default namespace
+ is the default site. Rooms and events never cross namespaces.
+*/
+const ALL_ROOM = 'all';
+const machineRoom = (m) => `mc:${String(m).trim().toUpperCase()}`;
+const typeRoom = (t) => `type:${String(t).trim().toLowerCase()}`;
+const roleRoom = (r) => `role:${String(r).trim()}`;
+
+async function authSocket(socket, next) {
+  try {
+    const hs = socket.handshake;
+    const bearer = /^Bearer\s+(\S+)$/i.exec(String(hs.headers?.authorization || '').trim());
+    const token = hs.auth?.token || hs.query?.token || bearer?.[1];
+
+    let user = null;
+    if (token) {
+      const who = await userFromToken(token);
+      if (who.error) return next(new Error(who.error));
+      user = who.user;
+    }
+
+    const role = user ? (user.Role || '').trim() : ANONYMOUS_ROLE;
+    if (!(await hasPermission(role, 'urgent:read'))) {
+      return next(new Error(user
+        ? `Forbidden: role "${role}" lacks permission "urgent:read".`
+        : 'Authentication required (auth: { token }).'));
+    }
+
+    socket.data.role = role;
+    socket.data.user = user && {
+      matricule: String(user.Mlle).trim(),
+      fullName: `${(user.Prenom || '').trim()} ${(user.Nom || '').trim()}`.trim(),
+      role
+    };
+    next();
+  } catch (e) {
+    console.error('❌ socket auth error:', e);
+    next(new Error('Failed to authenticate.'));
+  }
+}
+
+// { machine, machines, type, types, role, roles } -> room names
+// ownRole: the only role room a socket may name (other roles are dropped)
+function roomsFrom(msg, ownRole = null) {
+  const list = (one, many) => [
+    ...(Array.isArray(many) ? many : []),
+    ...(ok(one) ? [one] : [])
+  ].filter(ok);
+  const m = msg || {};
+  return [
+    ...list(m.machine, m.machines).map(machineRoom),
+    ...list(m.type, m.types).map(typeRoom),
+    ...list(m.role, m.roles)
+      .map(knownRole)
+      .filter(r => r && r === ownRole)
+      .map(roleRoom)
+  ];
+}
+
+// sockets without machine/type filters keep receiving everything
+function syncAllRoom(socket) {
+  const filtered = [...socket.rooms].some(r => r.startsWith('mc:') || r.startsWith('type:'));
+  if (filtered) socket.leave(ALL_ROOM);
+  else socket.join(ALL_ROOM);
+}
+
+function subscribedRooms(socket) {
+  return [...socket.rooms].filter(r => r !== socket.id);
+}
+
+function onSocket(socket) {
+  const hs = socket.handshake.auth || {};
+  socket.join(ALL_ROOM);
+  socket.join(roleRoom(socket.data.role));
+  if (hs.subscribe) {
+    socket.join(roomsFrom(hs.subscribe, socket.data.role));
+    syncAllRoom(socket);
+  }
+
+  // reconnect: io(url, { auth: { token, subscribe, epoch, since: lastSeq } })
+  socket.emit('events:hello', { epoch: EVENT_EPOCH, seq: currentSite().eventSeq });
+  if (hs.since !== undefined && hs.since !== null) {
+    socket.emit('events:replay', replayEvents(hs.since, hs.epoch, socket.rooms));
+  }
+
+  socket.on('events:replay', bindSite((msg, ack) => {
+    if (typeof ack === 'function') ack(replayEvents(msg?.since, msg?.epoch, socket.rooms));
+  }));
+
+  socket.on('subscribe', (msg, ack) => {
+    socket.join(roomsFrom(msg, socket.data.role));
+    syncAllRoom(socket);
+    if (typeof ack === 'function') ack({ rooms: subscribedRooms(socket) });
+  });
+
+  socket.on('unsubscribe', (msg, ack) => {
+    for (const room of roomsFrom(msg, socket.data.role)) socket.leave(room);
+    syncAllRoom(socket);
+    if (typeof ack === 'function') ack({ rooms: subscribedRooms(socket) });
+  });
+}
+
+function serveSockets(nsp, siteId) {
+  nsp.use((socket, next) => siteContext.run(openSite(siteId), () => authSocket(socket, next)));
+  nsp.on('connection', (socket) => siteContext.run(openSite(siteId), () => onSocket(socket)));
+}
+
+/* ---- event log ----
+ Every urgent event carries `seq` (monotonic per site and process) and is kept in a
+ bounded log so a client that dropped off can ask for what it missed:
+   socket.emit('events:replay', { epoch, since: lastSeq }, ack)   or   GET /events?epoch=&since=
+ EVENT_EPOCH changes on every restart; a different epoch or a `since` older
+ than the log means the client must reload the board ({ resync: true }).
+*/
+const EVENT_LOG_SIZE = toInt(process.env.EVENT_LOG_SIZE, 1000);
+const EVENT_EPOCH = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+
+// -> { epoch, seq, events: [{ seq, event, at, payload }] } | { resync: true, reason, epoch, seq }
+function replayEvents(since, epoch, rooms) {
+  const { eventLog, eventSeq } = currentSite();   // eventLog: [{ seq, event, at, rooms, payload }], oldest first
+  const from = Number(since);
+  const resync = (reason) => ({ resync: true, reason, epoch: EVENT_EPOCH, seq: eventSeq });
+
+  if (!Number.isInteger(from) || from < 0) return resync('Invalid "since".');
+  if (ok(epoch) && String(epoch) !== EVENT_EPOCH) return resync('Server restarted since your last event.');
+  if (from > eventSeq) return resync('"since" is ahead of the server.');
+  const oldest = eventLog.length ? eventLog[0].seq : eventSeq + 1;
+  if (from < oldest - 1) return resync('Missed events are no longer in the log.');
+
+  const wanted = rooms ? new Set(rooms) : null;
+  const events = eventLog
+    .filter(e => e.seq > from)
+    .filter(e => !wanted || e.rooms.some(r => wanted.has(r)))
+    .map(({ seq, event, at, payload }) => ({ seq, event, at, payload }));
+  return { epoch: EVENT_EPOCH, seq: eventSeq, events };
+}
+
+/*
+ Sends an urgent event with the full row to the sockets interested in it:
+ its machine room, its type room, unfiltered sockets, plus any extra rooms.
+ `by` is kept for tablets written against the old trimmed payloads.
+*/
+function emitUrgent(event, row, extra = {}, extraRooms = []) {
+  const rooms = [ALL_ROOM, ...extraRooms];
+  if (row.machine) rooms.push(machineRoom(row.machine));
+  if (row.type) rooms.push(typeRoom(row.type));
+
+  const site = currentSite();
+  const seq = ++site.eventSeq;
+  const payload = { ...row, ...extra, seq };
+  site.eventLog.push({ seq, event, at: new Date(), rooms, payload });
+  if (site.eventLog.length > EVENT_LOG_SIZE) site.eventLog.splice(0, site.eventLog.length - EVENT_LOG_SIZE);
+
+  siteEmit(rooms, event, payload);
+  streamUrgent(event, seq, rooms, payload);
+  if (WEBHOOK_EVENTS.includes(event)) queueWebhooks(event, payload, rooms);
+  queueCheckSoon();
+}
+
+/* ===================== Sites ===================== */
+/*
+ SITES / SITES_FILE list the plants and lines served, each with its own database
+ (see data/index.js); without them there is a single site, "default".
+ A request picks its site with
+   /site/<id>/urgent?...   URL prefix (screens, links)
+   X-Site: <id>            header (tablets, other systems)
+ and gets the default site (DEFAULT_SITE, or the first listed) with neither.
+ Each site has its own store (opened at start, the pool connects on first use), caches, event log,
+ login counts and socket namespace. The site being served travels with the request
+ in siteContext: `store`, the caches and the events below always mean that site.
+*/
+const SITES = loadSites();
+const DEFAULT_SITE = String(process.env.DEFAULT_SITE || SITES[0].id).trim().toLowerCase();
+if (!SITES.some(s => s.id === DEFAULT_SITE))
+  throw new Error(`DEFAULT_SITE "${DEFAULT_SITE}" is not in SITES. Allowed: ${SITES.map(s => s.id).join(', ')}`);
+
+const siteContext = new AsyncLocalStorage();
+const openSites = new Map();   // id -> site, created at start (or on first use, before that)
+
+// seed the defaults of pairs never decided yet (new permissions / first start)
+async function seedPermissions(db) {
+  let seeded = 0;
+  for (const role of [...ROLES, ANONYMOUS_ROLE]) {
+    for (const perm of PERMISSIONS) {
+      seeded += await db.permissions.addMissing(role, perm, (DEFAULT_PERMISSIONS[role] || []).includes(perm));
+    }
+  }
+  if (seeded) console.log(`🛠️  M5_Permissions: ${seeded} default grant(s) seeded`);
+}
+
+// -> the site's state, null for an unknown id
+function openSite(id) {
+  if (openSites.has(id)) return openSites.get(id);
+  const def = SITES.find(s => s.id === id);
+  if (!def) return null;
+
+  // DATA_BACKEND=mssql (default, the plant database) | memory (seeded demo data), see data/
+  const siteStore = createStore({ backend: def.backend, db: def.db, onReady: seedPermissions });
+  const site = {
+    id: def.id,
+    name: def.name,
+    backend: siteStore.backend,
+    store: siteStore,
+    namespaces: [io.of(`/${def.id}`), ...(def.id === DEFAULT_SITE ? [io.of('/')] : [])],
+    loginLimiter: createSiteLoginLimiter(siteStore),
+    eventLog: [],
+    eventSeq: 0,
+    permissionCache: null,
+    machineCache: null,
+    webhookCache: null,
+    queueOrder: null,   // ids of the work queue, last seen
+    queueTimer: null,
+    escalationRunning: false,
+    webhookRunning: false
+  };
+  openSites.set(def.id, site);
+  if (SITES.length > 1) console.log(`🏭 site ${site.id} (${site.name}) opened: ${site.backend}`);
+  return site;
+}
+
+// the site being served (a single-site setup needs no context)
+function currentSite() {
+  const site = siteContext.getStore();
+  if (site) return site;
+  if (SITES.length === 1) return openSite(DEFAULT_SITE);
+  throw new Error('No site in context (run the call inside siteContext.run()).');
+}
+
+// fn bound to the current site, for callbacks fired outside the request (socket events)
+function bindSite(fn) {
+  const site = currentSite();
+  return (...args) => siteContext.run(site, () => fn(...args));
+}
+
+// job() once per configured site, in that site's context (schedulers): a site nobody
+// has called since the restart still gets its escalations and webhook retries
+function forEachSite(job) {
+  return () => {
+    for (const { id } of SITES) siteContext.run(openSite(id), job);
+  };
+}
+
+// the store of the site being served
+const store = new Proxy({}, {
+  get: (_, key) => currentSite().store[key]
+});
+
+// rooms = null: every socket of the site
+function siteEmit(rooms, event, payload) {
+  for (const nsp of currentSite().namespaces) (rooms ? nsp.to(rooms) : nsp).emit(event, payload);
+}
+
+for (const def of SITES) serveSockets(io.of(`/${def.id}`), def.id);
+serveSockets(io.of('/'), DEFAULT_SITE);
+
+// /site/<id>/... -> /...   (or X-Site: <id>)
+app.use((req, res, next) => {
+  const prefixed = /^\/site\/([^/?]+)(.*)$/.exec(req.url);
+  let id = prefixed ? prefixed[1] : req.get('X-Site') || DEFAULT_SITE;
+  try {
+    id = decodeURIComponent(id).trim().toLowerCase();
+  } catch { /* left as sent: unknown */ }
+
+  const site = openSite(id);
+  if (!site) return res.status(404).json({ error: `Unknown site "${id}".`, allowed: SITES.map(s => s.id) });
+
+  if (prefixed) req.url = prefixed[2].startsWith('/') ? prefixed[2] : `/${prefixed[2]}`;
+  req.site = site;
+  res.set('X-Site', site.id);
+  siteContext.run(site, next);
+});
+
+// ---- helpers ----
+function toInt(v, def) {
+  const n = parseInt(v, 10);
+  return Number.isFinite(n) && n > 0 ? n : def;
+}
+function ok(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+function isOn(value, def) {
+  if (!ok(value)) return def;
+  return !['0', 'false', 'off', 'no'].includes(String(value).trim().toLowerCase());
+}
+// "a, b,,c" -> ['a', 'b', 'c']
+function listOf(value) {
+  return ok(value) ? String(value).split(',').map(x => x.trim()).filter(Boolean) : [];
+}
+
+/* ===================== Auth ===================== */
+// Tokens are signed with AUTH_SECRET. Without it a random secret is used,
+// so every token is invalidated when the process restarts.
+const AUTH_SECRET = process.env.AUTH_SECRET || crypto.randomBytes(32).toString('hex');
+const AUTH_TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '12h';
+// ⚠️ Deprecated: matricule + password in the JSON body of write routes (old tablets).
+const LEGACY_BODY_AUTH = isOn(process.env.LEGACY_BODY_AUTH, true);
+
+if (!process.env.AUTH_SECRET)
+  console.warn('⚠️ AUTH_SECRET is not set: tokens will not survive a restart.');
+
+/* ---- password hashing ----
+ Stored as  scrypt$<salt b64>$<hash b64>  (≈ 70 chars; the mssql backend widens [Password] to NVARCHAR(100)).
+ Rows still holding a plaintext password are accepted once and re-hashed on that login.
+*/
+const scryptAsync = (plain, salt) => new Promise((resolve, reject) =>
+  crypto.scrypt(plain, salt, 32, (err, key) => (err ? reject(err) : resolve(key)))
+);
+
+async function hashPassword(plain) {
+  const salt = crypto.randomBytes(16);
+  const key = await scryptAsync(String(plain).trim(), salt);
+  return `scrypt$${salt.toString('base64')}$${key.toString('base64')}`;
+}
+
+function isHashed(stored) {
+  return String(stored || '').startsWith('scrypt$');
+}
+
+async function verifyPassword(plain, stored) {
+  const candidate = String(plain).trim();
+  const saved = String(stored || '').trim();
+  if (!saved) return false;
+
+  if (!isHashed(saved)) {
+    const a = Buffer.from(candidate);
+    const b = Buffer.from(saved);
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  const [, salt, hash] = saved.split('$');
+  const expected = Buffer.from(hash || '', 'base64');
+  const key = await scryptAsync(candidate, Buffer.from(salt || '', 'base64'));
+  return key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// db: store or open transaction
+async function setUserPassword(db, matricule, plain) {
+  await db.users.update(matricule, { Password: await hashPassword(plain) });
+}
+
+// Returns the user row (never the password) or null.
+async function findUserByCredentials(db, matricule, password) {
+  const row = await db.users.find(matricule, { withPassword: true });
+  if (!row || !(await verifyPassword(password, row.Password))) return null;
+
+  // transparent migration of legacy plaintext rows
+  if (!isHashed(row.Password)) {
+    try {
+      await setUserPassword(db, row.Mlle, password);
+    } catch (e) {
+      console.error('⚠️ password re-hash failed for', String(row.Mlle).trim(), e.message);
+    }
+  }
+
+  const { Password, ...user } = row;
+  return user;
+}
+
+async function findUserByMatricule(db, matricule) {
+  return db.users.find(matricule);
+}
+
+function signToken(user) {
+  return jwt.sign(
+    { sub: String(user.Mlle).trim(), role: (user.Role || '').trim(), site: currentSite().id },
+    AUTH_SECRET,
+    { expiresIn: AUTH_TOKEN_TTL }
+  );
+}
+
+// -> { user } | { status, error }
+async function userFromToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, AUTH_SECRET);
+  } catch {
+    return { status: 401, error: 'Invalid or expired token.' };
+  }
+  // a matricule only means something in the database of the site that issued the token
+  if ((payload.site || DEFAULT_SITE) !== currentSite().id)
+    return { status: 401, error: `Token issued for site "${payload.site || DEFAULT_SITE}", log in on this one.` };
+  const user = await findUserByMatricule(store, payload.sub);
+  if (!user) return { status: 401, error: 'User no longer exists.' };
+  return { user };
+}
+
+/* ---- login limiter ----
+ Every credential check goes through checkCredentials(): failures are counted per matricule
+ and per caller IP, with a growing wait and then a lockout (see limiter.js). Lockouts are
+ written to the audit trail (entity "login"), pushed to the Admin room as 'auth:lockout' and
+ listed / lifted with GET /auth/lockouts, POST /auth/unlock.
+ LOGIN_LIMITER_STORE=memory    counts in this process (default)
+ LOGIN_LIMITER_STORE=database  counts in M5_Connexions_Echecs, shared by every instance
+*/
+const LOGIN_LIMITER_STORES = ['memory', 'database'];
+const LOGIN_LIMITER_STORE = String(process.env.LOGIN_LIMITER_STORE || 'memory').trim().toLowerCase();
+if (!LOGIN_LIMITER_STORES.includes(LOGIN_LIMITER_STORE))
+  throw new Error(`Unknown LOGIN_LIMITER_STORE "${process.env.LOGIN_LIMITER_STORE}". Allowed: ${LOGIN_LIMITER_STORES.join(', ')}`);
+const LOGIN_WINDOW_MS = toInt(process.env.LOGIN_WINDOW_MINUTES, 15) * 60000;
+
+// limiter records <-> M5_Connexions_Echecs rows
+function attemptsInStore(repo) {
+  const toRecord = (r) => r && {
+    key: r.Cle,
+    failures: r.Echecs,
+    firstAt: r.Premier_Echec,
+    lastAt: r.Dernier_Echec,
+    waitUntil: r.Attente_Jusqu,
+    lockedUntil: r.Verrou_Jusqu,
+    lockouts: r.Verrouillages
+  };
+  return {
+    get: async (key) => toRecord(await repo.get(key)),
+    list: async () => (await repo.list()).map(toRecord),
+    async save(r, previous) {
+      const fields = {
+        Echecs: r.failures, Premier_Echec: r.firstAt, Dernier_Echec: r.lastAt,
+        Attente_Jusqu: r.waitUntil, Verrou_Jusqu: r.lockedUntil, Verrouillages: r.lockouts
+      };
+      if (previous) {
+        const expect = { Echecs: previous.failures, Dernier_Echec: previous.lastAt, Verrouillages: previous.lockouts };
+        return (await repo.update(r.key, fields, expect)) > 0;
+      }
+      try {
+        await repo.insert({ Cle: r.key, ...fields });
+        return true;
+      } catch (e) {
+        if (isDuplicateKeyError(e)) return false;
+        throw e;
+      }
+    },
+    remove: async (key) => (await repo.remove(key)) > 0,
+    prune: (before) => repo.prune(before)
+  };
+}
+
+// one limiter per site: matricules only mean something in their own database
+function createSiteLoginLimiter(siteStore) {
+  return createLoginLimiter({
+    backend: LOGIN_LIMITER_STORE === 'database' ? attemptsInStore(siteStore.loginAttempts) : memoryAttempts(),
+    rules: {
+      mlle: { free: toInt(process.env.LOGIN_FREE_FAILURES, 2), max: toInt(process.env.LOGIN_MAX_FAILURES, 5) },
+      // a whole line of tablets can sit behind one address
+      ip: { free: toInt(process.env.LOGIN_IP_FREE_FAILURES, 10), max: toInt(process.env.LOGIN_IP_MAX_FAILURES, 30) }
+    },
+    delayMs: toInt(process.env.LOGIN_DELAY_MS, 1000),
+    maxDelayMs: toInt(process.env.LOGIN_MAX_DELAY_MS, 30000),
+    lockMs: toInt(process.env.LOGIN_LOCK_MINUTES, 15) * 60000,
+    maxLockMs: toInt(process.env.LOGIN_MAX_LOCK_MINUTES, 24 * 60) * 60000,
+    windowMs: LOGIN_WINDOW_MS
+  });
+}
+
+const loginLimiter = () => currentSite().loginLimiter;
+
+const matriculeKey = (matricule) => `mlle:${String(matricule).trim().replace(/ /g, '')}`;
+const ipKey = (req) => `ip:${req.ip || req.socket?.remoteAddress || 'unknown'}`;
+
+// "mlle:588" -> { kind: 'matricule', value: '588' }   (IPv6 addresses keep their colons)
+function splitLoginKey(key) {
+  const at = key.indexOf(':');
+  const kind = key.slice(0, at);
+  return { kind: kind === 'mlle' ? 'matricule' : kind, value: key.slice(at + 1) };
+}
+
+async function reportLockout(req, record) {
+  const { kind, value } = splitLoginKey(record.key);
+  const notice = {
+    key: record.key, kind, value,
+    lockedUntil: record.lockedUntil, lockouts: record.lockouts, ip: req.ip, at: record.lastAt
+  };
+  console.warn(`🔒 login locked: ${record.key} until ${record.lockedUntil.toISOString()} (lockout #${record.lockouts}, from ${req.ip})`);
+  siteEmit([roleRoom('Admin')], 'auth:lockout', notice);
+  try {
+    await audit(store, {
+      actor: null, entity: 'login', entityId: record.key, action: 'lockout',
+      newValue: { lockedUntil: record.lockedUntil, lockouts: record.lockouts, ip: req.ip }
+    });
+  } catch (e) {
+    console.error('⚠️ lockout audit failed:', e.message);
+  }
+}
+
+async function pruneLoginAttempts() {
+  try {
+    await loginLimiter().prune();
+  } catch (e) {
+    console.error('❌ login limiter cleanup error:', e);
+  }
+}
+
+function startLoginLimiterCleanup() {
+  setInterval(forEachSite(pruneLoginAttempts), LOGIN_WINDOW_MS);
+  console.log(`🔒 login limiter: ${LOGIN_LIMITER_STORE} store, failures kept ${LOGIN_WINDOW_MS / 60000} min`);
+}
+
+/*
+ findUserByCredentials() behind the login limiter.
+ -> { user }              (user = null: wrong matricule or password)
+ -> { status: 429, error, retryAfter }   Retry-After is set on `res`
+*/
+async function checkCredentials(req, res, matricule, password) {
+  const mlle = matriculeKey(matricule);
+  const { blocked, counted } = await loginLimiter().attempt([ipKey(req), mlle]);
+
+  if (blocked) {
+    const retryAfter = Math.max(1, Math.ceil((blocked.until.getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfter));
+    return {
+      status: 429,
+      error: blocked.locked
+        ? `Too many failed attempts: locked until ${blocked.until.toISOString()}.`
+        : `Too many failed attempts: try again in ${retryAfter} s.`,
+      retryAfter
+    };
+  }
+
+  const user = await findUserByCredentials(store, matricule, password);
+  if (user) {
+    await loginLimiter().succeed(mlle);
+    await loginLimiter().forgive(ipKey(req));
+  }
+
+  for (const { record, locked } of counted) {
+    if (locked && !(user && record.key === mlle)) await reportLockout(req, record);
+  }
+  return { user };
+}
+
+/*
+ Identifies the caller from
+   Authorization: Bearer <token>          (see POST /auth/login)
+ or, while LEGACY_BODY_AUTH is on, from the deprecated body form
+   { [legacyField]: '588', password: '...' }
+ -> { user }  (user = M5_Users row, null when no credentials were sent)
+ -> { status, error, retryAfter? }
+*/
+async function identify(req, res, legacyField) {
+  const header = String(req.headers.authorization || '').trim();
+  const bearer = /^Bearer\s+(\S+)$/i.exec(header);
+
+  if (bearer) return userFromToken(bearer[1]);
+
+  const body = req.body || {};
+  if (LEGACY_BODY_AUTH && legacyField && body[legacyField] && body.password) {
+    const check = await checkCredentials(req, res, body[legacyField], body.password);
+    if (check.error) return check;
+    const { user } = check;
+    if (!user) return { status: 401, error: 'Invalid matricule or password.' };
+    res.set('Deprecation', 'true');
+    res.set('Warning', '299 - "Body credentials are deprecated, use POST /auth/login"');
+    return { user };
+  }
+
+  return { user: null };
+}
+
+/*
+ Route guard: resolves req.user and checks the caller's role against the
+ permission matrix (see M5_Permissions below). Callers without credentials
+ get the "Anonymous" role. permission = null only requires a logged-in user.
+*/
+function authorize(permission, legacyField) {
+  const guard = async (req, res, next) => {
+    try {
+      const who = await identify(req, res, legacyField);
+      if (who.error) return res.status(who.status).json({ error: who.error, retryAfter: who.retryAfter });
+      req.user = who.user;
+
+      if (!permission) {
+        if (!req.user)
+          return res.status(401).json({ error: 'Authentication required (Authorization: Bearer <token>).' });
+        return next();
+      }
+
+      const role = req.user ? (req.user.Role || '').trim() : ANONYMOUS_ROLE;
+      if (await hasPermission(role, permission)) return next();
+
+      if (!req.user)
+        return res.status(401).json({ error: 'Authentication required (Authorization: Bearer <token>).', permission });
+      return res.status(403).json({ error: `Forbidden: role "${role}" lacks permission "${permission}".`, permission, role });
+    } catch (e) {
+      console.error('❌ auth error:', e);
+      res.status(500).json({ error: 'Failed to authenticate.' });
+    }
+  };
+  guard.permission = permission;   // for the OpenAPI document
+  return guard;
+}
+
+function requireAuth(legacyField) {
+  return authorize(null, legacyField);
+}
+
+// badge numbers come as text, or as numbers from the tablets' numeric fields
+const matriculeSchema = (extra) => S.text({ type: ['string', 'integer'], description: 'Badge number', ...extra });
+
+// ⚠️ Deprecated body credentials accepted next to the payload (see identify())
+const legacyAuthFields = (field) => ({
+  [field]: matriculeSchema({ deprecated: true, description: 'Deprecated: use Authorization: Bearer <token>' }),
+  password: S.text({ deprecated: true })
+});
+
+/* ---------------------------------------------------------------
+POST /auth/login  { matricule, password } -> { token }
+--------------------------------------------------------------- */
+app.post('/auth/login', validate({
+  summary: 'Log in with a badge number and password',
+  body: S.object({ matricule: matriculeSchema(), password: S.text() }, ['matricule', 'password']),
+  responses: {
+    200: 'Bearer token and the user',
+    401: 'Invalid matricule or password',
+    429: 'Too many failed attempts for this matricule or address (see Retry-After)'
+  }
+}), async (req, res) => {
+  try {
+    const { matricule, password } = req.body;
+
+    const check = await checkCredentials(req, res, matricule, password);
+    if (check.error) return res.status(check.status).json({ error: check.error, retryAfter: check.retryAfter });
+    const { user } = check;
+    if (!user)
+      return res.status(401).json({ error: 'Invalid matricule or password.' });
+
+    const token = signToken(user);
+    const { exp } = jwt.decode(token);
+
+    res.json({
+      token,
+      tokenType: 'Bearer',
+      expiresAt: new Date(exp * 1000),
+      user: {
+        matricule: String(user.Mlle).trim(),
+        fullName: `${(user.Prenom || '').trim()} ${(user.Nom || '').trim()}`.trim(),
+        role: (user.Role || '').trim()
+      }
+    });
+  } catch (e) {
+    console.error('❌ POST /auth/login error:', e);
+    res.status(500).json({ error: 'Failed to log in.' });
+  }
+});
+
+// Who am I (token check for the tablets)
+app.get('/auth/me', requireAuth(), validate({ summary: 'The logged-in user' }), (req, res) => {
+  const user = req.user;
+  res.json({
+    matricule: String(user.Mlle).trim(),
+    fullName: `${(user.Prenom || '').trim()} ${(user.Nom || '').trim()}`.trim(),
+    role: (user.Role || '').trim()
+  });
+});
+
+/* ---------------------------------------------------------------
+GET /auth/lockouts   matricules / addresses with recent failed logins
+ ?locked=true  only the ones locked right now
+--------------------------------------------------------------- */
+function mapLoginRecord(r) {
+  return {
+    key: r.key,
+    ...splitLoginKey(r.key),
+    failures: r.failures,
+    firstFailureAt: r.firstAt,
+    lastFailureAt: r.lastAt,
+    locked: r.locked,
+    lockedUntil: r.locked ? r.lockedUntil : null,
+    waitUntil: r.waiting ? r.waitUntil : null,
+    lockouts: r.lockouts
+  };
+}
+
+app.get('/auth/lockouts', authorize('logins:manage'), validate({
+  summary: 'Failed logins and lockouts',
+  description: 'Keys are `mlle:<matricule>` and `ip:<address>`; past lockouts are in GET /audit?entity=login.',
+  query: S.object({ locked: S.boolean() })
+}), async (req, res) => {
+  try {
+    const onlyLocked = isOn(req.query.locked, false);
+    const results = (await loginLimiter().list())
+      .filter(r => !onlyLocked || r.locked)
+      .sort((a, b) => Number(b.locked) - Number(a.locked) || b.lastAt - a.lastAt)
+      .map(mapLoginRecord);
+    res.json({ count: results.length, store: LOGIN_LIMITER_STORE, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch lockouts' });
+  }
+});
+
+/* ---------------------------------------------------------------
+POST /auth/unlock  { matricule } | { ip }   (both: clears the two keys)
+--------------------------------------------------------------- */
+app.post('/auth/unlock', authorize('logins:manage'), validate({
+  summary: 'Lift a lockout',
+  description: 'Clears the failures counted for the matricule and/or address (lockout history included).',
+  body: S.object({
+    matricule: matriculeSchema(),
+    ip: S.text({ maxLength: 100, example: '10.71.5.40' })
+  }, [], { anyOf: [{ required: ['matricule'] }, { required: ['ip'] }] }),
+  responses: { 200: 'Keys cleared', 404: 'Nothing recorded for them' }
+}), async (req, res) => {
+  try {
+    const keys = [
+      ...(ok(req.body.matricule) ? [matriculeKey(req.body.matricule)] : []),
+      ...(ok(req.body.ip) ? [`ip:${String(req.body.ip).trim()}`] : [])
+    ];
+
+    const unlocked = [];
+    for (const key of keys) {
+      if (await loginLimiter().unlock(key)) unlocked.push(key);
+    }
+    if (!unlocked.length)
+      return res.status(404).json({ error: 'No failed logins recorded for them.', keys });
+
+    for (const key of unlocked) {
+      await audit(store, { actor: req.user, entity: 'login', entityId: key, action: 'unlock' });
+    }
+    res.json({ success: true, unlocked });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to unlock' });
+  }
+});
+
+/* ===================== Permissions ===================== */
+const ROLES = ['Admin', 'Cutting', 'Opera', 'Alimentation'];
+const ANONYMOUS_ROLE = 'Anonymous';   // callers without credentials (dashboards, TV screens)
+
+// "admin" -> "Admin": role names match case-insensitively, as the role rooms need; null when unknown
+const knownRole = (r) => [...ROLES, ANONYMOUS_ROLE].find(x => x.toLowerCase() === String(r).trim().toLowerCase()) || null;
+
+const PERMISSIONS = [
+  'urgent:read',        // GET /urgent, /urgent/machines, /machines, /reports/shift
+  'urgent:declare',     // POST /urgent
+  'urgent:resolve',     // PATCH /urgent/resolve
+  'urgent:planb',       // PATCH/DELETE /urgent/:id/planb
+  'urgent:acknowledge', // PATCH /urgent/:id/acknowledge
+  'urgent:start',       // PATCH /urgent/:id/start
+  'urgent:cancel',      // PATCH /urgent/:id/cancel
+  'urgent:reopen',      // PATCH /urgent/:id/reopen
+  'urgent:claim',       // PATCH /urgent/:id/claim, release of your own claim
+  'urgent:assign',      // PATCH /urgent/:id/assign, /reassign, release of anyone's
+  'users:read',         // GET /users
+  'users:manage',       // POST/PUT/DELETE /users
+  'wires:read',         // GET /wires
+  'wires:manage',       // wire catalog maintenance
+  'machines:manage',    // POST/PUT /machines
+  'machines:status',    // PATCH /machines/:code/status
+  'permissions:manage', // GET/PUT /permissions
+  'audit:read',         // GET /audit
+  'webhooks:manage',    // /webhooks, /webhook-deliveries
+  'logins:manage',      // GET /auth/lockouts, POST /auth/unlock
+  'sites:read'          // GET /sites/summary (every site)
+];
+
+// Seeded into M5_Permissions when the table is first created
+const DEFAULT_PERMISSIONS = {
+  Admin: PERMISSIONS,
+  Opera: ['urgent:read', 'urgent:declare', 'urgent:planb', 'urgent:cancel', 'urgent:reopen', 'wires:read'],
+  Alimentation: ['urgent:read', 'urgent:declare', 'urgent:cancel', 'urgent:reopen', 'wires:read'],
+  Cutting: ['urgent:read', 'urgent:resolve', 'urgent:acknowledge', 'urgent:start', 'urgent:claim', 'wires:read', 'machines:status'],
+  [ANONYMOUS_ROLE]: ['urgent:read', 'wires:read']
+};
+
+// Matrix cache: Map(role lowercased -> Set(permission)), reloaded every 30s or after a PUT
+const PERMISSION_CACHE_MS = 30000;
+async function loadPermissions(force) {
+  const site = currentSite();   // site.permissionCache
+  if (!force && site.permissionCache && Date.now() - site.permissionCache.at < PERMISSION_CACHE_MS)
+    return site.permissionCache.matrix;
+
+  const rows = await store.permissions.grants();
+
+  const matrix = new Map();
+  for (const r of rows) {
+    const role = String(r.Role).trim().toLowerCase();
+    if (!matrix.has(role)) matrix.set(role, new Set());
+    matrix.get(role).add(String(r.Permission).trim());
+  }
+  site.permissionCache = { at: Date.now(), matrix };
+  return matrix;
+}
+
+async function hasPermission(role, permission) {
+  // Admin can always fix the matrix, whatever was saved
+  if (role === 'Admin' && permission === 'permissions:manage') return true;
+  const matrix = await loadPermissions();
+  return !!matrix.get(String(role || '').trim().toLowerCase())?.has(permission);
+}
+
+/* ---------------------------------------------------------------
+GET /permissions  -> { permissions: [...], roles: { Admin: [...], ... } }
+--------------------------------------------------------------- */
+app.get('/permissions', authorize('permissions:manage'), validate({ summary: 'Permission matrix' }), async (req, res) => {
+  try {
+    const matrix = await loadPermissions(true);
+    const roles = {};
+    for (const role of [...ROLES, ANONYMOUS_ROLE]) {
+      const granted = matrix.get(role.toLowerCase()) || new Set();
+      roles[role] = PERMISSIONS.filter(p => granted.has(p));
+    }
+    res.json({ permissions: PERMISSIONS, roles });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch permissions' });
+  }
+});
+
+/* ---------------------------------------------------------------
+PUT /permissions/:role  { permissions: ['urgent:read', ...] }
+(replaces every grant of the role)
+--------------------------------------------------------------- */
+app.put('/permissions/:role', authorize('permissions:manage'), validate({
+  summary: 'Replace every grant of a role',
+  params: S.object({ role: S.enumOf([...ROLES, ANONYMOUS_ROLE], { ignoreCase: true }) }, ['role']),
+  body: S.object({ permissions: S.array(S.enumOf(PERMISSIONS)) }, ['permissions'])
+}), async (req, res) => {
+  const role = [...ROLES, ANONYMOUS_ROLE]
+    .find(r => r.toLowerCase() === req.params.role.trim().toLowerCase());
+  const list = [...new Set(req.body.permissions.map(p => p.trim()))];
+
+  let tx;
+  try {
+    const before = (await loadPermissions(true)).get(role.toLowerCase()) || new Set();
+
+    tx = await store.begin();
+    for (const perm of PERMISSIONS) {
+      await tx.permissions.set(role, perm, list.includes(perm));
+    }
+
+    await audit(tx, {
+      actor: req.user, entity: 'permissions', entityId: role, action: 'update',
+      oldValue: PERMISSIONS.filter(p => before.has(p)),
+      newValue: PERMISSIONS.filter(p => list.includes(p))
+    });
+
+    await tx.commit();
+    await loadPermissions(true);
+
+    res.json({ role, permissions: PERMISSIONS.filter(p => list.includes(p)) });
+  } catch (e) {
+    console.error(e);
+    if (tx) await tx.rollback().catch(() => {});
+    res.status(500).json({ error: 'Failed to update permissions' });
+  }
+});
+
+/* ---- paging ----
+ ?limit=100          (default 100, max 1000)
+ ?cursor=<nextCursor of the previous page>
+ ?total=false        skip the COUNT(*) query
+ Cursors are opaque (base64url JSON of the last row's sort value + id).
+*/
+const PAGE_DEFAULT = 100;
+const PAGE_MAX = 1000;
+
+function pageLimit(query) {
+  return Math.min(toInt(query.limit, PAGE_DEFAULT), PAGE_MAX);
+}
+
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+const PAGE_QUERY = {
+  limit: S.integer({ minimum: 1, description: `Page size (default ${PAGE_DEFAULT}, capped at ${PAGE_MAX})` }),
+  cursor: S.text({ description: 'nextCursor of the previous page' })
+};
+
+/* ===================== Audit ===================== */
+/*
+ Append-only trail in M5_Audit (nothing updates or deletes it).
+ db: store or open transaction, so the entry commits with the change it describes.
+ actor: M5_Users row, matricule string, or null for the server itself (escalations).
+ Values are stored as JSON; never pass passwords in them.
+*/
+async function audit(db, { actor, entity, entityId, action, oldValue, newValue }) {
+  const who = actor && typeof actor === 'object' ? actor.Mlle : actor;
+  await db.audit.add({
+    at: new Date(),
+    actor: ok(who) ? String(who).trim() : null,
+    entity,
+    entityId: entityId === undefined || entityId === null ? null : String(entityId),
+    action,
+    oldValue: oldValue === undefined ? null : JSON.stringify(oldValue),
+    newValue: newValue === undefined ? null : JSON.stringify(newValue)
+  });
+}
+
+/*
+ fn(tx) inside store.begin(), for a change and its audit entry: both commit, or
+ neither does (rolled back when fn throws). -> what fn returns
+ Inside fn, read and write through `tx` only (the memory store is locked meanwhile).
+*/
+async function inTransaction(fn) {
+  const tx = await store.begin();
+  try {
+    const out = await fn(tx);
+    await tx.commit();
+    return out;
+  } catch (e) {
+    await tx.rollback().catch(() => {});
+    throw e;
+  }
+}
+
+// M5_Users row -> audit value (no password)
+function userAuditValue(r) {
+  return {
+    matricule: r.Mlle?.trim() || null,
+    firstName: r.Prenom?.trim() || null,
+    lastName: r.Nom?.trim() || null,
+    role: r.Role?.trim() || null
+  };
+}
+
+const parseJson = (v) => {
+  if (v === null || v === undefined) return null;
+  try { return JSON.parse(v); } catch { return v; }
+};
+
+// M5_Audit row (+ actor join) -> API shape
+function mapAuditRow(r) {
+  return {
+    id: r.id,
+    at: r.Date_Action,
+    actor: r.Acteur
+      ? {
+        matricule: String(r.Acteur).trim(),
+        fullName: (r.Act_Prenom || r.Act_Nom)
+          ? `${(r.Act_Prenom || '').trim()} ${(r.Act_Nom || '').trim()}`.trim()
+          : null
+      }
+      : null,
+    entity: r.Entite,
+    entityId: r.Entite_Id,
+    action: r.Action,
+    oldValue: parseJson(r.Ancienne_Valeur),
+    newValue: parseJson(r.Nouvelle_Valeur)
+  };
+}
+
+/* -------------------------------------------------
+ GET /audit  (newest first)
+  ?actor=588  ?entity=urgent|user|permissions|login  ?entityId=42  ?action=resolve
+  ?from=2025-10-21T00:00:00  ?to=2025-10-22T23:59:59
+  ?limit= ?cursor=  (paging, see above)
+------------------------------------------------- */
+app.get('/audit', authorize('audit:read'), validate({
+  summary: 'Audit trail, newest first',
+  query: S.object({
+    actor: S.text(),
+    entity: S.text({ example: 'urgent' }),
+    entityId: S.text(),
+    action: S.text({ example: 'resolve' }),
+    from: S.dateTime(),
+    to: S.dateTime(),
+    ...PAGE_QUERY
+  })
+}), async (req, res) => {
+  try {
+    const filter = {};
+
+    if (ok(req.query.actor)) filter.actor = String(req.query.actor).trim();
+    if (ok(req.query.entity)) filter.entity = String(req.query.entity).trim().toLowerCase();
+    if (ok(req.query.entityId)) filter.entityId = String(req.query.entityId).trim();
+    if (ok(req.query.action)) filter.action = String(req.query.action).trim().toLowerCase();
+    if (ok(req.query.from)) filter.from = toValidDate(req.query.from);
+    if (ok(req.query.to)) filter.to = toValidDate(req.query.to);
+    if (ok(req.query.cursor)) {
+      const cur = decodeCursor(req.query.cursor);
+      if (!cur || !Number.isInteger(cur.id)) {
+        return res.status(400).json({ error: 'Invalid cursor.' });
+      }
+      filter.beforeId = cur.id;
+    }
+
+    const limit = pageLimit(req.query);
+    const rows = await store.audit.list({ ...filter, limit: limit + 1 });
+
+    const page = rows.slice(0, limit);
+    const results = page.map(mapAuditRow);
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ id: page[page.length - 1].id })
+      : null;
+
+    res.json({ count: results.length, limit, nextCursor, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch audit trail' });
+  }
+});
+
+/* ===================== Urgent: shared query parts ===================== */
+const toValidDate = (s) => {
+  const d = new Date(s);
+  return isNaN(d.getTime()) ? null : d;
+};
+
+// ?status= also accepts these names (and "open" = every non-final status)
+const STATUS_ALIASES = {
+  open: OPEN_STATUSES,
+  declared: [STATUS.DECLARED],
+  acknowledged: [STATUS.ACKNOWLEDGED],
+  in_progress: [STATUS.IN_PROGRESS],
+  resolved: [STATUS.RESOLVED],
+  cancelled: [STATUS.CANCELLED]
+};
+
+function statusList(value) {
+  return [...new Set(String(value)
+    .split(',')
+    .map(v => v.trim())
+    .filter(Boolean)
+    .flatMap(v => STATUS_ALIASES[v.toLowerCase()] || [v.toUpperCase()]))];
+}
+
+/* -------------------------------------------------
+ Filters:
+  ?status=OK|NOK|ACK|EN_COURS|ANNULE|open   (comma list, see STATUS_ALIASES)
+  ?machine=MC27
+  ?machines=MC1,MC2,MC3
+  ?machineLike=MC
+  ?unico=LH-148031
+  ?from=2025-10-21T00:00:00
+  ?to=2025-10-22T23:59:59
+  ?declaredBy=588|AISSAM
+  ?correctedBy=1935|HANIFA
+  ?assignedTo=1935
+ -> filter for store.urgents (see data/)
+ machineFilters: false for routes that list machines themselves.
+------------------------------------------------- */
+function urgentFilter(query, { machineFilters = true } = {}) {
+  const filter = {};
+
+  // ---- simple filters
+  if (ok(query.status)) {
+    const statuses = statusList(query.status);
+    if (statuses.length) filter.statuses = statuses;
+  }
+
+  if (ok(query.unico)) filter.unico = String(query.unico).trim();
+
+  if (ok(query.from)) filter.from = toValidDate(query.from);
+  if (ok(query.to)) filter.to = toValidDate(query.to);
+
+  // 🔍 who declared / corrected (matricule, last or first name)
+  if (ok(query.declaredBy)) filter.declaredBy = String(query.declaredBy).trim();
+  if (ok(query.correctedBy)) filter.correctedBy = String(query.correctedBy).trim();
+  if (ok(query.assignedTo)) filter.assignedTo = String(query.assignedTo).trim();
+
+  if (!machineFilters) return filter;
+
+  // ---- robust machine filters
+  if (ok(query.machines)) {
+    const list = String(query.machines)
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean);
+
+    if (list.length) filter.machines = list.map(normMachine);
+  } else if (ok(query.machine)) {
+    filter.machines = [normMachine(query.machine)];
+  }
+
+  if (ok(query.machineLike)) filter.machineLike = normMachine(query.machineLike);
+
+  return filter;
+}
+
+// the filters above as request schemas
+const URGENT_FILTER_QUERY = {
+  status: S.array(S.enumOf([...Object.keys(STATUS_ALIASES), ...Object.values(STATUS)], { ignoreCase: true }),
+    { description: 'Status codes or names, "open" = every non-final status' }),
+  unico: S.text({ description: 'Unico contains' }),
+  from: S.dateTime({ description: 'Declared at or after' }),
+  to: S.dateTime({ description: 'Declared at or before' }),
+  declaredBy: S.text({ description: 'Matricule, last or first name' }),
+  correctedBy: S.text({ description: 'Matricule, last or first name' }),
+  assignedTo: matriculeSchema({ description: 'Matricule of the assignee' })
+};
+const MACHINE_FILTER_QUERY = {
+  machine: S.text(),
+  machines: S.array(S.text(), { description: 'Takes precedence over machine' }),
+  machineLike: S.text()
+};
+
+// Plan_B holds 1/0 on new rows, free text ('1', 'OUI', 'X', ...) on old ones
+function planBOf(value) {
+  if (typeof value === 'boolean') return value;
+  return isOn(value, false) && !['non', 'n'].includes(String(value).trim().toLowerCase());
+}
+
+// M5_Urgent row (+ Decl_* / Corr_* joins) -> API shape
+function mapUrgentRow(r) {
+  const base = {
+    id: r.id,
+    unico: r.Unico?.trim(),
+    declaredAt: r.Date_Declaration,
+    correctedAt: r.Date_Correction,
+    status: r.Statut,
+    machine: r.Machine?.trim() || null,
+    planB: planBOf(r.Plan_B),
+    mcPb: r.McPb?.trim() || null,
+    type: r.Type ? String(r.Type).toLowerCase() : null,
+    timeRemaining: r.Temps_Restant?.trim() || null,
+    deadline: r.Date_Limite ?? null,
+    escalation: r.Escalade
+      ? { level: ESCALATION_LEVELS[r.Escalade - 1]?.name || `level-${r.Escalade}`, at: r.Date_Escalade ?? null }
+      : null,
+  };
+
+  base.declaredBy = {
+    matricule: r.Declarer_Par ? String(r.Declarer_Par).trim() : null,
+    "full name": (r.Decl_Prenom || r.Decl_Nom)
+      ? `${(r.Decl_Prenom || '').trim()} ${(r.Decl_Nom || '').trim()}`.trim()
+      : null,
+    role: r.Decl_Role ? String(r.Decl_Role).trim() : null
+  };
+
+  base.acknowledged = r.Acquitte_Par
+    ? { by: String(r.Acquitte_Par).trim(), at: r.Date_Acquittement ?? null }
+    : null;
+  base.started = r.Debute_Par
+    ? { by: String(r.Debute_Par).trim(), at: r.Date_Debut ?? null }
+    : null;
+  base.planBSwitched = r.Plan_B_Par
+    ? { by: String(r.Plan_B_Par).trim(), at: r.Date_Plan_B ?? null }
+    : null;
+  base.assigned = r.Assigne_A
+    ? {
+      matricule: String(r.Assigne_A).trim(),
+      "full name": (r.Asg_Prenom || r.Asg_Nom)
+        ? `${(r.Asg_Prenom || '').trim()} ${(r.Asg_Nom || '').trim()}`.trim()
+        : null,
+      by: r.Assigne_Par ? String(r.Assigne_Par).trim() : null,
+      at: r.Date_Assignation ?? null
+    }
+    : null;
+  base.cancelled = r.Annule_Par
+    ? { by: String(r.Annule_Par).trim(), at: r.Date_Annulation ?? null, reason: r.Motif_Annulation ?? null }
+    : null;
+
+  if (r.Corriger_Par) {
+    base.correctedBy = {
+      matricule: String(r.Corriger_Par).trim(),
+      "full name": (r.Corr_Prenom || r.Corr_Nom)
+        ? `${(r.Corr_Prenom || '').trim()} ${(r.Corr_Nom || '').trim()}`.trim()
+        : null,
+      role: r.Corr_Role ? String(r.Corr_Role).trim() : null
+    };
+  } else {
+    base.correctedBy = null;
+  }
+
+  return base;
+}
+
+// db: store or open transaction
+async function fetchUrgentRow(db, id) {
+  const row = await db.urgents.get(id);
+  return row ? mapUrgentRow(row) : null;
+}
+
+const URGENT_ID_PARAMS = S.object({ id: S.integer({ minimum: 1 }) }, ['id']);
+
+const URGENT_FIELDS = [
+  'id', 'unico', 'declaredAt', 'correctedAt', 'status', 'machine', 'planB',
+  'mcPb', 'planBSwitched', 'type', 'timeRemaining', 'deadline', 'escalation', 'declaredBy', 'correctedBy',
+  'acknowledged', 'started', 'assigned', 'cancelled'
+];
+
+/* -------------------------------------------------
+ GET /urgent  — filters above, plus
+  ?sort=declaredAt|correctedAt|machine|status   ("-" prefix = descending, default -declaredAt)
+  ?fields=id,unico,status,declaredBy            (trim the payload)
+  ?limit= ?cursor= ?total=false                 (paging, see above)
+------------------------------------------------- */
+const URGENT_SORT_QUERY = {
+  sort: S.enumOf(URGENT_SORT_KEYS.flatMap(k => [k, `-${k}`]), { description: '"-" prefix = descending, default -declaredAt' })
+};
+
+app.get('/urgent', authorize('urgent:read'), validate({
+  summary: 'Urgents, filtered and paged',
+  query: S.object({
+    ...URGENT_FILTER_QUERY,
+    ...MACHINE_FILTER_QUERY,
+    ...URGENT_SORT_QUERY,
+    fields: S.array(S.enumOf(URGENT_FIELDS), { description: 'Trim the payload to these fields' }),
+    total: S.boolean({ description: 'false skips the total count' }),
+    ...PAGE_QUERY
+  })
+}), async (req, res) => {
+  try {
+    const filter = urgentFilter(req.query);
+
+    // ---- sort
+    const sortParam = ok(req.query.sort) ? String(req.query.sort).trim() : '-declaredAt';
+    const desc = sortParam.startsWith('-');
+    const sortKey = sortParam.replace(/^[-+]/, '');
+
+    // ---- fields
+    const fields = ok(req.query.fields)
+      ? String(req.query.fields).split(',').map(f => f.trim()).filter(Boolean)
+      : null;
+
+    // ---- paging
+    const limit = pageLimit(req.query);
+    const withTotal = isOn(req.query.total, true);
+
+    let total;
+    if (withTotal) total = await store.urgents.count(filter);
+
+    let after = null;
+    if (ok(req.query.cursor)) {
+      const cur = decodeCursor(req.query.cursor);
+      if (!cur || cur.s !== sortParam || !Number.isInteger(cur.id)) {
+        return res.status(400).json({ error: 'Invalid cursor (it must come from the same sort).' });
+      }
+      after = { v: cur.v, id: cur.id };
+    }
+
+    // declarer + corrector joined; one extra row tells whether a next page exists
+    const rows = await store.urgents.list(filter, { sort: sortKey, desc, after, limit: limit + 1 });
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = rows.length > limit && last
+      ? encodeCursor({ s: sortParam, v: last._sortKey, id: last.id })
+      : null;
+
+    const results = page.map(r => {
+      const row = mapUrgentRow(r);
+      return fields ? Object.fromEntries(fields.map(f => [f, row[f]])) : row;
+    });
+
+    const body = { count: results.length };
+    if (withTotal) body.total = total;
+    body.limit = limit;
+    body.nextCursor = nextCursor;
+    body.results = results;
+    res.json(body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch urgent data' });
+  }
+});
+
+/* -------------------------------------------------
+ GET /urgent/machines
+ Distinct machines from M5_Urgent (normalized, filtered like /urgent, but no machine filters),
+ ascending, with the same ?limit= ?cursor= ?total=false paging.
+------------------------------------------------- */
+app.get('/urgent/machines', authorize('urgent:read'), validate({
+  summary: 'Machines found on urgents, ascending',
+  query: S.object({
+    ...URGENT_FILTER_QUERY,
+    total: S.boolean({ description: 'false skips the total count' }),
+    ...PAGE_QUERY
+  })
+}), async (req, res) => {
+  try {
+    // copy the common filters (NO machine filters here!)
+    const filter = urgentFilter(req.query, { machineFilters: false });
+
+    const limit = pageLimit(req.query);
+    const withTotal = isOn(req.query.total, true);
+
+    let after = null;
+    if (ok(req.query.cursor)) {
+      const cur = decodeCursor(req.query.cursor);
+      if (!cur || typeof cur.v !== 'string') {
+        return res.status(400).json({ error: 'Invalid cursor.' });
+      }
+      after = cur.v;
+    }
+
+    let total;
+    if (withTotal) total = await store.urgents.countMachines(filter);
+
+    const rows = await store.urgents.machines(filter, { after, limit: limit + 1 });
+    const machines = rows.slice(0, limit);
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ v: machines[machines.length - 1] })
+      : null;
+
+    const body = { count: machines.length };
+    if (withTotal) body.total = total;
+    body.limit = limit;
+    body.nextCursor = nextCursor;
+    body.results = machines;
+    res.json(body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch machines' });
+  }
+});
+
+/* ---- shifts ----
+ SHIFTS="A=06:00-14:00,B=14:00-22:00,C=22:00-06:00"  (a window may cross midnight)
+*/
+const DEFAULT_SHIFTS = process.env.SHIFTS || 'A=06:00-14:00,B=14:00-22:00,C=22:00-06:00';
+
+// -> [{ name, start, end }] in minutes since midnight, or null when malformed
+function parseShifts(str) {
+  const toMin = (hm) => {
+    const m = /^(\d{1,2}):(\d{2})$/.exec(hm.trim());
+    if (!m || +m[1] > 23 || +m[2] > 59) return null;
+    return +m[1] * 60 + +m[2];
+  };
+  const shifts = [];
+  for (const part of String(str).split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = /^([^=]+)=([^-]+)-(.+)$/.exec(part);
+    if (!m) return null;
+    const start = toMin(m[2]);
+    const end = toMin(m[3]);
+    if (start === null || end === null || start === end) return null;
+    shifts.push({ name: m[1].trim(), start, end });
+  }
+  return shifts.length ? shifts : null;
+}
+
+function shiftOf(date, shifts) {
+  const d = new Date(date);
+  const min = d.getHours() * 60 + d.getMinutes();
+  const hit = shifts.find(s => (s.start < s.end
+    ? min >= s.start && min < s.end
+    : min >= s.start || min < s.end));
+  return hit ? hit.name : null;
+}
+
+// linear interpolation, same as PERCENTILE_CONT
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const idx = (sorted.length - 1) * p;
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+const round1 = (n) => (n === null ? null : Math.round(n * 10) / 10);
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const localDay = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+/* -------------------------------------------------
+ GET /urgent/stats
+  same filters as GET /urgent, plus
+  ?groupBy=machine|type|corrector|hour|day|shift   (comma list for composite groups)
+  ?shifts=A=06:00-14:00,B=14:00-22:00,C=22:00-06:00 (overrides SHIFTS for groupBy=shift)
+ Times are in minutes, bucketed on Date_Declaration (server local time).
+ The rows are aggregated here, so `from` is required and from..to (default: now)
+ spans at most STATS_MAX_DAYS (93).
+------------------------------------------------- */
+const STATS_MAX_DAYS = toInt(process.env.STATS_MAX_DAYS, 93);
+
+const STATS_GROUPS = {
+  machine:   (r) => normMachine(r.Machine) || null,
+  type:      (r) => (r.Type ? String(r.Type).trim().toLowerCase() : null),
+  corrector: (r) => (r.Corriger_Par ? String(r.Corriger_Par).trim() : null),
+  hour:      (r) => new Date(r.Date_Declaration).getHours(),
+  day:       (r) => localDay(new Date(r.Date_Declaration)),
+  shift:     (r, ctx) => shiftOf(r.Date_Declaration, ctx.shifts)
+};
+
+function statsOf(rows) {
+  const durations = rows
+    .filter(r => r.Date_Correction && r.Date_Declaration)
+    .map(r => (new Date(r.Date_Correction) - new Date(r.Date_Declaration)) / 60000)
+    .filter(n => n >= 0)
+    .sort((a, b) => a - b);
+
+  return {
+    declared: rows.length,
+    resolved: rows.filter(r => r.Date_Correction).length,
+    open: rows.filter(r => OPEN_STATUSES.includes(String(r.Statut || '').trim().toUpperCase())).length,
+    cancelled: rows.filter(r => String(r.Statut || '').trim().toUpperCase() === STATUS.CANCELLED).length,
+    resolveMinutes: {
+      mean: round1(durations.length ? durations.reduce((a, b) => a + b, 0) / durations.length : null),
+      median: round1(percentile(durations, 0.5)),
+      p90: round1(percentile(durations, 0.9))
+    }
+  };
+}
+
+app.get('/urgent/stats', authorize('urgent:read'), validate({
+  summary: 'Counts and resolve times, optionally grouped',
+  description: `Over the urgents declared from \`from\` to \`to\` (default: now), at most ${STATS_MAX_DAYS} days.`,
+  query: S.object({
+    ...URGENT_FILTER_QUERY,
+    ...MACHINE_FILTER_QUERY,
+    groupBy: S.array(S.enumOf(Object.keys(STATS_GROUPS))),
+    shifts: S.text({ example: DEFAULT_SHIFTS, description: 'Overrides SHIFTS for groupBy=shift' })
+  }, ['from'])
+}), async (req, res) => {
+  try {
+    const filter = urgentFilter(req.query);
+    if ((filter.to || new Date()) - filter.from > STATS_MAX_DAYS * 86400000) {
+      return res.status(400).json({
+        error: 'Invalid request.',
+        errors: [{ in: 'query', field: 'to', message: `must be at most ${STATS_MAX_DAYS} days after from` }]
+      });
+    }
+
+    const groupBy = ok(req.query.groupBy)
+      ? [...new Set(String(req.query.groupBy).split(',').map(g => g.trim()).filter(Boolean))]
+      : [];
+
+    const shifts = parseShifts(ok(req.query.shifts) ? req.query.shifts : DEFAULT_SHIFTS);
+    if (!shifts) {
+      return res.status(400).json({ error: 'Invalid shifts. Expected e.g. A=06:00-14:00,B=14:00-22:00,C=22:00-06:00' });
+    }
+
+    const rows = await store.urgents.all(filter);
+
+    const ctx = { shifts };
+    const buckets = new Map();
+    for (const r of rows) {
+      const key = Object.fromEntries(groupBy.map(g => [g, STATS_GROUPS[g](r, ctx)]));
+      const id = JSON.stringify(key);
+      if (!buckets.has(id)) buckets.set(id, { key, rows: [] });
+      buckets.get(id).rows.push(r);
+    }
+
+    const groups = groupBy.length
+      ? [...buckets.values()]
+        .map(b => ({ key: b.key, ...statsOf(b.rows) }))
+        .sort((a, b) => b.declared - a.declared)
+      : [];
+
+    const body = { groupBy, summary: statsOf(rows), groups };
+    if (groupBy.includes('shift')) body.shifts = shifts.map(s => ({
+      name: s.name,
+      start: `${pad2(Math.floor(s.start / 60))}:${pad2(s.start % 60)}`,
+      end: `${pad2(Math.floor(s.end / 60))}:${pad2(s.end % 60)}`
+    }));
+    res.json(body);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to compute urgent stats' });
+  }
+});
+
+/* ===================== Shift handover report ===================== */
+/*
+ What the team leader hands over at a shift change, built from M5_Urgent + M5_Users:
+ urgents carried over from the previous shift, declared and resolved during the
+ shift (and by whom), still open at its end, Plan B machines and the Unicos
+ asked for most. Shift windows come from SHIFTS (or ?shifts=), in server local time;
+ `date` is the day the shift starts, so C=22:00-06:00 of the 21st ends on the 22nd.
+*/
+const REPORT_TOP_DEFAULT = 10;
+
+const hhmm = (min) => `${pad2(Math.floor(min / 60))}:${pad2(min % 60)}`;
+
+// "2025-10-21" + shift -> { start, end }
+function shiftWindow(day, shift) {
+  const [y, m, d] = day.split('-').map(Number);
+  const start = new Date(y, m - 1, d, 0, shift.start);
+  const end = new Date(y, m - 1, d + (shift.end <= shift.start ? 1 : 0), 0, shift.end);
+  return { start, end };
+}
+
+// resolved / cancelled rows -> when; open rows -> null
+function closedAt(r) {
+  const status = String(r.Statut || '').trim().toUpperCase();
+  if (status === STATUS.RESOLVED) return r.Date_Correction ?? null;
+  if (status === STATUS.CANCELLED) return r.Date_Annulation ?? null;
+  return null;
+}
+
+const minutesBetween = (from, to) => round1((new Date(to) - new Date(from)) / 60000);
+
+/*
+ rows: urgents declared before `cut` and not closed before `start` (activeSince)
+ cut: the end of the shift, or now while it runs
+*/
+function shiftReport(rows, { start, end, cut, top }) {
+  const inShift = (d) => d && d >= start && d < cut;
+  const openAt = (r, at) => r.Date_Declaration < at && !(closedAt(r) && closedAt(r) < at);
+
+  const carried = rows.filter(r => r.Date_Declaration < start);
+  const declared = rows.filter(r => inShift(r.Date_Declaration));
+  const resolved = rows.filter(r => String(r.Statut || '').trim().toUpperCase() === STATUS.RESOLVED && inShift(r.Date_Correction));
+  const cancelled = rows.filter(r => String(r.Statut || '').trim().toUpperCase() === STATUS.CANCELLED && inShift(r.Date_Annulation));
+  const openAtEnd = rows.filter(r => openAt(r, cut));
+
+  const outcome = (r) => {
+    const closed = closedAt(r);
+    if (!closed || closed >= cut) return 'open';
+    return String(r.Statut).trim().toUpperCase() === STATUS.RESOLVED ? 'resolved' : 'cancelled';
+  };
+
+  // who resolved what
+  const byCorrector = new Map();
+  for (const r of resolved) {
+    const item = mapUrgentRow(r);
+    const key = item.correctedBy?.matricule || null;
+    const cur = byCorrector.get(key) || { matricule: key, fullName: item.correctedBy?.['full name'] || null, count: 0, unicos: [] };
+    cur.count++;
+    cur.unicos.push(item.unico);
+    byCorrector.set(key, cur);
+  }
+
+  // machines on Plan B at some point of the shift, per (machine, fallback)
+  const planB = new Map();
+  for (const r of rows.filter(x => planBOf(x.Plan_B) && (!x.Date_Plan_B || x.Date_Plan_B < cut))) {
+    const item = mapUrgentRow(r);
+    const key = `${normMachine(item.machine)}|${normMachine(item.mcPb)}`;
+    const cur = planB.get(key) || { machine: normMachine(item.machine) || null, mcPb: normMachine(item.mcPb) || null, since: null, count: 0, open: 0, unicos: [] };
+    cur.count++;
+    if (openAt(r, cut)) cur.open++;
+    cur.unicos.push(item.unico);
+    if (r.Date_Plan_B && (!cur.since || r.Date_Plan_B < cur.since)) cur.since = r.Date_Plan_B;
+    planB.set(key, cur);
+  }
+
+  // Unicos asked for most during the shift
+  const unicos = new Map();
+  for (const r of declared) {
+    const unico = String(r.Unico || '').trim();
+    const cur = unicos.get(unico) || { unico, declared: 0, open: 0, machines: new Set() };
+    cur.declared++;
+    if (openAt(r, cut)) cur.open++;
+    if (normMachine(r.Machine)) cur.machines.add(normMachine(r.Machine));
+    unicos.set(unico, cur);
+  }
+
+  return {
+    summary: {
+      carriedOver: carried.length,
+      declared: declared.length,
+      resolved: resolved.length,
+      cancelled: cancelled.length,
+      openAtEnd: openAtEnd.length,
+      planBMachines: planB.size,
+      resolveMinutes: statsOf(resolved).resolveMinutes
+    },
+    carriedOver: carried.map(r => ({
+      ...mapUrgentRow(r),
+      outcome: outcome(r),
+      openMinutesAtStart: minutesBetween(r.Date_Declaration, start)
+    })),
+    declared: declared.map(r => ({ ...mapUrgentRow(r), outcome: outcome(r) })),
+    resolved: resolved.map(r => ({ ...mapUrgentRow(r), resolveMinutes: minutesBetween(r.Date_Declaration, r.Date_Correction) })),
+    resolvedBy: [...byCorrector.values()].sort((a, b) => b.count - a.count),
+    openAtEnd: openAtEnd.map(r => ({ ...mapUrgentRow(r), openMinutes: minutesBetween(r.Date_Declaration, cut) })),
+    planB: [...planB.values()].sort((a, b) => b.open - a.open || b.count - a.count),
+    topUnicos: [...unicos.values()]
+      .sort((a, b) => b.declared - a.declared || b.open - a.open || a.unico.localeCompare(b.unico))
+      .slice(0, top)
+      .map(u => ({ ...u, machines: [...u.machines] }))
+  };
+}
+
+/* ---------------------------------------------------------------
+GET /reports/shift   (handover report)
+ ?shift=A          default: the shift running now
+ ?date=2025-10-21  default: the latest day that shift has started
+ ?shifts=A=06:00-14:00,...       overrides SHIFTS
+ ?machines=MC1,MC2 / ?machine= / ?machineLike=   one line's machines only
+ ?top=10                          top Unicos
+ ?format=json|html               default: from Accept (a browser gets the printable page)
+--------------------------------------------------------------- */
+app.get('/reports/shift', authorize('urgent:read'), validate({
+  summary: 'Shift handover report',
+  description: 'Carried-over, declared, resolved and still-open urgents of one shift, Plan B machines and top Unicos. ' +
+    'While the shift runs, the report stops at the current time (`inProgress: true`).',
+  query: S.object({
+    date: S.string({ pattern: '^\\d{4}-\\d{2}-\\d{2}$', example: '2025-10-21', description: 'Day the shift starts (server local time)' }),
+    shift: S.text({ example: 'A', description: 'Shift name from SHIFTS' }),
+    shifts: S.text({ example: DEFAULT_SHIFTS, description: 'Overrides SHIFTS' }),
+    ...MACHINE_FILTER_QUERY,
+    top: S.integer({ minimum: 1, maximum: 100, description: `Top Unicos (default ${REPORT_TOP_DEFAULT})` }),
+    format: S.enumOf(['json', 'html'], { ignoreCase: true, description: 'Default: from the Accept header' })
+  }),
+  responses: { 200: 'The report (JSON, or a printable HTML page)', 409: 'The shift has not started yet' }
+}), async (req, res) => {
+  try {
+    const shifts = parseShifts(ok(req.query.shifts) ? req.query.shifts : DEFAULT_SHIFTS);
+    if (!shifts) {
+      return res.status(400).json({ error: 'Invalid shifts. Expected e.g. A=06:00-14:00,B=14:00-22:00,C=22:00-06:00' });
+    }
+
+    const now = new Date();
+    let shift, day;
+    if (ok(req.query.shift)) {
+      shift = shifts.find(s => s.name.toLowerCase() === String(req.query.shift).trim().toLowerCase());
+      if (!shift) return res.status(400).json({ error: `Unknown shift "${String(req.query.shift).trim()}".`, allowed: shifts.map(s => s.name) });
+    }
+    if (ok(req.query.date)) {
+      day = String(req.query.date).trim();
+      const [y, m, d] = day.split('-').map(Number);
+      if (localDay(new Date(y, m - 1, d)) !== day) return res.status(400).json({ error: `Invalid date "${day}".` });
+    }
+    if (!shift) {
+      shift = shifts.find(s => s.name === shiftOf(now, shifts));
+      if (!shift) return res.status(400).json({ error: 'No shift covers the current time, pass ?shift=.', allowed: shifts.map(s => s.name) });
+    }
+    if (!day) {
+      // the latest one that has started
+      day = localDay(now);
+      if (shiftWindow(day, shift).start > now) day = localDay(new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1));
+    }
+
+    const { start, end } = shiftWindow(day, shift);
+    if (start > now) return res.status(409).json({ error: `Shift ${shift.name} of ${day} has not started yet.` });
+    const cut = end < now ? end : now;
+
+    const filter = urgentFilter(req.query);
+    const rows = await store.urgents.all({ ...filter, declaredBefore: cut, activeSince: start });
+
+    const report = {
+      date: day,
+      shift: { name: shift.name, start: hhmm(shift.start), end: hhmm(shift.end) },
+      from: start,
+      to: end,
+      inProgress: end > now,
+      generatedAt: now,
+      machines: filter.machines || null,
+      machineLike: filter.machineLike || null,
+      ...shiftReport(rows, { start, end, cut, top: toInt(req.query.top, REPORT_TOP_DEFAULT) })
+    };
+
+    const format = ok(req.query.format)
+      ? String(req.query.format).trim().toLowerCase()
+      : req.accepts(['json', 'html']) || 'json';
+    if (format === 'html') return res.type('html').send(shiftReportPage(report));
+    res.json(report);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to build shift report' });
+  }
+});
+
+/* ===================== Export ===================== */
+/*
+ ?format=csv|xlsx   ?lang=fr|en (column headers, default fr)   ?sep=;  (CSV only)
+ Rows are streamed from the store straight into the response, nothing is buffered.
+ columns: [{ fr, en, get(mappedRow) }]   open() -> store stream (see data/)   mapRow(storeRow)
+*/
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const EXPORT_QUERY = {
+  format: S.enumOf(EXPORT_FORMATS, { ignoreCase: true, description: 'Default csv' }),
+  lang: S.enumOf(['fr', 'en'], { ignoreCase: true, description: 'Column headers, default fr' }),
+  sep: S.string({ minLength: 1, maxLength: 1, description: 'CSV separator, default ; (fr) or , (en)' })
+};
+
+const exportDate = (d) =>
+  `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())} ${pad2(d.getHours())}:${pad2(d.getMinutes())}:${pad2(d.getSeconds())}`;
+
+function csvCell(value, sep) {
+  if (value === null || value === undefined) return '';
+  let v = value instanceof Date ? exportDate(value) : String(value);
+  // no formulas when opened in Excel ("-2+3" too); numbers stay numbers
+  if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(v)) v = `'${v}`;
+  return v.includes(sep) || /["\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+async function streamExport(req, res, { name, columns, open, mapRow }) {
+  const format = String(req.query.format || 'csv').trim().toLowerCase();
+  const lang = String(req.query.lang || 'fr').trim().toLowerCase();
+  const sep = req.query.sep || (lang === 'fr' ? ';' : ',');
+  const headers = columns.map(c => c[lang]);
+
+  let request;
+  try {
+    request = await open();
+  } catch (e) {
+    console.error(`❌ export ${name} error:`, e);
+    return res.status(500).json({ error: `Failed to export ${name}` });
+  }
+
+  const d = new Date();
+  const stamp = `${d.getFullYear()}${pad2(d.getMonth() + 1)}${pad2(d.getDate())}-${pad2(d.getHours())}${pad2(d.getMinutes())}`;
+  res.set('Content-Disposition', `attachment; filename="${name}-${stamp}.${format}"`);
+  res.set('Content-Type', format === 'csv'
+    ? 'text/csv; charset=utf-8'
+    : 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  // client went away: stop reading from the store
+  let finished = false;
+  res.on('close', () => { if (!finished) request.cancel(); });
+
+  let workbook, sheet;
+  if (format === 'xlsx') {
+    workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    sheet = workbook.addWorksheet(name);
+    sheet.columns = headers.map(h => ({ header: h, width: Math.max(12, h.length + 2) }));
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+  } else {
+    res.write(`\uFEFF${headers.map(h => csvCell(h, sep)).join(sep)}\r\n`);   // BOM: Excel reads UTF-8
+  }
+
+  // slow client: stop reading rows until the response has room again
+  // (the xlsx zip is piped into res, so its fill level tells for both formats)
+  let paused = false;
+  request.on('row', (r) => {
+    const row = mapRow(r);
+    const values = columns.map(c => c.get(row) ?? null);
+    if (sheet) {
+      sheet.addRow(values.map(v => (v instanceof Date || typeof v === 'number' ? v : v === null ? null : String(v)))).commit();
+    } else {
+      res.write(`${values.map(v => csvCell(v, sep)).join(sep)}\r\n`);
+    }
+    if (res.writableNeedDrain && !paused) {
+      paused = true;
+      request.pause();
+      res.once('drain', () => {
+        paused = false;
+        request.resume();
+      });
+    }
+  });
+
+  request.on('error', (e) => {
+    if (finished) return;
+    finished = true;
+    console.error(`❌ export ${name} stream error:`, e);
+    res.destroy(e);   // headers are gone: cut the download so it is not taken as complete
+  });
+
+  request.on('done', async () => {
+    if (finished) return;
+    finished = true;
+    try {
+      if (workbook) {
+        sheet.commit();
+        await workbook.commit();
+      } else {
+        res.end();
+      }
+    } catch (e) {
+      console.error(`❌ export ${name} finish error:`, e);
+      res.destroy(e);
+    }
+  });
+}
+
+/* ---------------------------------------------------------------
+GET /urgent/export?format=csv|xlsx&lang=fr|en
+ same filters and ?sort= as GET /urgent, every matching row (no paging),
+ declaredBy / correctedBy flattened into columns
+--------------------------------------------------------------- */
+const dateOrNull = (v) => (v ? new Date(v) : null);
+
+const URGENT_EXPORT_COLUMNS = [
+  { fr: 'ID', en: 'ID', get: u => u.id },
+  { fr: 'Unico', en: 'Unico', get: u => u.unico },
+  { fr: 'Statut', en: 'Status', get: u => u.status },
+  { fr: 'Machine', en: 'Machine', get: u => u.machine },
+  { fr: 'Type', en: 'Type', get: u => u.type },
+  { fr: 'Date déclaration', en: 'Declared at', get: u => dateOrNull(u.declaredAt) },
+  { fr: 'Déclaré par (matricule)', en: 'Declared by (badge)', get: u => u.declaredBy?.matricule },
+  { fr: 'Déclaré par (nom)', en: 'Declared by (name)', get: u => u.declaredBy?.['full name'] },
+  { fr: 'Rôle déclarant', en: 'Declarer role', get: u => u.declaredBy?.role },
+  { fr: 'Date correction', en: 'Corrected at', get: u => dateOrNull(u.correctedAt) },
+  { fr: 'Corrigé par (matricule)', en: 'Corrected by (badge)', get: u => u.correctedBy?.matricule },
+  { fr: 'Corrigé par (nom)', en: 'Corrected by (name)', get: u => u.correctedBy?.['full name'] },
+  { fr: 'Rôle correcteur', en: 'Corrector role', get: u => u.correctedBy?.role },
+  { fr: 'Plan B', en: 'Plan B', get: u => (u.planB ? 1 : 0) },
+  { fr: 'Machine Plan B', en: 'Plan B machine', get: u => u.mcPb },
+  { fr: 'Plan B par', en: 'Plan B by', get: u => u.planBSwitched?.by },
+  { fr: 'Assigné à', en: 'Assigned to', get: u => u.assigned?.matricule },
+  { fr: 'Temps restant', en: 'Time remaining', get: u => u.timeRemaining },
+  { fr: 'Échéance', en: 'Deadline', get: u => dateOrNull(u.deadline) },
+  { fr: 'Escalade', en: 'Escalation', get: u => u.escalation?.level },
+  { fr: 'Motif annulation', en: 'Cancel reason', get: u => u.cancelled?.reason }
+];
+
+app.get('/urgent/export', authorize('urgent:read'), validate({
+  summary: 'Export urgents as CSV or XLSX',
+  query: S.object({ ...URGENT_FILTER_QUERY, ...MACHINE_FILTER_QUERY, ...URGENT_SORT_QUERY, ...EXPORT_QUERY }),
+  responses: { 200: 'The file (text/csv or xlsx), streamed' }
+}), (req, res) => {
+  const sortParam = ok(req.query.sort) ? String(req.query.sort).trim() : '-declaredAt';
+  const sort = sortParam.replace(/^[-+]/, '');
+  const desc = sortParam.startsWith('-');
+
+  return streamExport(req, res, {
+    name: 'urgents',
+    columns: URGENT_EXPORT_COLUMNS,
+    open: () => store.urgents.stream(urgentFilter(req.query), { sort, desc }),
+    mapRow: mapUrgentRow
+  });
+});
+
+/* ---------------------------------------------------------------
+GET /urgent/:id/history  (audit trail of one urgent, oldest first)
+--------------------------------------------------------------- */
+app.get('/urgent/:id/history', authorize('urgent:read'), validate({
+  summary: 'Audit trail of one urgent, oldest first',
+  params: URGENT_ID_PARAMS,
+  responses: { 200: 'The urgent and its audit entries', 404: 'Urgent not found' }
+}), async (req, res) => {
+  try {
+    const id = toInt(req.params.id, null);
+
+    const urgent = await fetchUrgentRow(store, id);
+    if (!urgent) return res.status(404).json({ error: 'Urgent not found.' });
+
+    const rows = await store.audit.list({ entity: 'urgent', entityId: String(id), ascending: true });
+
+    const results = rows.map(mapAuditRow);
+    res.json({ urgent, count: results.length, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch urgent history' });
+  }
+});
+
+/* ---- idempotency ----
+ Idempotency-Key header: the first successful answer is stored (per key + user)
+ with a fingerprint of the payload, and replayed for IDEMPOTENCY_TTL_HOURS.
+*/
+const IDEMPOTENCY_TTL_HOURS = toInt(process.env.IDEMPOTENCY_TTL_HOURS, 24);
+
+const fingerprint = (value) => crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+
+async function findIdempotent(db, key, actor) {
+  const since = new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 3600000);
+  return db.idempotency.find(key, String(actor.Mlle).trim(), since);
+}
+
+async function saveIdempotent(db, { key, actor, route, print, status, body }) {
+  await db.idempotency.save({
+    key,
+    actor: String(actor.Mlle).trim(),
+    route,
+    print,
+    status,
+    body: JSON.stringify(body),
+    at: new Date()
+  }, new Date(Date.now() - IDEMPOTENCY_TTL_HOURS * 3600000));
+}
+
+// true: answered from the store; false: first time this key is seen
+function replayIdempotent(res, stored, route, print) {
+  if (!stored) return false;
+  if (stored.Route !== route || stored.Empreinte !== print) {
+    res.status(422).json({ error: 'Idempotency-Key was already used with a different request.' });
+    return true;
+  }
+  res.set('Idempotent-Replayed', 'true');
+  res.status(stored.Statut_Http).json(JSON.parse(stored.Reponse));
+  return true;
+}
+
+const isDuplicateKeyError = (e) => [2627, 2601].includes(e?.number ?? e?.originalError?.info?.number);
+
+const DUPLICATE_POLICIES = ['reject', 'merge', 'allow'];
+
+const URGENT_ITEM = {
+  unico: S.text(),
+  machine: S.text({ maxLength: 50, description: 'Machine code or alias' }),
+  // 1/0, true/false or the old free text ('OUI', 'X', ...)
+  planB: S.nullable({ type: ['boolean', 'integer', 'string'] }),
+  mcPb: S.nullable(S.string({ maxLength: 50, description: 'Plan B machine (sets planB)' })),
+  type: S.nullable(S.string({ example: 'coupe' })),
+  timeRemaining: S.nullable({ type: ['string', 'integer'], example: '1h30', description: 'Free text, bare numbers are minutes' })
+};
+const BATCH_QUERY = {
+  atomic: S.boolean({ description: 'Default true: any invalid item rejects the batch' }),
+  onDuplicate: S.enumOf(DUPLICATE_POLICIES, { ignoreCase: true, description: 'Default reject' })
+};
+
+/* ---------------------------------------------------------------
+POST /urgent  (emit urgent:added)
+ body: { unico, machine, planB, mcPb, type, timeRemaining }  or  { urgents: [...] }
+  atomic       true (default): all-or-nothing, any invalid item rejects the batch
+               false: invalid / duplicate items are skipped and listed in `skipped`
+  onDuplicate  an open urgent already exists for the same Unico + machine:
+               reject (default) | merge (answer with the open one) | allow
+ (atomic / onDuplicate may also come as query parameters)
+ header Idempotency-Key: a retry with the same key and payload replays the first answer
+--------------------------------------------------------------- */
+app.post('/urgent', authorize('urgent:declare', 'declarerMatricule'), validate({
+  summary: 'Declare one urgent or a batch',
+  headers: { 'Idempotency-Key': S.string({ maxLength: 100, description: 'A retry with the same key and payload replays the first answer' }) },
+  query: S.object(BATCH_QUERY),
+  body: S.object({
+    urgents: S.array(S.object(URGENT_ITEM), { minItems: 1, description: 'Items missing unico or machine are rejected (atomic) or skipped' }),
+    ...URGENT_ITEM,
+    ...BATCH_QUERY,
+    ...legacyAuthFields('declarerMatricule')
+  }, [], { anyOf: [{ required: ['urgents'] }, { required: ['unico', 'machine'] }] }),
+  responses: { 201: 'Declared (merged and skipped items listed)', 200: 'Nothing new: every item merged into an open urgent', 409: 'An open urgent already exists (onDuplicate=reject)' }
+}), async (req, res) => {
+  let tx;
+  const route = 'POST /urgent';
+  const key = ok(req.get('Idempotency-Key')) ? String(req.get('Idempotency-Key')).trim().slice(0, 100) : null;
+  let print;
+
+  try {
+    let { urgents, unico, machine, planB, mcPb, type, timeRemaining } = req.body;
+    if (!urgents) urgents = [{ unico, machine, planB, mcPb, type, timeRemaining }];
+
+    const atomic = isOn(req.body.atomic ?? req.query.atomic, true);
+    const onDuplicate = String(req.body.onDuplicate ?? req.query.onDuplicate ?? 'reject').trim().toLowerCase();
+
+    const user = req.user;
+
+    if (key) {
+      print = fingerprint({ urgents, atomic, onDuplicate });
+      if (replayIdempotent(res, await findIdempotent(store, key, user), route, print)) return;
+    }
+
+    // ---- per-item validation
+    const skipped = [];
+    let items = urgents.map((u, index) => ({
+      index,
+      unico: ok(u?.unico) ? String(u.unico).trim() : '',
+      machine: ok(u?.machine) ? String(u.machine).trim() : '',
+      planB: planBOf(u?.planB) || ok(u?.mcPb),
+      mcPb: ok(u?.mcPb) ? normMachine(u.mcPb) : null,
+      type: ok(u?.type) ? String(u.type).trim() : null,
+      timeRemaining: ok(u?.timeRemaining) ? String(u.timeRemaining).trim() : null
+    }));
+
+    const invalid = items.filter(u => !u.unico || !u.machine);
+    if (invalid.length && atomic) {
+      return res.status(400).json({
+        error: 'Every urgent needs unico and machine (atomic batch).',
+        invalid: invalid.map(u => ({ index: u.index, unico: u.unico || null, machine: u.machine || null }))
+      });
+    }
+    invalid.forEach(u => skipped.push({ index: u.index, unico: u.unico || null, reason: 'Missing unico or machine' }));
+    items = items.filter(u => u.unico && u.machine);
+
+    if (!items.length)
+      return res.status(400).json({ error: 'No valid Unico provided.', skipped });
+
+    const allUnicos = [...new Set(items.map(u => u.unico))];
+    const foundUnicos = await store.wires.existing(allUnicos);
+    const missing = allUnicos.filter(u => !foundUnicos.has(u));
+    if (missing.length > 0 && atomic) {
+      return res.status(400).json({ error: 'Some Unico values do not exist in wires.', missing });
+    }
+    items = items.filter(u => {
+      if (foundUnicos.has(u.unico)) return true;
+      skipped.push({ index: u.index, unico: u.unico, reason: 'Unico does not exist in wires' });
+      return false;
+    });
+
+    // ---- machines: stored under their registry code (aliases resolved), or normalised
+    //      when not registered yet (MACHINES_STRICT=true rejects them instead)
+    const badMachines = [];
+    for (const u of items) {
+      const m = await resolveMachine(u.machine);
+      const fallback = u.mcPb ? await resolveMachine(u.mcPb) : null;
+      let reason = null;
+      if (!m && MACHINES_STRICT) reason = `Unknown machine ${u.machine}`;
+      else if (m && !machineRuns(m, u.type)) reason = `Machine ${m.code} does not run ${String(u.type).toLowerCase()}`;
+      else if (u.mcPb && !fallback && MACHINES_STRICT) reason = `Unknown Plan B machine ${u.mcPb}`;
+      if (reason) {
+        badMachines.push({ index: u.index, unico: u.unico, reason });
+        continue;
+      }
+      u.machine = m?.code ?? normMachine(u.machine);
+      u.mcPb = u.mcPb ? fallback?.code ?? normMachine(u.mcPb) : null;
+    }
+    if (badMachines.length && atomic) {
+      return res.status(400).json({ error: 'Unknown or unsuitable machine(s).', invalid: badMachines });
+    }
+    skipped.push(...badMachines);
+    items = items.filter(u => !badMachines.some(b => b.index === u.index));
+
+    tx = await store.begin();
+
+    // ---- duplicates: open urgent for the same Unico + machine (in the DB or earlier in this batch)
+    const seen = new Map();   // `${unico}|${MACHINE}` -> open urgent id (null = created by this batch)
+    const toInsert = [];
+    const toMerge = [];       // { item, id }
+    const duplicates = [];
+    for (const u of items) {
+      const dupKey = `${u.unico}|${u.machine.toUpperCase()}`;
+      let openId = seen.get(dupKey);
+
+      if (openId === undefined) {
+        // locked: two tablets declaring the same wire at once queue up here
+        const open = await tx.urgents.latestOpen(u.unico, { machine: u.machine, lock: true });
+        openId = open?.id;
+        if (openId !== undefined) seen.set(dupKey, openId);
+      }
+
+      if (openId === undefined || onDuplicate === 'allow') {
+        seen.set(dupKey, null);
+        toInsert.push(u);
+      } else if (onDuplicate === 'merge' && openId !== null) {
+        toMerge.push({ item: u, id: openId });
+      } else if (onDuplicate === 'merge') {
+        skipped.push({ index: u.index, unico: u.unico, reason: 'Repeated in this batch' });
+      } else {
+        duplicates.push({ index: u.index, unico: u.unico, machine: u.machine, openId });
+      }
+    }
+
+    if (duplicates.length && atomic) {
+      await tx.rollback();
+      return res.status(409).json({ error: 'An open urgent already exists for the same Unico and machine.', duplicates });
+    }
+    duplicates.forEach(d => skipped.push({ index: d.index, unico: d.unico, reason: 'Open urgent already exists', openId: d.openId }));
+
+    const results = [];
+    for (const u of toInsert) {
+      const declAt = new Date();
+
+      const deadline = deadlineFrom(declAt, u.timeRemaining);
+
+      const id = await tx.urgents.insert({
+        Unico: u.unico,
+        Date_Declaration: declAt,
+        Declarer_Par: String(user.Mlle).trim(),
+        Statut: STATUS.DECLARED,
+        Machine: u.machine,
+        Plan_B: u.planB,
+        McPb: u.mcPb,
+        Plan_B_Par: u.planB ? String(user.Mlle).trim() : null,
+        Date_Plan_B: u.planB ? declAt : null,
+        Type: u.type,
+        Temps_Restant: u.timeRemaining,
+        Date_Limite: deadline,
+        Limite_Illisible: !deadline && ok(u.timeRemaining)
+      });
+
+      await audit(tx, {
+        actor: user, entity: 'urgent', entityId: id, action: 'declare',
+        newValue: { status: STATUS.DECLARED, unico: u.unico, machine: u.machine, type: u.type, planB: u.planB, mcPb: u.mcPb, timeRemaining: u.timeRemaining, deadline }
+      });
+
+      results.push(await fetchUrgentRow(tx, id));
+    }
+
+    const merged = [];
+    for (const m of toMerge) {
+      await audit(tx, {
+        actor: user, entity: 'urgent', entityId: m.id, action: 'redeclare',
+        newValue: { unico: m.item.unico, machine: m.item.machine, timeRemaining: m.item.timeRemaining }
+      });
+      merged.push(await fetchUrgentRow(tx, m.id));
+    }
+
+    if (!results.length && !merged.length) {
+      await tx.rollback();
+      return res.status(400).json({ error: 'No valid urgents inserted.', skipped });
+    }
+
+    const status = results.length ? 201 : 200;
+    const body = { count: results.length, results, merged, skipped };
+    if (key) await saveIdempotent(tx, { key, actor: user, route, print, status, body });
+
+    await tx.commit();
+    tx = null;
+
+    // 🔔 notify machine / type rooms, only once the batch is committed
+    for (const row of results) emitUrgent('urgent:added', row, { by: row.declaredBy?.matricule });
+
+    res.status(status).json(body);
+  } catch (err) {
+    if (tx) await tx.rollback().catch(() => {});
+
+    // same Idempotency-Key raced us: answer with the request that won
+    if (key && isDuplicateKeyError(err)) {
+      try {
+        const stored = await findIdempotent(store, key, req.user);
+        if (replayIdempotent(res, stored, route, print)) return;
+      } catch (e) {
+        console.error('❌ POST /urgent idempotency replay error:', e);
+      }
+    }
+
+    console.error('❌ POST /urgent error:', err);
+    res.status(500).json({ error: 'Failed to declare urgent(s).' });
+  }
+});
+
+/* ---------------------------------------------------------------
+PATCH  /urgent/:id/planb  { mcPb }  (emit urgent:planb)
+DELETE /urgent/:id/planb            (emit urgent:planb-cleared)
+ Production of the wire moves to mcPb while the urgent is open; clearing
+ sends it back to the declared machine. Who switched and when is kept on
+ the row, every switch / clear in the audit trail.
+--------------------------------------------------------------- */
+// -> { row } | { status, body }
+async function switchPlanB(user, id, mcPb) {
+  const current = await store.urgents.get(id);
+  if (!current) return { status: 404, body: { error: 'Urgent not found.' } };
+
+  const status = String(current.Statut || '').trim().toUpperCase();
+  const clearing = mcPb === null;
+
+  if (clearing && !planBOf(current.Plan_B))
+    return { status: 409, body: { error: 'Plan B is not set on this urgent.' } };
+  if (!clearing && !OPEN_STATUSES.includes(status))
+    return { status: 409, body: { error: `Cannot switch to Plan B on an urgent in status ${status || '(none)'}.`, status: status || null } };
+
+  let machine = null;
+  if (!clearing) {
+    const target = await resolveMachine(mcPb);
+    if (!target) return { status: 400, body: { error: `Unknown machine: ${mcPb}` } };
+    const declared = await resolveMachine(current.Machine);
+    if (target.code === (declared?.code ?? normMachine(current.Machine)))
+      return { status: 400, body: { error: 'Plan B machine must differ from the declared machine.' } };
+    if (!machineRuns(target, current.Type))
+      return { status: 400, body: { error: `Machine ${target.code} does not run ${String(current.Type).trim().toLowerCase()}.` } };
+    if (target.status !== 'running')
+      return { status: 409, body: { error: `Machine ${target.code} is ${target.status}.`, machineStatus: target.status } };
+    machine = target.code;
+  }
+
+  const by = String(user.Mlle).trim();
+  const row = await inTransaction(async (tx) => {
+    // clearing is allowed after resolution (for the record), switching is not
+    const changed = await tx.urgents.update(id, {
+      Plan_B: !clearing,
+      McPb: machine,
+      Plan_B_Par: clearing ? null : by,
+      Date_Plan_B: clearing ? null : new Date()
+    }, clearing ? {} : { Statut: OPEN_STATUSES });
+    if (!changed) return null;
+
+    await audit(tx, {
+      actor: user, entity: 'urgent', entityId: id, action: clearing ? 'planb-clear' : 'planb',
+      oldValue: { planB: planBOf(current.Plan_B), mcPb: current.McPb ?? null },
+      newValue: { planB: !clearing, mcPb: machine }
+    });
+    return fetchUrgentRow(tx, id);
+  });
+  if (!row)
+    return { status: 409, body: { error: 'Urgent was changed by someone else, reload and retry.' } };
+
+  // 🔔 notify machine / type rooms, plus the fallback machine's room
+  emitUrgent(clearing ? 'urgent:planb-cleared' : 'urgent:planb', row,
+    { by, previousMcPb: current.McPb?.trim() || null },
+    [current.McPb, machine].filter(ok).map(m => machineRoom(normMachine(m))));
+
+  return { row };
+}
+
+app.patch('/urgent/:id/planb', authorize('urgent:planb'), validate({
+  summary: 'Move production of an open urgent to a Plan B machine',
+  params: URGENT_ID_PARAMS,
+  body: S.object({ mcPb: S.text({ maxLength: 50, description: 'Machine code or alias' }) }, ['mcPb']),
+  responses: { 200: 'The urgent', 404: 'Urgent not found', 409: 'Urgent closed, or the machine is not running' }
+}), async (req, res) => {
+  try {
+    const id = toInt(req.params.id, null);
+
+    const out = await switchPlanB(req.user, id, req.body.mcPb);
+    if (!out.row) return res.status(out.status).json(out.body);
+    res.json(out.row);
+  } catch (e) {
+    console.error('❌ PATCH /urgent/:id/planb error:', e);
+    res.status(500).json({ error: 'Failed to set Plan B.' });
+  }
+});
+
+app.delete('/urgent/:id/planb', authorize('urgent:planb'), validate({
+  summary: 'Send production back to the declared machine',
+  params: URGENT_ID_PARAMS,
+  responses: { 200: 'The urgent', 404: 'Urgent not found', 409: 'Plan B is not set' }
+}), async (req, res) => {
+  try {
+    const id = toInt(req.params.id, null);
+
+    const out = await switchPlanB(req.user, id, null);
+    if (!out.row) return res.status(out.status).json(out.body);
+    res.json(out.row);
+  } catch (e) {
+    console.error('❌ DELETE /urgent/:id/planb error:', e);
+    res.status(500).json({ error: 'Failed to clear Plan B.' });
+  }
+});
+
+/* ---------------------------------------------------------------
+PATCH /urgent/planb  { unico, McPb }
+ deprecated: targets the latest open urgent of the Unico, use
+ PATCH /urgent/:id/planb instead
+--------------------------------------------------------------- */
+app.patch('/urgent/planb', authorize('urgent:planb', 'matricule'), validate({
+  summary: 'Plan B on the latest open urgent of a Unico',
+  description: 'Use PATCH /urgent/{id}/planb instead.',
+  deprecated: true,
+  body: S.object({ unico: S.text(), McPb: S.text({ maxLength: 50 }), ...legacyAuthFields('matricule') }, ['unico', 'McPb']),
+  responses: { 200: '{ success, id, unico, McPb, Plan_B }', 404: 'No open urgent for this Unico' }
+}), async (req, res) => {
+  try {
+    res.set('Deprecation', 'true');
+    res.set('Link', '</urgent/{id}/planb>; rel="successor-version"');
+
+    const { unico, McPb } = req.body;
+
+    const found = await store.urgents.latestOpen(unico);
+    if (!found)
+      return res.status(404).json({ error: 'No open urgent found for this Unico.' });
+
+    const out = await switchPlanB(req.user, found.id, McPb);
+    if (!out.row) return res.status(out.status).json(out.body);
+
+    return res.json({ success: true, id: out.row.id, unico: out.row.unico, McPb: out.row.mcPb, Plan_B: out.row.planB });
+  } catch (err) {
+    console.error('❌ PATCH /urgent/planb error:', err);
+    res.status(500).json({ error: 'Failed to set Plan B.' });
+  }
+});
+
+/* ---------------------------------------------------------------
+PATCH /urgent/resolve  (emit urgent:resolved)
+ An urgent assigned to someone else is skipped unless the caller may assign
+ (see assignUrgent below); 409 when that leaves nothing resolved.
+--------------------------------------------------------------- */
+app.patch('/urgent/resolve', authorize('urgent:resolve', 'correctorMatricule'), validate({
+  summary: 'Resolve the latest open urgent of each Unico',
+  body: S.object({
+    unico: S.text(),
+    unicos: S.array(S.text(), { minItems: 1 }),
+    ...legacyAuthFields('correctorMatricule')
+  }, [], { anyOf: [{ required: ['unico'] }, { required: ['unicos'] }] }),
+  responses: {
+    200: 'Resolved urgents, and the Unicos without an open one in `skipped`',
+    409: 'Every urgent is assigned to someone else'
+  }
+}), async (req, res) => {
+  try {
+    const { unico, unicos } = req.body;
+
+    const list = (unicos || [unico]).map(u => u.trim());
+
+    const corrector = req.user;
+    const by = String(corrector.Mlle).trim();
+    const mayAssign = await hasPermission(corrector.Role, 'urgent:assign');
+
+    const results = [];
+    const skipped = [];
+    let assignedElsewhere = 0;
+
+    for (const u of list) {
+      const target = await store.urgents.latestOpen(u);
+      if (!target) {
+        skipped.push({ unico: u, reason: 'No open urgent found' });
+        continue;
+      }
+
+      const holder = target.Assigne_A ? String(target.Assigne_A).trim() : null;
+      if (holder && holder !== by && !mayAssign) {
+        skipped.push({ unico: u, reason: `Assigned to ${holder}`, assignedTo: holder });
+        assignedElsewhere++;
+        continue;
+      }
+
+      const now = new Date();
+      const row = await inTransaction(async (tx) => {
+        // the status and holder checks keep two resolvers racing on the same urgent from both succeeding
+        const changed = await tx.urgents.update(target.id, {
+          Statut: STATUS.RESOLVED,
+          Corriger_Par: by,
+          Date_Correction: now
+        }, { Statut: OPEN_STATUSES, Assigne_A: target.Assigne_A ?? null });
+        if (!changed) return null;
+
+        await audit(tx, {
+          actor: corrector, entity: 'urgent', entityId: target.id, action: 'resolve',
+          oldValue: { status: target.Statut },
+          newValue: { status: 'OK', correctedBy: by, correctedAt: now }
+        });
+        return fetchUrgentRow(tx, target.id);
+      });
+      if (!row) {
+        skipped.push({ unico: u, reason: 'Urgent was changed by someone else' });
+        continue;
+      }
+      results.push(row);
+
+      // 🔔 notify machine / type rooms
+      emitUrgent('urgent:resolved', row, { by: row.correctedBy?.matricule });
+    }
+
+    if (!results.length && assignedElsewhere) {
+      return res.status(409).json({ error: 'Urgent(s) assigned to someone else.', count: 0, results, skipped });
+    }
+    return res.json({ count: results.length, results, skipped });
+  } catch (e) {
+    console.error('❌ PATCH /urgent/resolve (batch) error:', e);
+    res.status(500).json({ error: 'Failed to resolve urgent(s).' });
+  }
+});
+
+/* ---------------------------------------------------------------
+PATCH /urgent/:id/acknowledge        (emit urgent:acknowledged)
+PATCH /urgent/:id/start              (emit urgent:started)
+PATCH /urgent/:id/cancel  { reason } (emit urgent:cancelled)
+PATCH /urgent/:id/reopen  { reason } (emit urgent:reopened)
+ 409 when the current status does not allow the move (see lifecycle above)
+ start claims the urgent for a Cutting operator (see assignUrgent below), and
+ is refused on an urgent claimed by someone else unless the caller may assign.
+--------------------------------------------------------------- */
+const URGENT_TRANSITIONS = {
+  acknowledge: {
+    from: [STATUS.DECLARED],
+    to: STATUS.ACKNOWLEDGED,
+    event: 'urgent:acknowledged',
+    set: (by, at) => ({ Acquitte_Par: by, Date_Acquittement: at })
+  },
+  start: {
+    from: [STATUS.DECLARED, STATUS.ACKNOWLEDGED],
+    to: STATUS.IN_PROGRESS,
+    event: 'urgent:started',
+    claims: true,
+    set: (by, at) => ({ Debute_Par: by, Date_Debut: at })
+  },
+  cancel: {
+    from: OPEN_STATUSES,
+    to: STATUS.CANCELLED,
+    event: 'urgent:cancelled',
+    requiresReason: true,
+    set: (by, at, reason) => ({ Annule_Par: by, Date_Annulation: at, Motif_Annulation: reason })
+  },
+  reopen: {
+    from: [STATUS.RESOLVED, STATUS.CANCELLED],
+    to: STATUS.DECLARED,
+    event: 'urgent:reopened',
+    // back to a fresh declaration; the audit trail keeps what is cleared here.
+    // The time remaining runs again from the reopening, so escalation starts over from there.
+    set: (by, at, reason, row) => ({
+      Corriger_Par: null, Date_Correction: null,
+      Acquitte_Par: null, Date_Acquittement: null,
+      Debute_Par: null, Date_Debut: null,
+      Annule_Par: null, Date_Annulation: null, Motif_Annulation: null,
+      Assigne_A: null, Assigne_Par: null, Date_Assignation: null,
+      Date_Limite: deadlineFrom(at, row.Temps_Restant),
+      Escalade: 0, Date_Escalade: null
+    })
+  }
+};
+
+for (const [action, t] of Object.entries(URGENT_TRANSITIONS)) {
+  app.patch(`/urgent/:id/${action}`, authorize(`urgent:${action}`), validate({
+    summary: `${action[0].toUpperCase()}${action.slice(1)} an urgent (${t.from.join(', ')} -> ${t.to})`,
+    params: URGENT_ID_PARAMS,
+    body: S.object({ reason: S.text({ maxLength: 400 }) }, t.requiresReason ? ['reason'] : []),
+    responses: { 200: 'The urgent', 404: 'Urgent not found', 409: 'The current status does not allow it' }
+  }), async (req, res) => {
+    try {
+      const id = toInt(req.params.id, null);
+
+      const reason = ok(req.body?.reason) ? req.body.reason.trim() : null;
+
+      const found = await store.urgents.get(id);
+      if (!found)
+        return res.status(404).json({ error: 'Urgent not found.' });
+
+      const from = String(found.Statut || '').trim().toUpperCase();
+      if (!t.from.includes(from)) {
+        return res.status(409).json({
+          error: `Cannot ${action} an urgent in status ${from || '(none)'}.`,
+          status: from || null,
+          allowedFrom: t.from
+        });
+      }
+
+      const by = String(req.user.Mlle).trim();
+      const now = new Date();
+      const fields = { Statut: t.to, ...t.set(by, now, reason, found) };
+
+      const holder = found.Assigne_A ? String(found.Assigne_A).trim() : null;
+      let claimed = false;
+      if (t.claims && holder && holder !== by && !(await hasPermission(req.user.Role, 'urgent:assign'))) {
+        return res.status(409).json({ error: `Urgent is assigned to ${holder}.`, assignedTo: holder });
+      }
+      if (t.claims && !holder && isCutting(req.user)) {
+        Object.assign(fields, { Assigne_A: by, Assigne_Par: by, Date_Assignation: now });
+        claimed = true;
+      }
+
+      const row = await inTransaction(async (tx) => {
+        // the status check guards against two tablets moving the same urgent at once
+        const changed = await tx.urgents.update(id, fields, { Statut: from });
+        if (!changed) return null;
+
+        await audit(tx, {
+          actor: req.user, entity: 'urgent', entityId: id, action,
+          oldValue: { status: from },
+          newValue: { status: t.to, ...(reason ? { reason } : {}), ...(claimed ? { assignedTo: by } : {}) }
+        });
+        return fetchUrgentRow(tx, id);
+      });
+      if (!row)
+        return res.status(409).json({ error: 'Urgent was changed by someone else, reload and retry.' });
+
+      // 🔔 notify machine / type rooms
+      emitUrgent(t.event, row, reason ? { by, reason } : { by });
+      if (claimed) emitUrgent(ASSIGN_EVENT, row, { by, action: 'claim', assignedTo: by, previous: null });
+
+      res.json(row);
+    } catch (e) {
+      console.error(`❌ PATCH /urgent/:id/${action} error:`, e);
+      res.status(500).json({ error: `Failed to ${action} urgent.` });
+    }
+  });
+}
+
+/* ---------------------------------------------------------------
+PATCH /urgent/:id/claim                   the caller takes it
+PATCH /urgent/:id/assign    { matricule } a team leader hands it out
+PATCH /urgent/:id/reassign  { matricule } ... to someone else
+PATCH /urgent/:id/release                 back to nobody
+ (emit urgent:assigned, assignedTo = null on release)
+ Only open urgents, only to users with Role = Cutting. An operator releases
+ their own claim; anyone's needs urgent:assign. The assignment stays on the
+ row once resolved or cancelled, and is cleared by reopen.
+--------------------------------------------------------------- */
+const ASSIGN_EVENT = 'urgent:assigned';
+const ASSIGNEE_ROLE = 'Cutting';
+
+const isCutting = (user) => String(user?.Role || '').trim().toLowerCase() === ASSIGNEE_ROLE.toLowerCase();
+
+// -> { row } | { status, body }
+async function assignUrgent(user, id, action, matricule) {
+  const current = await store.urgents.get(id);
+  if (!current) return { status: 404, body: { error: 'Urgent not found.' } };
+
+  const status = String(current.Statut || '').trim().toUpperCase();
+  if (!OPEN_STATUSES.includes(status))
+    return { status: 409, body: { error: `Cannot ${action} an urgent in status ${status || '(none)'}.`, status: status || null } };
+
+  const by = String(user.Mlle).trim();
+  const holder = current.Assigne_A ? String(current.Assigne_A).trim() : null;
+
+  let to = null;
+  if (action === 'claim') {
+    if (!isCutting(user)) return { status: 403, body: { error: `Only ${ASSIGNEE_ROLE} users can claim urgents.` } };
+    if (holder === by) return { row: await fetchUrgentRow(store, id) };   // already theirs: no event
+    if (holder) return { status: 409, body: { error: `Urgent is already assigned to ${holder}.`, assignedTo: holder } };
+    to = by;
+  } else if (action === 'assign' || action === 'reassign') {
+    const target = await store.users.find(String(matricule).trim());
+    if (!target) return { status: 400, body: { error: `Unknown user: ${matricule}` } };
+    if (!isCutting(target))
+      return { status: 400, body: { error: `User ${String(target.Mlle).trim()} is not ${ASSIGNEE_ROLE}.`, role: target.Role?.trim() || null } };
+    to = String(target.Mlle).trim();
+    if (action === 'assign' && holder && holder !== to)
+      return { status: 409, body: { error: `Urgent is already assigned to ${holder}, reassign it instead.`, assignedTo: holder } };
+    if (action === 'reassign' && !holder)
+      return { status: 409, body: { error: 'Urgent is not assigned, assign it instead.' } };
+    if (holder === to) return { row: await fetchUrgentRow(store, id) };   // already theirs: no event
+  } else {
+    if (!holder) return { status: 409, body: { error: 'Urgent is not assigned.' } };
+    if (holder !== by && !(await hasPermission(user.Role, 'urgent:assign')))
+      return { status: 403, body: { error: `Urgent is assigned to ${holder}; releasing it needs urgent:assign.`, assignedTo: holder } };
+  }
+
+  const row = await inTransaction(async (tx) => {
+    // the holder check guards against two operators claiming the same urgent at once
+    const changed = await tx.urgents.update(id, {
+      Assigne_A: to,
+      Assigne_Par: to ? by : null,
+      Date_Assignation: to ? new Date() : null
+    }, { Statut: OPEN_STATUSES, Assigne_A: current.Assigne_A ?? null });
+    if (!changed) return null;
+
+    await audit(tx, {
+      actor: user, entity: 'urgent', entityId: id, action,
+      oldValue: { assignedTo: holder },
+      newValue: { assignedTo: to }
+    });
+    return fetchUrgentRow(tx, id);
+  });
+  if (!row)
+    return { status: 409, body: { error: 'Urgent was changed by someone else, reload and retry.' } };
+
+  // 🔔 notify machine / type rooms
+  emitUrgent(ASSIGN_EVENT, row, { by, action, assignedTo: to, previous: holder });
+
+  return { row };
+}
+
+const ASSIGN_ACTIONS = {
+  claim: { permission: 'urgent:claim', summary: 'Claim an open urgent for yourself (Cutting)' },
+  assign: { permission: 'urgent:assign', summary: 'Assign an open urgent to a Cutting operator', target: true },
+  reassign: { permission: 'urgent:assign', summary: 'Move an assigned urgent to another Cutting operator', target: true },
+  release: { permission: null, summary: 'Release an assigned urgent (your own claim, or anyone\'s with urgent:assign)' }
+};
+
+for (const [action, a] of Object.entries(ASSIGN_ACTIONS)) {
+  app.patch(`/urgent/:id/${action}`, a.permission ? authorize(a.permission) : requireAuth(), validate({
+    summary: a.summary,
+    params: URGENT_ID_PARAMS,
+    ...(a.target ? { body: S.object({ matricule: matriculeSchema({ description: `Badge number of a ${ASSIGNEE_ROLE} user` }) }, ['matricule']) } : {}),
+    responses: {
+      200: 'The urgent',
+      400: 'Unknown user, or not a Cutting user',
+      403: a.target ? 'Permission missing' : 'Not yours to take or release',
+      404: 'Urgent not found',
+      409: 'Urgent closed, or assigned to someone else'
+    }
+  }), async (req, res) => {
+    try {
+      const id = toInt(req.params.id, null);
+
+      const out = await assignUrgent(req.user, id, action, req.body?.matricule);
+      if (!out.row) return res.status(out.status).json(out.body);
+      res.json(out.row);
+    } catch (e) {
+      console.error(`❌ PATCH /urgent/:id/${action} error:`, e);
+      res.status(500).json({ error: `Failed to ${action} urgent.` });
+    }
+  });
+}
+
+/* ---------------------------------------------------------------
+GET /users (with counts)
+ ?role=Cutting  ?q=name or matricule
+--------------------------------------------------------------- */
+function userFilter(query) {
+  const filter = {};
+  if (ok(query.role)) filter.role = String(query.role).trim();
+  if (ok(query.q)) filter.q = String(query.q).trim();
+  return filter;
+}
+
+const USER_FILTER_QUERY = {
+  role: S.enumOf(ROLES, { ignoreCase: true }),
+  q: S.text({ description: 'Name or matricule contains' })
+};
+const USER_PARAMS = S.object({ matricule: matriculeSchema() }, ['matricule']);
+
+// the user shape of GET /users, POST /users and PUT /users/:matricule
+function mapUserRow(r) {
+  return {
+    matricule: r.Mlle?.trim(),
+    fullName: `${(r.Prenom || '').trim()} ${(r.Nom || '').trim()}`.trim(),
+    firstName: r.Prenom?.trim(),
+    lastName: r.Nom?.trim(),
+    role: r.Role?.trim(),
+    declaredCount: r.declaredCount ?? 0,
+    correctedCount: r.correctedCount ?? 0,
+    assignedCount: r.assignedCount ?? 0,
+    avgResolutionMinutes: r.avgResolutionMinutes == null ? null : round1(Number(r.avgResolutionMinutes))
+  };
+}
+
+app.get('/users', authorize('users:read'), validate({
+  summary: 'Users with their declared / corrected / assigned counts',
+  description: '`assignedCount`: open urgents assigned now. `avgResolutionMinutes`: declaration to resolution, over the urgents the user resolved.',
+  query: S.object(USER_FILTER_QUERY)
+}), async (req, res) => {
+  try {
+    const rows = await store.users.list(userFilter(req.query));
+
+    const users = rows.map(mapUserRow);
+
+    res.json({ count: users.length, results: users });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/* ---------------------------------------------------------------
+GET /users/export?format=csv|xlsx&lang=fr|en  (same filters as /users)
+--------------------------------------------------------------- */
+const USER_EXPORT_COLUMNS = [
+  { fr: 'Matricule', en: 'Badge number', get: u => u.matricule },
+  { fr: 'Nom complet', en: 'Full name', get: u => u.fullName },
+  { fr: 'Rôle', en: 'Role', get: u => u.role },
+  { fr: 'Urgences déclarées', en: 'Urgents declared', get: u => u.declaredCount },
+  { fr: 'Urgences corrigées', en: 'Urgents corrected', get: u => u.correctedCount },
+  { fr: 'Urgences assignées', en: 'Urgents assigned', get: u => u.assignedCount },
+  { fr: 'Résolution moyenne (min)', en: 'Average resolution (min)', get: u => u.avgResolutionMinutes }
+];
+
+app.get('/users/export', authorize('users:read'), validate({
+  summary: 'Export users as CSV or XLSX',
+  query: S.object({ ...USER_FILTER_QUERY, ...EXPORT_QUERY }),
+  responses: { 200: 'The file (text/csv or xlsx), streamed' }
+}), (req, res) => streamExport(req, res, {
+  name: 'users',
+  columns: USER_EXPORT_COLUMNS,
+  open: () => store.users.stream(userFilter(req.query)),
+  mapRow: mapUserRow
+}));
+
+/* ---------------------------------------------------------------
+GET /users/:matricule/workload   open urgents assigned to the user, oldest first
+ (your own with any login, anyone's with users:read)
+--------------------------------------------------------------- */
+app.get('/users/:matricule/workload', requireAuth(), validate({
+  summary: 'Open urgents assigned to a user',
+  params: USER_PARAMS,
+  responses: { 200: '{ user, count, byStatus, results }', 403: 'Not your matricule', 404: 'User not found' }
+}), async (req, res) => {
+  try {
+    const matricule = String(req.params.matricule).trim();
+
+    const self = String(req.user.Mlle).trim();
+    if (matricule !== self && !(await hasPermission(req.user.Role, 'users:read'))) {
+      return res.status(403).json({ error: 'You can only see your own workload without users:read.', permission: 'users:read' });
+    }
+
+    const [user] = await store.users.list({ matricule });
+    if (!user) return res.status(404).json({ error: 'User not found.' });
+
+    const rows = await store.urgents.all({ statuses: OPEN_STATUSES, assignedTo: matricule });
+    const results = rows
+      .map(mapUrgentRow)
+      .sort((a, b) => new Date(a.declaredAt) - new Date(b.declaredAt) || a.id - b.id);
+
+    const byStatus = Object.fromEntries(OPEN_STATUSES.map(st => [st, 0]));
+    for (const u of results) byStatus[String(u.status).trim().toUpperCase()]++;
+
+    res.json({ user: mapUserRow(user), count: results.length, byStatus, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch workload' });
+  }
+});
+
+/* ---------------------------------------------------------------
+POST /users
+--------------------------------------------------------------- */
+const USER_FIELDS = {
+  firstName: S.text(),
+  lastName: S.text(),
+  role: S.enumOf(ROLES),
+  password: S.text()
+};
+
+app.post('/users', authorize('users:manage'), validate({
+  summary: 'Create a user',
+  body: S.object({ matricule: matriculeSchema(), ...USER_FIELDS }, ['matricule', 'firstName', 'lastName', 'role', 'password']),
+  responses: { 201: 'The user', 409: 'Matricule already exists' }
+}), async (req, res) => {
+  try {
+    const { matricule, firstName, lastName, role, password } = req.body;
+
+    const mlleCanon = String(matricule).trim();
+    if (await store.users.find(mlleCanon)) {
+      return res.status(409).json({ error: 'Matricule already exists.' });
+    }
+
+    const hash = await hashPassword(password);
+    await inTransaction(async (tx) => {
+      await tx.users.create({
+        Nom: String(lastName).trim(),
+        Prenom: String(firstName).trim(),
+        Mlle: mlleCanon,
+        Password: hash,
+        Role: String(role).trim()
+      });
+
+      await audit(tx, {
+        actor: req.user, entity: 'user', entityId: mlleCanon, action: 'create',
+        newValue: { matricule: mlleCanon, firstName: String(firstName).trim(), lastName: String(lastName).trim(), role: String(role).trim() }
+      });
+    });
+
+    const [created] = await store.users.list({ matricule: mlleCanon });
+    return res.status(201).json(mapUserRow(created));
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: 'Failed to create user' });
+  }
+});
+
+/* ---------------------------------------------------------------
+DELETE /users
+--------------------------------------------------------------- */
+app.delete('/users', authorize('users:manage'), validate({
+  summary: 'Delete a user (matricule in the body or the query)',
+  query: S.object({ matricule: matriculeSchema() }),
+  body: S.object({ matricule: matriculeSchema() }),
+  responses: { 200: 'Deleted', 404: 'User not found' }
+}), async (req, res) => {
+  try {
+    const matricule = String(req.body?.matricule || req.query.matricule || '').trim();
+
+    if (!matricule) {
+      return res.status(400).json({ error: 'Invalid request.', errors: [{ in: 'body', field: 'matricule', message: 'is required' }] });
+    }
+
+    const [user] = await store.users.list({ matricule });
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    await inTransaction(async (tx) => {
+      await tx.users.remove(matricule);
+
+      await audit(tx, {
+        actor: req.user, entity: 'user', entityId: matricule, action: 'delete',
+        oldValue: userAuditValue(user)
+      });
+    });
+
+    res.json({ success: true, message: 'User deleted successfully.' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete user.' });
+  }
+});
+
+/* ---------------------------------------------------------------
+PUT /users/:matricule
+--------------------------------------------------------------- */
+app.put('/users/:matricule', authorize('users:manage'), validate({
+  summary: 'Update a user',
+  params: USER_PARAMS,
+  body: S.object(USER_FIELDS, [], { minProperties: 1 }),
+  responses: { 200: 'The user', 404: 'User not found' }
+}), async (req, res) => {
+  try {
+    const matricule = req.params.matricule.trim();
+
+    const { firstName, lastName, role, password } = req.body;
+
+    const [existing] = await store.users.list({ matricule });
+
+    if (!existing) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+
+    const fields = {};
+    if (firstName) fields.Prenom = String(firstName).trim();
+    if (lastName) fields.Nom = String(lastName).trim();
+    if (role) fields.Role = String(role).trim();
+    if (password) fields.Password = await hashPassword(password);
+
+    const before = userAuditValue(existing);
+    const oldValue = {};
+    const newValue = {};
+    for (const [key, value] of Object.entries({ firstName, lastName, role })) {
+      if (!value) continue;
+      oldValue[key] = before[key];
+      newValue[key] = String(value).trim();
+    }
+    if (password) newValue.passwordChanged = true;
+
+    await inTransaction(async (tx) => {
+      await tx.users.update(matricule, fields);
+      await audit(tx, { actor: req.user, entity: 'user', entityId: matricule, action: 'update', oldValue, newValue });
+    });
+
+    const [r] = await store.users.list({ matricule });
+    res.json(mapUserRow(r));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update user.' });
+  }
+});
+
+/* ---------------------------------------------------------------
+POST /users/:matricule/password  { oldPassword, newPassword }
+(self-service: only the logged-in user, old password required)
+--------------------------------------------------------------- */
+app.post('/users/:matricule/password', requireAuth(), validate({
+  summary: 'Change your own password',
+  params: USER_PARAMS,
+  body: S.object({ oldPassword: S.text(), newPassword: S.text() }, ['oldPassword', 'newPassword']),
+  responses: { 200: 'Changed', 401: 'Old password is incorrect', 403: 'Not your matricule', 429: 'Too many failed attempts' }
+}), async (req, res) => {
+  try {
+    const matricule = req.params.matricule.trim();
+    const { oldPassword, newPassword } = req.body;
+
+    const self = String(req.user.Mlle).trim().replace(/ /g, '');
+    if (matricule.replace(/ /g, '') !== self) {
+      return res.status(403).json({ error: 'You can only change your own password.' });
+    }
+
+    const check = await checkCredentials(req, res, self, oldPassword);
+    if (check.error) return res.status(check.status).json({ error: check.error, retryAfter: check.retryAfter });
+    const { user } = check;
+    if (!user) {
+      return res.status(401).json({ error: 'Old password is incorrect.' });
+    }
+    if (String(oldPassword).trim() === String(newPassword).trim()) {
+      return res.status(400).json({ error: 'New password must differ from the old one.' });
+    }
+
+    await inTransaction(async (tx) => {
+      await setUserPassword(tx, user.Mlle, newPassword);
+      await audit(tx, { actor: req.user, entity: 'user', entityId: String(user.Mlle).trim(), action: 'password-change' });
+    });
+    res.json({ success: true, message: 'Password changed successfully.' });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to change password.' });
+  }
+});
+
+/* ---------------------------------------------------------------
+GET /wires
+ ?type=COUPE|TWIST  ?machine=MC27  ?q=Unico or emplacement
+--------------------------------------------------------------- */
+const WIRE_TYPES = ['COUPE', 'TWIST'];
+
+function wireFilter(query) {
+  const filter = {};
+
+  if (ok(query.type)) filter.type = String(query.type).toUpperCase().trim();
+  if (ok(query.machine)) filter.machine = normMachine(query.machine);
+  if (ok(query.q)) filter.q = String(query.q).trim();
+
+  return filter;
+}
+
+const WIRE_FILTER_QUERY = {
+  type: S.enumOf(WIRE_TYPES, { ignoreCase: true }),
+  machine: S.text(),
+  q: S.text({ description: 'Unico or emplacement contains' })
+};
+const WIRE_PARAMS = S.object({ unico: S.text() }, ['unico']);
+
+function mapWireRow(r) {
+  return {
+    unico: r.Unico?.trim() || null,
+    projet: r.Projet?.trim?.() || r.Projet || null,
+    emplacement: r.Emplacement?.trim() || null,
+    qte_pq: r.Qte_Pq ?? null,
+    machine: r.Machine?.trim() || null,
+    type: r.Type?.trim() || null
+  };
+}
+
+app.get('/wires', authorize('wires:read'), validate({
+  summary: 'Wire catalog',
+  query: S.object(WIRE_FILTER_QUERY)
+}), async (req, res) => {
+  try {
+    const rows = await store.wires.list(wireFilter(req.query));
+
+    const results = rows.map(mapWireRow);
+
+    res.json({ count: results.length, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch wires' });
+  }
+});
+
+/* ---------------------------------------------------------------
+GET /wires/export?format=csv|xlsx&lang=fr|en  (same filters as /wires)
+--------------------------------------------------------------- */
+const WIRE_EXPORT_COLUMNS = [
+  { fr: 'Unico', en: 'Unico', get: w => w.unico },
+  { fr: 'Projet', en: 'Project', get: w => w.projet },
+  { fr: 'Emplacement', en: 'Location', get: w => w.emplacement },
+  { fr: 'Qté/Pq', en: 'Qty/Pack', get: w => w.qte_pq },
+  { fr: 'Machine', en: 'Machine', get: w => w.machine },
+  { fr: 'Type', en: 'Type', get: w => w.type }
+];
+
+app.get('/wires/export', authorize('wires:read'), validate({
+  summary: 'Export the wire catalog as CSV or XLSX',
+  query: S.object({ ...WIRE_FILTER_QUERY, ...EXPORT_QUERY }),
+  responses: { 200: 'The file (text/csv or xlsx), streamed' }
+}), (req, res) => streamExport(req, res, {
+  name: 'wires',
+  columns: WIRE_EXPORT_COLUMNS,
+  open: () => store.wires.stream(wireFilter(req.query)),
+  mapRow: mapWireRow
+}));
+
+/* ---------------------------------------------------------------
+POST /wires/import   (catalog sync from engineering's wire list)
+ body: the CSV itself (Content-Type: text/csv) or JSON { csv: "..." }
+ header row: Unico, Projet, Emplacement, Qte_Pq, Machine, Type  (; , or tab separated)
+  ?mode=dry-run (default)  -> diff only: added / changed / removed / invalid
+  ?mode=apply              -> same diff, written in one transaction and recorded
+                              in M5_Wires_Imports (refused while rows are invalid)
+  ?filename=wires-P2.csv   (kept with the import record)
+ The file is the full catalog: wires missing from it are removed, except the
+ ones still referenced by open urgents (listed in `blocked`). Machines are stored
+ under their registry code, aliases resolved, like declarations.
+--------------------------------------------------------------- */
+const WIRE_IMPORT_COLUMNS = ['Unico', 'Projet', 'Emplacement', 'Qte_Pq', 'Machine', 'Type'];
+
+// RFC 4180-ish: quoted fields, "" escapes, CRLF / LF
+function parseCsv(text) {
+  const src = String(text).replace(/^\uFEFF/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const sep = [';', ',', '\t']
+    .map(c => [c, firstLine.split(c).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"' && cell === '') {
+      quoted = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+const cleanText = (v) => String(v ?? '').replace(/[\u00A0\t]/g, ' ').trim();
+
+// -> { wires: Map(unico -> wire), invalid: [{ line, unico, errors }] } | { error }
+function readWireCsv(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return { error: 'Empty file.' };
+
+  const header = rows[0].map(h => cleanText(h).toLowerCase());
+  const idx = {};
+  for (const col of WIRE_IMPORT_COLUMNS) {
+    idx[col] = header.indexOf(col.toLowerCase());
+  }
+  const missingCols = WIRE_IMPORT_COLUMNS.filter(c => idx[c] < 0);
+  if (missingCols.length) return { error: `Missing columns: ${missingCols.join(', ')}` };
+
+  const wires = new Map();
+  const invalid = [];
+  rows.slice(1).forEach((cells, i) => {
+    const line = i + 2;
+    const get = (col) => cleanText(cells[idx[col]]);
+    const errors = [];
+
+    const unico = get('Unico');
+    const qte = get('Qte_Pq');
+    const type = get('Type').toUpperCase();
+
+    if (!unico) errors.push('Unico is required');
+    if (qte && !/^\d+$/.test(qte)) errors.push('Qte_Pq must be a whole number');
+    if (!WIRE_TYPES.includes(type)) errors.push(`Type must be ${WIRE_TYPES.join(' or ')}`);
+    if (unico && wires.has(unico)) errors.push(`Unico repeated (first on line ${wires.get(unico).line})`);
+
+    if (errors.length) {
+      invalid.push({ line, unico: unico || null, errors });
+      return;
+    }
+    wires.set(unico, {
+      line,
+      unico,
+      projet: get('Projet') || null,
+      emplacement: get('Emplacement') || null,
+      qte_pq: qte ? parseInt(qte, 10) : null,
+      machine: get('Machine') || null,   // resolved against the registry by the route
+      type
+    });
+  });
+
+  return { wires, invalid };
+}
+
+// machine of a wire -> its registry code (aliases resolved), normalised when not registered
+async function wireMachine(value) {
+  if (!ok(value)) return null;
+  return (await resolveMachine(value))?.code ?? normMachine(value);
+}
+
+const WIRE_DIFF_FIELDS = ['projet', 'emplacement', 'qte_pq', 'machine', 'type'];
+
+function sameWireValue(field, a, b) {
+  const norm = (v) => (v === null || v === undefined ? '' : cleanText(v));
+  if (field === 'machine' || field === 'type') return norm(a).toUpperCase() === norm(b).toUpperCase();
+  return norm(a) === norm(b);
+}
+
+// the wires of the file + the catalog with its open urgent counts
+// -> { added, changed, unchanged, removed, blocked }
+function wireImportDiff(wires, current) {
+  const existing = new Map();
+  for (const r of current) {
+    existing.set(cleanText(r.Unico), { ...mapWireRow(r), openUrgents: r.openUrgents });
+  }
+
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+  for (const wire of wires.values()) {
+    const before = existing.get(wire.unico);
+    if (!before) {
+      added.push(wire);
+      continue;
+    }
+    const changes = {};
+    for (const f of WIRE_DIFF_FIELDS) {
+      if (!sameWireValue(f, before[f], wire[f])) changes[f] = { from: before[f], to: wire[f] };
+    }
+    if (Object.keys(changes).length) changed.push({ unico: wire.unico, line: wire.line, changes, wire });
+    else unchanged++;
+  }
+
+  const removed = [];
+  const blocked = [];
+  for (const [unico, wire] of existing) {
+    if (wires.has(unico)) continue;
+    const { openUrgents, ...rest } = wire;
+    if (openUrgents > 0) blocked.push({ ...rest, reason: `${openUrgents} open urgent(s)` });
+    else removed.push(rest);
+  }
+
+  return { added, changed, unchanged, removed, blocked };
+}
+
+function wireImportReport(mode, parsed, { added, changed, unchanged, removed, blocked }) {
+  const strip = ({ line, ...w }) => w;
+  return {
+    mode,
+    summary: {
+      rows: parsed.wires.size + parsed.invalid.length,
+      added: added.length,
+      changed: changed.length,
+      removed: removed.length,
+      unchanged,
+      blocked: blocked.length,
+      invalid: parsed.invalid.length
+    },
+    added: added.map(strip),
+    changed: changed.map(c => ({ unico: c.unico, line: c.line, changes: c.changes })),
+    removed,
+    blocked,
+    invalid: parsed.invalid
+  };
+}
+
+app.post('/wires/import',
+  express.text({ type: ['text/csv', 'text/plain', 'application/csv'], limit: '10mb' }),
+  authorize('wires:manage'),
+  validate({
+    summary: 'Sync the wire catalog from a CSV (dry-run diff or apply)',
+    query: S.object({
+      mode: S.enumOf(['dry-run', 'apply'], { ignoreCase: true, description: 'Default dry-run' }),
+      filename: S.string({ maxLength: 200, description: 'Kept with the import record' })
+    }),
+    content: {
+      'text/csv': S.text({ description: `Header row: ${WIRE_IMPORT_COLUMNS.join(', ')}` }),
+      'text/plain': S.text(),
+      'application/csv': S.text(),
+      'application/json': S.object({ csv: S.text() }, ['csv'])
+    },
+    responses: { 200: 'The diff (and importId once applied)', 422: 'Invalid rows, nothing applied' }
+  }),
+  async (req, res) => {
+    let tx;
+    try {
+      const mode = String(req.query.mode || 'dry-run').trim().toLowerCase();
+
+      const csv = typeof req.body === 'string' ? req.body : req.body.csv;
+
+      const parsed = readWireCsv(csv);
+      if (parsed.error) return res.status(400).json({ error: parsed.error, expected: WIRE_IMPORT_COLUMNS });
+
+      for (const wire of parsed.wires.values()) wire.machine = await wireMachine(wire.machine);
+
+      if (mode === 'dry-run' || parsed.invalid.length) {
+        const report = wireImportReport(mode, parsed, wireImportDiff(parsed.wires, await store.wires.allWithOpenCounts()));
+        if (mode === 'dry-run') return res.json(report);
+        return res.status(422).json({ error: 'Fix the invalid rows before applying.', ...report });
+      }
+
+      tx = await store.begin();
+
+      // diffed again inside the transaction: the catalog and its open urgents may have moved since
+      const diff = wireImportDiff(parsed.wires, await tx.wires.allWithOpenCounts());
+
+      for (const w of diff.added) {
+        await tx.wires.insert({ Unico: w.unico, ...wireFields(w) });
+      }
+      for (const c of diff.changed) {
+        await tx.wires.update(c.unico, wireFields(c.wire));
+      }
+      // check and delete at once, as DELETE /wires/:unico, so a declaration can't slip in between
+      const removed = [];
+      for (const w of diff.removed) {
+        const removal = await tx.wires.removeUnlessOpen(w.unico);
+        if (removal.removed) removed.push(w);
+        else if (removal.openUrgents) diff.blocked.push({ ...w, reason: `${removal.openUrgents} open urgent(s)` });
+      }
+      diff.removed = removed;
+      const report = wireImportReport(mode, parsed, diff);
+
+      const importId = await tx.wireImports.add({
+        Date_Import: new Date(),
+        Importe_Par: String(req.user.Mlle).trim(),
+        Fichier: ok(req.query.filename) ? String(req.query.filename).trim().slice(0, 200) : null,
+        Ajoutes: report.summary.added,
+        Modifies: report.summary.changed,
+        Supprimes: report.summary.removed,
+        Bloques: report.summary.blocked
+      });
+
+      await audit(tx, {
+        actor: req.user, entity: 'wires', entityId: importId, action: 'import',
+        newValue: { filename: req.query.filename || null, ...report.summary }
+      });
+
+      await tx.commit();
+      tx = null;
+
+      res.json({ importId, ...report });
+    } catch (e) {
+      if (tx) await tx.rollback().catch(() => {});
+      console.error('❌ POST /wires/import error:', e);
+      res.status(500).json({ error: 'Failed to import wires' });
+    }
+  }
+);
+
+/* ---------------------------------------------------------------
+GET /wires/imports  (applied imports, newest first)
+--------------------------------------------------------------- */
+app.get('/wires/imports', authorize('wires:manage'), validate({
+  summary: 'Applied catalog imports, newest first',
+  query: S.object({ limit: PAGE_QUERY.limit })
+}), async (req, res) => {
+  try {
+    const rows = await store.wireImports.list(pageLimit(req.query));
+
+    const results = rows.map(r => ({
+      id: r.id,
+      importedAt: r.Date_Import,
+      importedBy: {
+        matricule: String(r.Importe_Par).trim(),
+        fullName: `${(r.Prenom || '').trim()} ${(r.Nom || '').trim()}`.trim() || null
+      },
+      filename: r.Fichier ?? null,
+      added: r.Ajoutes,
+      changed: r.Modifies,
+      removed: r.Supprimes,
+      blocked: r.Bloques
+    }));
+
+    res.json({ count: results.length, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch wire imports' });
+  }
+});
+
+/* ---------------------------------------------------------------
+GET /wires/:unico
+ the wire + its urgent history (newest first) and a summary:
+ declared / resolved / open / cancelled, lastDeclaredAt, resolveMinutes
+--------------------------------------------------------------- */
+async function fetchWireRow(db, unico) {
+  const row = await db.wires.get(unico);
+  return row ? mapWireRow(row) : null;
+}
+
+app.get('/wires/:unico', authorize('wires:read'), validate({
+  summary: 'A wire with its urgent history and summary',
+  params: WIRE_PARAMS,
+  responses: { 200: 'The wire', 404: 'Wire not found' }
+}), async (req, res) => {
+  try {
+    const unico = cleanText(req.params.unico);
+
+    const wire = await fetchWireRow(store, unico);
+    if (!wire) return res.status(404).json({ error: 'Wire not found.' });
+
+    const rows = await store.urgents.all({ unicoExact: unico });
+
+    const { resolveMinutes, ...counts } = statsOf(rows);
+
+    res.json({
+      ...wire,
+      urgents: {
+        ...counts,
+        lastDeclaredAt: rows[0]?.Date_Declaration ?? null,
+        resolveMinutes,
+        history: rows.map(mapUrgentRow)
+      }
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch wire' });
+  }
+});
+
+/* ---------------------------------------------------------------
+POST   /wires/:unico   body: { type, projet?, emplacement?, qte_pq?, machine? }
+PUT    /wires/:unico   body: any of the above
+DELETE /wires/:unico   (refused while open urgents reference the Unico)
+ machine is stored under its registry code, as in the import
+--------------------------------------------------------------- */
+const WIRE_FIELDS = {
+  type: S.enumOf(WIRE_TYPES, { ignoreCase: true }),
+  projet: S.nullable(S.string()),
+  emplacement: S.nullable(S.string()),
+  qte_pq: S.nullable(S.integer({ minimum: 0 })),
+  machine: S.nullable(S.string({ maxLength: 50 }))
+};
+
+// validated body -> the values to store (only the keys sent, so PUT changes just those)
+function readWireBody(body) {
+  const values = {};
+
+  if (body.type !== undefined) values.type = cleanText(body.type).toUpperCase();
+  if (body.qte_pq !== undefined) values.qte_pq = body.qte_pq;
+  for (const key of ['projet', 'emplacement']) {
+    if (body[key] !== undefined) values[key] = cleanText(body[key]) || null;
+  }
+  if (body.machine !== undefined) values.machine = cleanText(body.machine).toUpperCase() || null;
+
+  return values;
+}
+
+const WIRE_COLUMNS = {
+  projet: 'Projet',
+  emplacement: 'Emplacement',
+  qte_pq: 'Qte_Pq',
+  machine: 'Machine',
+  type: 'Type'
+};
+
+// { projet, ... } -> { Projet, ... } (only the keys present)
+const wireFields = (values) => Object.fromEntries(Object.entries(WIRE_COLUMNS)
+  .filter(([key]) => values[key] !== undefined)
+  .map(([key, column]) => [column, values[key]]));
+
+app.post('/wires/:unico', authorize('wires:manage'), validate({
+  summary: 'Add a wire to the catalog',
+  params: WIRE_PARAMS,
+  body: S.object(WIRE_FIELDS, ['type']),
+  responses: { 201: 'The wire', 409: 'Unico already exists' }
+}), async (req, res) => {
+  try {
+    const unico = cleanText(req.params.unico);
+    const values = readWireBody(req.body);
+    if (values.machine) values.machine = await wireMachine(values.machine);
+
+    if (await fetchWireRow(store, unico)) {
+      return res.status(409).json({ error: 'Unico already exists.' });
+    }
+
+    const wire = await inTransaction(async (tx) => {
+      await tx.wires.insert({
+        Unico: unico,
+        ...Object.fromEntries(Object.values(WIRE_COLUMNS).map(c => [c, null])),
+        ...wireFields(values)
+      });
+
+      const created = await fetchWireRow(tx, unico);
+      await audit(tx, { actor: req.user, entity: 'wire', entityId: unico, action: 'create', newValue: created });
+      return created;
+    });
+
+    res.status(201).json(wire);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create wire' });
+  }
+});
+
+app.put('/wires/:unico', authorize('wires:manage'), validate({
+  summary: 'Update a wire (only the fields sent)',
+  params: WIRE_PARAMS,
+  body: S.object(WIRE_FIELDS, [], { minProperties: 1 }),
+  responses: { 200: 'The wire', 404: 'Wire not found' }
+}), async (req, res) => {
+  try {
+    const unico = cleanText(req.params.unico);
+    const values = readWireBody(req.body);
+    if (values.machine) values.machine = await wireMachine(values.machine);
+
+    const before = await fetchWireRow(store, unico);
+    if (!before) return res.status(404).json({ error: 'Wire not found.' });
+
+    const oldValue = {};
+    for (const key of Object.keys(values)) oldValue[key] = before[key];
+    const wire = await inTransaction(async (tx) => {
+      await tx.wires.update(unico, wireFields(values));
+      await audit(tx, { actor: req.user, entity: 'wire', entityId: unico, action: 'update', oldValue, newValue: values });
+      return fetchWireRow(tx, unico);
+    });
+
+    res.json(wire);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update wire' });
+  }
+});
+
+app.delete('/wires/:unico', authorize('wires:manage'), validate({
+  summary: 'Remove a wire from the catalog',
+  params: WIRE_PARAMS,
+  responses: { 200: 'The deleted wire', 404: 'Wire not found', 409: 'Open urgents reference the Unico' }
+}), async (req, res) => {
+  try {
+    const unico = cleanText(req.params.unico);
+
+    const before = await fetchWireRow(store, unico);
+    if (!before) return res.status(404).json({ error: 'Wire not found.' });
+
+    const out = await inTransaction(async (tx) => {
+      // check and delete at once so a declaration can't slip in between
+      const removal = await tx.wires.removeUnlessOpen(unico);
+      if (removal.removed) await audit(tx, { actor: req.user, entity: 'wire', entityId: unico, action: 'delete', oldValue: before });
+      return removal;
+    });
+    if (!out.removed) {
+      return res.status(409).json({
+        error: 'Wire is referenced by open urgents; resolve or cancel them first.',
+        openUrgents: out.openUrgents
+      });
+    }
+
+    res.json({ deleted: before });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete wire' });
+  }
+});
+
+/* ===================== Machines ===================== */
+/*
+ Registry of the plant's machines (M5_Machines + M5_Machines_Alias).
+ Tablets type "MC 27", "mc27 " or a line nickname; declarations and Plan B
+ switches are stored under the canonical code, aliases resolve to it.
+*/
+const MACHINE_STATUSES = ['running', 'down', 'maintenance'];
+// true: POST /urgent rejects machine codes missing from the registry (default: stored normalised)
+const MACHINES_STRICT = isOn(process.env.MACHINES_STRICT, false);
+
+// Registry cache: { at, byCode: Map(code -> machine), byAlias: Map(alias -> code) }, reloaded every 30s or after a write
+const MACHINE_CACHE_MS = 30000;
+async function loadMachines(force) {
+  const site = currentSite();   // site.machineCache
+  if (!force && site.machineCache && Date.now() - site.machineCache.at < MACHINE_CACHE_MS)
+    return site.machineCache;
+
+  const rows = await store.machines.list();
+  const aliases = await store.machines.aliases();
+
+  const byCode = new Map();
+  for (const r of rows) {
+    const m = mapMachineRow(r);
+    byCode.set(m.code, m);
+  }
+  const byAlias = new Map();
+  for (const a of aliases) {
+    const code = normMachine(a.Code);
+    byAlias.set(normMachine(a.Alias), code);
+    byCode.get(code)?.aliases.push(normMachine(a.Alias));
+  }
+
+  site.machineCache = { at: Date.now(), byCode, byAlias };
+  return site.machineCache;
+}
+
+function mapMachineRow(r) {
+  const types = [];
+  if (r.Coupe) types.push('coupe');
+  if (r.Twist) types.push('twist');
+  return {
+    code: normMachine(r.Code),
+    aliases: [],
+    line: r.Ligne?.trim() || null,
+    types,
+    status: String(r.Statut || 'running').trim().toLowerCase(),
+    statusChanged: r.Statut_Par
+      ? { by: String(r.Statut_Par).trim(), at: r.Date_Statut ?? null, reason: r.Motif_Statut ?? null }
+      : null
+  };
+}
+
+// code or alias -> registry machine | null
+async function resolveMachine(value) {
+  const key = normMachine(value);
+  if (!key) return null;
+  const find = ({ byCode, byAlias }) => byCode.get(key) || byCode.get(byAlias.get(key)) || null;
+  // a miss may be a machine registered since the last load (or by another instance)
+  return find(await loadMachines()) || find(await loadMachines(true));
+}
+
+// type: 'COUPE' / 'coupe' / null (unknown types are not checked)
+const machineRuns = (m, type) => {
+  const t = String(type || '').trim().toLowerCase();
+  return !WIRE_TYPES.includes(t.toUpperCase()) || m.types.includes(t);
+};
+
+const MACHINE_TYPE = S.enumOf(WIRE_TYPES.map(t => t.toLowerCase()), { ignoreCase: true });
+const MACHINE_STATUS = S.enumOf(MACHINE_STATUSES, { ignoreCase: true });
+const MACHINE_FIELDS = {
+  types: S.array(MACHINE_TYPE, { minItems: 1 }),
+  line: S.nullable(S.string({ maxLength: 50 })),
+  aliases: S.array(S.text({ maxLength: 50 }))
+};
+const MACHINE_PARAMS = S.object({ code: S.text({ maxLength: 50, description: 'Code or alias' }) }, ['code']);
+
+// validated body -> the values to store (only the keys sent, so PUT changes just those)
+function readMachineBody(body) {
+  const values = {};
+
+  if (body.line !== undefined) values.line = cleanText(body.line) || null;
+  if (body.types !== undefined) values.types = [...new Set(body.types.map(t => cleanText(t).toLowerCase()))];
+  if (body.aliases !== undefined) values.aliases = [...new Set(body.aliases.map(normMachine).filter(Boolean))];
+  if (body.status !== undefined) values.status = cleanText(body.status).toLowerCase();
+
+  return values;
+}
+
+// aliases already used as a code, or by another machine -> [{ alias, code }]
+async function aliasConflicts(code, aliases) {
+  const { byCode, byAlias } = await loadMachines(true);
+  return aliases
+    .filter(a => a === code ? false : byCode.has(a) || (byAlias.has(a) && byAlias.get(a) !== code))
+    .map(a => ({ alias: a, code: byCode.has(a) ? a : byAlias.get(a) }));
+}
+
+async function saveAliases(tx, code, aliases) {
+  await tx.machines.setAliases(code, aliases.filter(a => a !== code));
+}
+
+/* ---------------------------------------------------------------
+GET /machines   (registry + live load)
+ ?status=running|down|maintenance  ?line=L1  ?type=coupe|twist
+ open.count / open.oldestAt / open.oldestMinutes: open urgents on the machine
+ (declared under its code or one of its aliases)
+--------------------------------------------------------------- */
+async function machinesWithLoad(db, filter = () => true) {
+  const { byCode, byAlias } = await loadMachines();
+
+  const load = await db.urgents.openLoad();
+
+  const perCode = new Map();
+  const unregistered = [];
+  for (const r of load) {
+    const code = byCode.has(r.Machine) ? r.Machine : byAlias.get(r.Machine);
+    if (!code) {
+      if (r.Machine) unregistered.push({ machine: r.Machine, openCount: r.openCount });
+      continue;
+    }
+    const cur = perCode.get(code) || { count: 0, pending: 0, oldestAt: null };
+    cur.count += r.openCount;
+    cur.pending += r.pendingCount;
+    if (r.oldestAt && (!cur.oldestAt || r.oldestAt < cur.oldestAt)) cur.oldestAt = r.oldestAt;
+    perCode.set(code, cur);
+  }
+
+  const now = Date.now();
+  const results = [...byCode.values()].filter(filter).map(m => {
+    const open = perCode.get(m.code) || { count: 0, pending: 0, oldestAt: null };
+    return {
+      ...m,
+      open: {
+        count: open.count,
+        pending: open.pending,
+        oldestAt: open.oldestAt,
+        oldestMinutes: open.oldestAt ? round1((now - new Date(open.oldestAt)) / 60000) : null
+      }
+    };
+  });
+
+  return { results, unregistered };
+}
+
+app.get('/machines', authorize('urgent:read'), validate({
+  summary: 'Machine registry with the open-urgent load',
+  query: S.object({ status: MACHINE_STATUS, line: S.text(), type: MACHINE_TYPE })
+}), async (req, res) => {
+  try {
+    const status = ok(req.query.status) ? String(req.query.status).trim().toLowerCase() : null;
+    const line = ok(req.query.line) ? cleanText(req.query.line).toUpperCase() : null;
+    const type = ok(req.query.type) ? String(req.query.type).trim().toLowerCase() : null;
+
+    const { results, unregistered } = await machinesWithLoad(store, m =>
+      (!status || m.status === status) &&
+      (!line || (m.line || '').toUpperCase() === line) &&
+      (!type || m.types.includes(type)));
+
+    res.json({ count: results.length, results, unregistered });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch machines' });
+  }
+});
+
+app.get('/machines/:code', authorize('urgent:read'), validate({
+  summary: 'One machine with its open-urgent load',
+  params: MACHINE_PARAMS,
+  responses: { 200: 'The machine', 404: 'Machine not found' }
+}), async (req, res) => {
+  try {
+    const m = await resolveMachine(req.params.code);
+    if (!m) return res.status(404).json({ error: 'Machine not found.' });
+
+    const { results } = await machinesWithLoad(store, x => x.code === m.code);
+    res.json(results[0]);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch machine' });
+  }
+});
+
+/* ---------------------------------------------------------------
+POST  /machines         { code, types, line?, aliases?, status? }
+PUT   /machines/:code   { types?, line?, aliases? }
+PATCH /machines/:code/status  { status, reason? }  (emit machine:status)
+--------------------------------------------------------------- */
+app.post('/machines', authorize('machines:manage'), validate({
+  summary: 'Register a machine',
+  body: S.object({ code: S.text({ maxLength: 50 }), ...MACHINE_FIELDS, status: MACHINE_STATUS }, ['code', 'types']),
+  responses: { 201: 'The machine', 409: 'Code or alias already exists' }
+}), async (req, res) => {
+  let tx;
+  try {
+    const code = normMachine(req.body.code);
+    const values = readMachineBody(req.body);
+
+    if (await resolveMachine(code))
+      return res.status(409).json({ error: 'Machine code or alias already exists.' });
+
+    const aliases = values.aliases || [];
+    const conflicts = await aliasConflicts(code, aliases);
+    if (conflicts.length) return res.status(409).json({ error: 'Alias already in use.', conflicts });
+
+    tx = await store.begin();
+
+    await tx.machines.insert({
+      Code: code,
+      Ligne: values.line ?? null,
+      Coupe: values.types.includes('coupe'),
+      Twist: values.types.includes('twist'),
+      Statut: values.status || 'running'
+    });
+    await saveAliases(tx, code, aliases);
+
+    await audit(tx, {
+      actor: req.user, entity: 'machine', entityId: code, action: 'create',
+      newValue: { code, ...values, aliases }
+    });
+
+    await tx.commit();
+    tx = null;
+
+    await loadMachines(true);
+    res.status(201).json(await resolveMachine(code));
+  } catch (e) {
+    if (tx) await tx.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ error: 'Failed to create machine' });
+  }
+});
+
+app.put('/machines/:code', authorize('machines:manage'), validate({
+  summary: 'Update a machine (only the fields sent)',
+  description: 'The status has its own route, PATCH /machines/{code}/status, so changes are announced.',
+  params: MACHINE_PARAMS,
+  body: S.object(MACHINE_FIELDS, [], { minProperties: 1 }),
+  responses: { 200: 'The machine', 404: 'Machine not found', 409: 'Alias already in use' }
+}), async (req, res) => {
+  let tx;
+  try {
+    const before = await resolveMachine(req.params.code);
+    if (!before) return res.status(404).json({ error: 'Machine not found.' });
+
+    const values = readMachineBody(req.body);
+
+    if (values.aliases) {
+      const conflicts = await aliasConflicts(before.code, values.aliases);
+      if (conflicts.length) return res.status(409).json({ error: 'Alias already in use.', conflicts });
+    }
+
+    tx = await store.begin();
+
+    const fields = {};
+    if (values.line !== undefined) fields.Ligne = values.line;
+    if (values.types) {
+      fields.Coupe = values.types.includes('coupe');
+      fields.Twist = values.types.includes('twist');
+    }
+    if (Object.keys(fields).length) await tx.machines.update(before.code, fields);
+    if (values.aliases) await saveAliases(tx, before.code, values.aliases);
+
+    const oldValue = {};
+    for (const key of Object.keys(values)) oldValue[key] = before[key];
+    await audit(tx, { actor: req.user, entity: 'machine', entityId: before.code, action: 'update', oldValue, newValue: values });
+
+    await tx.commit();
+    tx = null;
+
+    await loadMachines(true);
+    res.json(await resolveMachine(before.code));
+  } catch (e) {
+    if (tx) await tx.rollback().catch(() => {});
+    console.error(e);
+    res.status(500).json({ error: 'Failed to update machine' });
+  }
+});
+
+app.patch('/machines/:code/status', authorize('machines:status'), validate({
+  summary: 'Set a machine running, down or in maintenance',
+  params: MACHINE_PARAMS,
+  body: S.object({ status: MACHINE_STATUS, reason: S.nullable(S.string({ maxLength: 400 })) }, ['status']),
+  responses: { 200: 'The machine', 404: 'Machine not found' }
+}), async (req, res) => {
+  try {
+    const before = await resolveMachine(req.params.code);
+    if (!before) return res.status(404).json({ error: 'Machine not found.' });
+
+    const status = req.body.status.trim().toLowerCase();
+    const reason = ok(req.body.reason) ? req.body.reason.trim() : null;
+
+    const by = String(req.user.Mlle).trim();
+    await inTransaction(async (tx) => {
+      await tx.machines.update(before.code, {
+        Statut: status, Motif_Statut: reason, Statut_Par: by, Date_Statut: new Date()
+      });
+
+      await audit(tx, {
+        actor: req.user, entity: 'machine', entityId: before.code, action: 'status',
+        oldValue: { status: before.status },
+        newValue: reason ? { status, reason } : { status }
+      });
+    });
+
+    await loadMachines(true);
+    const machine = await resolveMachine(before.code);
+
+    // 🔔 notify the machine room (and unfiltered boards), replayable like urgent events
+    emitUrgent('machine:status', { machine: machine.code, ...machine }, { previousStatus: before.status, by });
+
+    res.json(machine);
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to change machine status' });
+  }
+});
+
+/* ===================== Deadlines & escalation ===================== */
+/*
+ Temps_Restant is typed freely on the tablets: "45", "45 min", "45mn", "1h", "1h30",
+ "1 h 30 min", "01:30", "1.5h". Bare numbers are minutes.
+ -> minutes, or null when it cannot be read
+*/
+function parseTimeRemaining(text) {
+  if (!ok(text)) return null;
+  const t = String(text).trim().toLowerCase().replace(',', '.').replace(/\s+/g, ' ');
+  let m;
+
+  if ((m = /^(\d{1,3}):([0-5]\d)$/.exec(t)))
+    return +m[1] * 60 + +m[2];
+
+  if ((m = /^(\d+(?:\.\d+)?) ?(?:h|hr|hrs|heures?|hours?)(?: ?(\d{1,2}) ?(?:m|mn|min|mins|minutes?)?)?$/.exec(t)))
+    return Math.round(+m[1] * 60 + (m[2] ? +m[2] : 0)) || null;
+
+  if ((m = /^(\d+(?:\.\d+)?) ?(?:m|mn|min|mins|minutes?)?$/.exec(t)))
+    return Math.round(+m[1]) || null;
+
+  return null;
+}
+
+function deadlineFrom(declaredAt, timeRemaining) {
+  const minutes = parseTimeRemaining(timeRemaining);
+  return minutes ? new Date(new Date(declaredAt).getTime() + minutes * 60000) : null;
+}
+
+/*
+ ESCALATION_LEVELS="due-soon:80:Cutting,overdue:100:Admin"
+   name:percent of the allowed time:role(s) to notify (| separated)
+ Each level reached emits `urgent:<name>` once; M5_Urgent.Escalade keeps the
+ 1-based index of the last level emitted so restarts don't re-notify.
+*/
+function parseEscalationLevels(str) {
+  return String(str)
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [name, pct, roles] = part.split(':').map(x => (x || '').trim());
+      const percent = Number(pct);
+      if (!name || !Number.isFinite(percent) || percent <= 0) {
+        throw new Error(`Invalid ESCALATION_LEVELS entry "${part}"`);
+      }
+      const notify = roles ? roles.split('|').map(r => r.trim()).filter(Boolean) : [];
+      const unknown = notify.filter(r => !knownRole(r));
+      if (unknown.length) {
+        throw new Error(`Invalid ESCALATION_LEVELS entry "${part}": unknown role(s) ${unknown.join(', ')}`);
+      }
+      // role rooms are named after ROLES ("admin" -> role:Admin)
+      return { name, percent, notify: notify.map(knownRole) };
+    })
+    .sort((a, b) => a.percent - b.percent);
+}
+
+const ESCALATION_LEVELS = parseEscalationLevels(
+  process.env.ESCALATION_LEVELS || 'due-soon:80:Cutting,overdue:100:Admin'
+);
+const ESCALATION_CHECK_MS = toInt(process.env.ESCALATION_CHECK_MS, 30000);
+
+// index (1-based) of the highest level reached at `now`, 0 if none.
+// The allowed time ends at Date_Limite and lasts Temps_Restant: it starts at the
+// declaration, or at the reopening for a reopened urgent.
+function escalationIndex(r, now) {
+  const end = new Date(r.Date_Limite).getTime();
+  const allowed = parseTimeRemaining(r.Temps_Restant);
+  const start = allowed ? end - allowed * 60000 : new Date(r.Date_Declaration).getTime();
+  const span = end - start;
+  if (!(span > 0)) return ESCALATION_LEVELS.length;
+  const pct = ((now.getTime() - start) / span) * 100;
+  let idx = 0;
+  ESCALATION_LEVELS.forEach((lvl, i) => { if (pct >= lvl.percent) idx = i + 1; });
+  return idx;
+}
+
+async function checkEscalations() {
+  const site = currentSite();
+  if (site.escalationRunning) return;
+  site.escalationRunning = true;
+  try {
+    const now = new Date();
+
+    // open urgents declared before deadlines existed: parse their Temps_Restant once,
+    // flagging the unreadable ones so they are not read again
+    const legacy = await store.urgents.openWithoutDeadline();
+    for (const r of legacy) {
+      const deadline = deadlineFrom(r.Date_Declaration, r.Temps_Restant);
+      await store.urgents.update(r.id, deadline ? { Date_Limite: deadline } : { Limite_Illisible: true }, { Date_Limite: null });
+    }
+
+    const open = await store.urgents.escalationCandidates(ESCALATION_LEVELS.length);
+
+    for (const r of open) {
+      const idx = escalationIndex(r, now);
+      if (idx <= (r.Escalade || 0)) continue;
+
+      const level = ESCALATION_LEVELS[idx - 1];
+      const row = await inTransaction(async (tx) => {
+        // the WHERE on Escalade makes the claim safe if two instances run the check
+        const claimed = await tx.urgents.update(r.id,
+          { Escalade: idx, Date_Escalade: now },
+          { Escalade: r.Escalade || 0 });
+        if (!claimed) return null;
+
+        await audit(tx, {
+          actor: null, entity: 'urgent', entityId: r.id, action: 'escalate',
+          oldValue: { escalation: ESCALATION_LEVELS[(r.Escalade || 0) - 1]?.name || null },
+          newValue: { escalation: level.name }
+        });
+        return fetchUrgentRow(tx, r.id);
+      });
+      if (!row) continue;
+      // 🔔 notify machine / type rooms + the roles to alert
+      emitUrgent(`urgent:${level.name}`, row,
+        { level: level.name, percent: level.percent, notify: level.notify },
+        level.notify.map(roleRoom));
+    }
+  } catch (e) {
+    console.error('❌ escalation check error:', e);
+  } finally {
+    site.escalationRunning = false;
+  }
+}
+
+function startEscalationScheduler() {
+  if (!ESCALATION_LEVELS.length) return;
+  setInterval(forEachSite(checkEscalations), ESCALATION_CHECK_MS);
+  console.log(`⏰ escalation check every ${ESCALATION_CHECK_MS / 1000}s: ${ESCALATION_LEVELS.map(l => `${l.name}@${l.percent}%`).join(', ')}`);
+}
+
+/* ---------------------------------------------------------------
+GET /events?epoch=&since=<last seq seen>   (missed realtime events)
+ optional ?machines=MC1,MC2 ?types=coupe  (same rooms as socket subscriptions)
+ 410 { resync: true } when the gap cannot be replayed
+--------------------------------------------------------------- */
+app.get('/events', authorize('urgent:read'), validate({
+  summary: 'Realtime events missed since a sequence number',
+  query: S.object({
+    epoch: S.text({ description: 'From events:hello; another epoch means the server restarted' }),
+    since: S.integer({ minimum: 0, description: 'Last seq seen' }),
+    machine: S.text(),
+    machines: S.array(S.text()),
+    type: S.text(),
+    types: S.array(S.text())
+  }, ['since']),
+  responses: { 200: 'The events, oldest first', 410: '{ resync: true }: reload the board' }
+}), (req, res) => {
+  const split = (v) => (ok(v) ? String(v).split(',').map(x => x.trim()).filter(Boolean) : []);
+  const filterRooms = roomsFrom({
+    machines: [...split(req.query.machines), ...split(req.query.machine)],
+    types: [...split(req.query.types), ...split(req.query.type)]
+  });
+  const rooms = filterRooms.length ? filterRooms : null;
+
+  const result = replayEvents(req.query.since, req.query.epoch, rooms);
+  if (result.resync) return res.status(410).json(result);
+  res.json({ epoch: result.epoch, seq: result.seq, count: result.events.length, events: result.events });
+});
+
+/* ===================== Work queue ===================== */
+/*
+ GET /urgent/queue ranks the open urgents for the cutting operators. Every factor
+ gives a value from 0 to 1, multiplied by its weight; the score is the sum
+ (ties: oldest declaration first).
+   deadline     1 when due or overdue, falling to 0 at QUEUE_HORIZON_MINUTES or more left
+   age          minutes since the declaration, 1 at QUEUE_AGE_CAP_MINUTES
+   lineStopped  1 without Plan B (the line waits for the wire), 0 when a Plan B machine covers it
+   coupe/twist  1 for an urgent of that type
+   capability   1 when M5_Wires lists the wire for the machine that asked and the machine runs its type
+ Weights: QUEUE_WEIGHTS (on top of QUEUE_DEFAULT_WEIGHTS), or ?weights= for one request.
+ Sockets get 'queue:changed' when the order moves: checked after every urgent event,
+ and every QUEUE_CHECK_MS as scores follow the clock.
+*/
+const QUEUE_FACTORS = ['deadline', 'age', 'lineStopped', 'coupe', 'twist', 'capability'];
+const QUEUE_DEFAULT_WEIGHTS = 'deadline=40,age=20,lineStopped=30,coupe=0,twist=5,capability=10';
+const QUEUE_HORIZON_MINUTES = toInt(process.env.QUEUE_HORIZON_MINUTES, 60);
+const QUEUE_AGE_CAP_MINUTES = toInt(process.env.QUEUE_AGE_CAP_MINUTES, 120);
+const QUEUE_CHECK_MS = toInt(process.env.QUEUE_CHECK_MS, 30000);
+const QUEUE_TOP = 5;   // items sent with queue:changed
+// started urgents are already on a cutter: ?started=true adds them
+const QUEUE_STATUSES = [STATUS.DECLARED, STATUS.ACKNOWLEDGED];
+
+// "deadline=40,age=20" -> { weights } (on top of `base`) | { error, allowed? }
+function parseQueueWeights(text, base = {}) {
+  const weights = { ...base };
+  for (const part of listOf(text)) {
+    const m = /^(\w+)\s*=\s*(-?\d+(?:\.\d+)?)$/.exec(part);
+    if (!m) return { error: `Invalid weight "${part}". Expected name=number, e.g. deadline=40` };
+    if (!QUEUE_FACTORS.includes(m[1])) return { error: `Unknown factor "${m[1]}".`, allowed: QUEUE_FACTORS };
+    weights[m[1]] = Number(m[2]);
+  }
+  return { weights };
+}
+
+const queueWeights = parseQueueWeights(process.env.QUEUE_WEIGHTS, parseQueueWeights(QUEUE_DEFAULT_WEIGHTS).weights);
+if (queueWeights.error) throw new Error(`QUEUE_WEIGHTS: ${queueWeights.error}`);
+const QUEUE_WEIGHTS = queueWeights.weights;
+
+const clamp01 = (n) => Math.min(1, Math.max(0, n));
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// urgent (API shape) + its M5_Wires row + its registry machine -> [{ factor, value, weight, points, reason }]
+function queueFactors(u, wire, machine, weights, now) {
+  const factors = [];
+  const add = (factor, value, reason) => {
+    const weight = weights[factor] ?? 0;
+    factors.push({ factor, value: round2(value), weight, points: round1(value * weight), reason });
+  };
+
+  // rows declared before Date_Limite existed: from the time remaining, as the escalation job does
+  const deadline = u.deadline || deadlineFrom(u.declaredAt, u.timeRemaining);
+  if (deadline) {
+    const left = (new Date(deadline) - now) / 60000;
+    add('deadline', left <= 0 ? 1 : clamp01(1 - left / QUEUE_HORIZON_MINUTES),
+      left <= 0 ? `overdue by ${Math.round(-left)} min` : `${Math.round(left)} min left`);
+  } else {
+    add('deadline', 0, 'no time remaining given');
+  }
+
+  const age = Math.max(0, (now - new Date(u.declaredAt)) / 60000);
+  add('age', clamp01(age / QUEUE_AGE_CAP_MINUTES), `declared ${Math.round(age)} min ago`);
+
+  add('lineStopped', u.planB ? 0 : 1,
+    u.planB ? `covered by Plan B${u.mcPb ? ` on ${u.mcPb}` : ''}` : 'no Plan B: the line is waiting');
+
+  const type = u.type || (wire?.Type ? String(wire.Type).trim().toLowerCase() : null);
+  if (type === 'coupe' || type === 'twist') add(type, 1, `${type} job`);
+
+  if (!wire) {
+    add('capability', 0, 'not in the wire catalog');
+  } else if (normMachine(wire.Machine) !== normMachine(u.machine)) {
+    add('capability', 0, `the catalog lists it for ${normMachine(wire.Machine) || 'no machine'}`);
+  } else if (machine && !machineRuns(machine, type)) {
+    add('capability', 0, `${machine.code} does not run ${type}`);
+  } else {
+    add('capability', 1, `the catalog lists it for ${machine?.code || normMachine(u.machine)}${type ? ` (${type})` : ''}`);
+  }
+  return factors;
+}
 
+/*
+ filter: store.urgents filter (statuses required)   types: ['coupe'] or []
+ -> [{ rank, score, factors, urgent }], best first
+*/
+async function buildQueue({ filter, types = [], weights = QUEUE_WEIGHTS, now = new Date() }) {
+  const urgents = (await store.urgents.all(filter))
+    .map(mapUrgentRow)
+    .filter(u => !types.length || types.includes(u.type));
 
-/* ===================== Socket.IO ===================== */
-const server = http.createServer(app);        // ⬅️ wrap Express in HTTP server
-const io = new Server(server, {
-  cors: { origin: '*', methods: ['GET','POST','PATCH','PUT','DELETE'] }
-});
-app.set('io', io);                            // ⬅️ so we can grab io in handlers
+  const wires = new Map((await store.wires.find([...new Set(urgents.map(u => u.unico))]))
+    .map(w => [String(w.Unico).trim(), w]));
+  const { byCode } = await loadMachines();
 
-io.on('connection', (socket) => {
-  // Optional: targeted rooms by machine/type if you need later
-  // socket.on('subscribe', ({ machine, type }) => {
-  //   if (machine) socket.join(`mc:${String(machine).toUpperCase()}`);
-  //   if (type) socket.join(`type:${String(type).toLowerCase()}`);
-  // });
-});
-
-/* ===================== DB config ===================== */
-const config = {
-  user: process.env.DB_USER || 'Test',
-  password: process.env.DB_PASS || 'Welcome@2021',
-  server: process.env.DB_HOST || '10.71.5.26',
-  database: process.env.DB_NAME || 'Précontrole',
-  options: { encrypt: false, trustServerCertificate: true },
-  pool: { max: 10, min: 1, idleTimeoutMillis: 30000 }
-};
+  return urgents
+    .map(u => {
+      const factors = queueFactors(u, wires.get(u.unico), byCode.get(normMachine(u.machine)), weights, now);
+      return { score: round1(factors.reduce((n, f) => n + f.points, 0)), factors, urgent: u };
+    })
+    .sort((a, b) => b.score - a.score
+      || new Date(a.urgent.declaredAt) - new Date(b.urgent.declaredAt)
+      || a.urgent.id - b.urgent.id)
+    .map((item, i) => ({ rank: i + 1, ...item }));
+}
 
-// ---- single, shared pool ----
-let poolPromise;
-function getPool() {
-  if (!poolPromise) poolPromise = new sql.ConnectionPool(config).connect();
-  return poolPromise;
+// default queue of the site -> 'queue:changed' to all its sockets when the order moved
+async function checkQueueOrder() {
+  const site = currentSite();
+  try {
+    const items = await buildQueue({ filter: { statuses: QUEUE_STATUSES } });
+    const order = items.map(item => item.urgent.id);
+    const key = order.join(',');
+    const first = site.queueOrder === null;
+    if (key === site.queueOrder) return;
+    site.queueOrder = key;
+    if (first) return;   // nothing to compare with yet
+
+    siteEmit(null, 'queue:changed', {
+      at: new Date(),
+      count: order.length,
+      order,
+      top: items.slice(0, QUEUE_TOP).map(({ rank, score, urgent }) => ({
+        rank, score, id: urgent.id, unico: urgent.unico, machine: urgent.machine, type: urgent.type
+      }))
+    });
+  } catch (e) {
+    console.error('❌ queue check error:', e);
+  }
 }
 
-// ---- helpers ----
-function toInt(v, def) {
-  const n = parseInt(v, 10);
-  return Number.isFinite(n) && n > 0 ? n : def;
+// called by emitUrgent(): a batch of events -> one check
+function queueCheckSoon() {
+  const site = currentSite();
+  clearTimeout(site.queueTimer);
+  site.queueTimer = setTimeout(checkQueueOrder, 250);
 }
-function ok(value) {
-  return value !== undefined && value !== null && String(value).trim() !== '';
+
+function startQueueWatcher() {
+  forEachSite(checkQueueOrder)();   // first order to compare with
+  setInterval(forEachSite(checkQueueOrder), QUEUE_CHECK_MS);
+  console.log(`📋 work queue checked every ${QUEUE_CHECK_MS / 1000}s: ${QUEUE_FACTORS.map(f => `${f}=${QUEUE_WEIGHTS[f] ?? 0}`).join(', ')}`);
 }
 
-/* -------------------------------------------------
- Filters:
-  ?status=OK|NOK
-  ?machine=MC27
-  ?machines=MC1,MC2,MC3
-  ?machineLike=MC
-  ?unico=LH-148031
-  ?from=2025-10-21T00:00:00
-  ?to=2025-10-22T23:59:59
-  ?declaredBy=588|AISSAM
-  ?correctedBy=1935|HANIFA
-------------------------------------------------- */
-app.get('/urgent', async (req, res) => {
+/* ---------------------------------------------------------------
+GET /urgent/queue   open urgents, best first, with the reason of each score
+ ?machines=MC1,MC2 / ?machine= / ?machineLike=   ?types=coupe / ?type=
+ ?started=true   also urgents already started
+ ?weights=deadline=60,twist=0   overrides some weights for this request
+ ?limit=  (default 100)
+--------------------------------------------------------------- */
+app.get('/urgent/queue', authorize('urgent:read'), validate({
+  summary: 'Open urgents ranked for cutting',
+  description: `Score = Σ value × weight per factor (${QUEUE_FACTORS.join(', ')}); each item lists its factors and why. ` +
+    'Sockets receive `queue:changed` when the order moves.',
+  query: S.object({
+    ...MACHINE_FILTER_QUERY,
+    type: MACHINE_TYPE,
+    types: S.array(MACHINE_TYPE),
+    started: S.boolean({ description: 'Include urgents already started (default false)' }),
+    weights: S.text({ example: 'deadline=60,twist=0', description: `Default: ${QUEUE_FACTORS.map(f => `${f}=${QUEUE_WEIGHTS[f] ?? 0}`).join(',')}` }),
+    limit: S.integer({ minimum: 1, maximum: 500 })
+  }),
+  responses: { 200: 'Ranked urgents', 400: 'Invalid weights' }
+}), async (req, res) => {
   try {
-    const pool = await getPool();
-    const conditions = [];
-    const request = pool.request();
+    const parsed = parseQueueWeights(req.query.weights, QUEUE_WEIGHTS);
+    if (parsed.error) return res.status(400).json(parsed);
 
-    // helpers
-    const toValidDate = (s) => {
-      const d = new Date(s);
-      return isNaN(d.getTime()) ? null : d;
+    const filter = {
+      ...urgentFilter({ machine: req.query.machine, machines: req.query.machines, machineLike: req.query.machineLike }),
+      statuses: isOn(req.query.started, false) ? OPEN_STATUSES : QUEUE_STATUSES
     };
+    const types = [...listOf(req.query.types), ...listOf(req.query.type)].map(t => t.toLowerCase());
+    const limit = toInt(req.query.limit, 100);
 
-    // ---- simple filters
-    if (ok(req.query.status)) {
-      request.input('status', sql.VarChar, String(req.query.status).trim().toUpperCase());
-      conditions.push('UPPER(urg.[Statut]) = @status');
-    }
-
-    if (ok(req.query.unico)) {
-      request.input('unico', sql.VarChar, `%${req.query.unico.trim()}%`);
-      conditions.push('urg.[Unico] LIKE @unico');
-    }
+    const items = await buildQueue({ filter, types, weights: parsed.weights });
+    res.json({
+      at: new Date(),
+      weights: parsed.weights,
+      total: items.length,
+      count: Math.min(items.length, limit),
+      results: items.slice(0, limit)
+    });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to build the queue' });
+  }
+});
 
-    if (ok(req.query.from)) {
-      const d = toValidDate(req.query.from);
-      if (d) {
-        request.input('from', sql.DateTime2, d);
-        conditions.push('urg.[Date_Declaration] >= @from');
-      }
-    }
+/* ===================== Server-Sent Events & andon board ===================== */
+/*
+ GET /urgent/stream: the urgent events as text/event-stream, for screens whose
+ kiosk browser cannot load the Socket.IO client:
+   new EventSource('/urgent/stream?machines=MC27&types=coupe')
+   id: <epoch>:<seq>   event: urgent:added   data: { ...the socket payload }
+ Filters pick rooms like socket subscriptions. A comment line goes out every
+ SSE_HEARTBEAT_MS so proxies keep the connection open. On reconnect the browser
+ sends Last-Event-ID and what was missed is replayed from the event log; when
+ it cannot be, the stream sends `event: resync` and the client reloads its board.
+ EventSource cannot set headers: a token goes in ?token= instead.
+*/
+const SSE_HEARTBEAT_MS = toInt(process.env.SSE_HEARTBEAT_MS, 15000);
+const SSE_RETRY_MS = 3000;   // browser reconnect delay
 
-    if (ok(req.query.to)) {
-      const d = toValidDate(req.query.to);
-      if (d) {
-        request.input('to', sql.DateTime2, d);
-        conditions.push('urg.[Date_Declaration] <= @to');
-      }
-    }
+const STREAM_DEFAULT_EVENTS = ['urgent:added', 'urgent:planb', 'urgent:planb-cleared', 'urgent:resolved'];
+const STREAM_EVENTS = [
+  ...STREAM_DEFAULT_EVENTS,
+  ...Object.values(URGENT_TRANSITIONS).map(t => t.event),
+  ASSIGN_EVENT,
+  ...ESCALATION_LEVELS.map(l => `urgent:${l.name}`),
+  'machine:status'
+];
 
-    // 🔍 who declared
-    if (ok(req.query.declaredBy)) {
-      const val = `%${req.query.declaredBy.trim()}%`;
-      request.input('declaredBy', sql.VarChar, val);
-      conditions.push(`
-        (
-          LTRIM(RTRIM(urg.[Declarer_Par])) LIKE @declaredBy OR
-          uDecl.[Nom]    LIKE @declaredBy OR
-          uDecl.[Prenom] LIKE @declaredBy
-        )
-      `);
-    }
-
-    // 🔍 who corrected
-    if (ok(req.query.correctedBy)) {
-      const val = `%${req.query.correctedBy.trim()}%`;
-      request.input('correctedBy', sql.VarChar, val);
-      conditions.push(`
-        (
-          LTRIM(RTRIM(urg.[Corriger_Par])) LIKE @correctedBy OR
-          uCorr.[Nom]    LIKE @correctedBy OR
-          uCorr.[Prenom] LIKE @correctedBy
-        )
-      `);
-    }
-
-    // ---- robust machine filters
-    if (ok(req.query.machines)) {
-      const list = String(req.query.machines)
-        .split(',')
-        .map(s => s.trim())
-        .filter(Boolean);
-
-      if (list.length) {
-        const orParts = [];
-        list.forEach((m, i) => {
-          const key = `mach${i}`;
-          request.input(key, sql.VarChar, m.toUpperCase().trim());
-          orParts.push(`UPPER(LTRIM(RTRIM(REPLACE(REPLACE(urg.[Machine], CHAR(160), ' '), CHAR(9), ' ')))) = @${key}`);
-        });
-        conditions.push(`(${orParts.join(' OR ')})`);
-      }
-    } else if (ok(req.query.machine)) {
-      request.input('machine', sql.VarChar, req.query.machine.toUpperCase().trim());
-      conditions.push(`UPPER(LTRIM(RTRIM(REPLACE(REPLACE(urg.[Machine], CHAR(160), ' '), CHAR(9), ' ')))) = @machine`);
-    }
-
-    if (ok(req.query.machineLike)) {
-      request.input('machineLike', sql.VarChar, `%${req.query.machineLike.toUpperCase().trim()}%`);
-      conditions.push(`UPPER(LTRIM(RTRIM(REPLACE(REPLACE(urg.[Machine], CHAR(160), ' '), CHAR(9), ' ')))) LIKE @machineLike`);
-    }
-
-    const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-
-    // JOIN users (declarer + corrector)
-    const query = `
-      SELECT
-        urg.*,
-        uDecl.[Nom]     AS Decl_Nom,
-        uDecl.[Prenom]  AS Decl_Prenom,
-        uDecl.[Role]    AS Decl_Role,
-        uDecl.[Mlle]    AS Decl_Badge,
-        uCorr.[Nom]     AS Corr_Nom,
-        uCorr.[Prenom]  AS Corr_Prenom,
-        uCorr.[Role]    AS Corr_Role,
-        uCorr.[Mlle]    AS Corr_Badge
-      FROM [dbo].[M5_Urgent] AS urg
-      LEFT JOIN [dbo].[M5_Users] AS uDecl
-        ON LTRIM(RTRIM(uDecl.[Mlle])) = LTRIM(RTRIM(urg.[Declarer_Par]))
-      LEFT JOIN [dbo].[M5_Users] AS uCorr
-        ON LTRIM(RTRIM(uCorr.[Mlle])) = LTRIM(RTRIM(urg.[Corriger_Par]))
-      ${whereSql}
-      ORDER BY urg.[Date_Declaration] DESC;
-    `;
-
-    const rows = await request.query(query);
-
-    const results = rows.recordset.map(r => {
-      const base = {
-        id: r.id,
-        unico: r.Unico?.trim(),
-        declaredAt: r.Date_Declaration,
-        correctedAt: r.Date_Correction,
-        status: r.Statut,
-        machine: r.Machine?.trim() || null,
-        planB: r.Plan_B?.trim() || null,
-        mcPb: r.McPb ?? null,
-        type: r.Type ? String(r.Type).toLowerCase() : null,
-        timeRemaining: r.Temps_Restant?.trim() || null,
-      };
+const streams = new Set();   // { site, res, rooms: Set | null, events: Set }
 
-      base.declaredBy = {
-        matricule: r.Declarer_Par ? String(r.Declarer_Par).trim() : null,
-        "full name": (r.Decl_Prenom || r.Decl_Nom)
-          ? `${(r.Decl_Prenom || '').trim()} ${(r.Decl_Nom || '').trim()}`.trim()
-          : null,
-        role: r.Decl_Role ? String(r.Decl_Role).trim() : null
-      };
+const streamEventId = (seq) => `${EVENT_EPOCH}:${seq}`;
 
-      if (r.Corriger_Par) {
-        base.correctedBy = {
-          matricule: String(r.Corriger_Par).trim(),
-          "full name": (r.Corr_Prenom || r.Corr_Nom)
-            ? `${(r.Corr_Prenom || '').trim()} ${(r.Corr_Nom || '').trim()}`.trim()
-            : null,
-          role: r.Corr_Role ? String(r.Corr_Role).trim() : null
-        };
-      } else {
-        base.correctedBy = null;
-      }
+// "<epoch>:<seq>" -> { epoch, since }
+function parseStreamEventId(value) {
+  const text = String(value).trim();
+  const at = text.lastIndexOf(':');
+  return at < 0 ? { epoch: null, since: text } : { epoch: text.slice(0, at), since: text.slice(at + 1) };
+}
 
-      return base;
-    });
+function sseWrite(res, { id, event, data }) {
+  res.write(`${id !== undefined ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
 
-    res.json({ count: results.length, results });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to fetch urgent data' });
+// called by emitUrgent()
+function streamUrgent(event, seq, rooms, payload) {
+  const site = currentSite();
+  for (const client of streams) {
+    if (client.site !== site || !client.events.has(event)) continue;
+    if (client.rooms && !rooms.some(r => client.rooms.has(r))) continue;
+    sseWrite(client.res, { id: streamEventId(seq), event, data: payload });
   }
-});
+}
 
-// Distinct machines from M5_Urgent (normalized, filtered like /urgent, but no machine filters)
-app.get('/urgent/machines', async (req, res) => {
-  try {
-    const pool = await getPool();
-    const conditions = [];
-    const request = pool.request();
+function startStreamHeartbeat() {
+  setInterval(() => {
+    for (const client of streams) client.res.write(': ping\n\n');
+  }, SSE_HEARTBEAT_MS);
+}
 
-    const ok = v => v !== undefined && v !== null && String(v).trim() !== '';
-    const toValidDate = (s) => {
-      const d = new Date(s);
-      return isNaN(d.getTime()) ? null : d;
-    };
+// EventSource cannot send Authorization: take ?token= like the socket handshake does
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && ok(req.query.token)) req.headers.authorization = `Bearer ${String(req.query.token).trim()}`;
+  next();
+}
 
-    // copy the common filters (NO machine filters here!)
-    if (ok(req.query.status)) {
-      request.input('status', sql.VarChar, String(req.query.status).trim().toUpperCase());
-      conditions.push('UPPER(urg.[Statut]) = @status');
-    }
-    if (ok(req.query.unico)) {
-      request.input('unico', sql.VarChar, `%${req.query.unico.trim()}%`);
-      conditions.push('urg.[Unico] LIKE @unico');
-    }
-    if (ok(req.query.from)) {
-      const d = toValidDate(req.query.from);
-      if (d) {
-        request.input('from', sql.DateTime2, d);
-        conditions.push('urg.[Date_Declaration] >= @from');
-      }
-    }
-    if (ok(req.query.to)) {
-      const d = toValidDate(req.query.to);
-      if (d) {
-        request.input('to', sql.DateTime2, d);
-        conditions.push('urg.[Date_Declaration] <= @to');
-      }
+/* ---------------------------------------------------------------
+GET /urgent/stream   (text/event-stream)
+ ?machines=MC1,MC2 / ?machine=   ?types=coupe / ?type=
+ ?events=urgent:added,...        default: added, planb, planb-cleared, resolved
+ Last-Event-ID header (or ?lastEventId=) resumes after that event
+ first message: event: hello  data: { epoch, seq, at, events, rooms }
+--------------------------------------------------------------- */
+app.get('/urgent/stream', tokenFromQuery, authorize('urgent:read'), validate({
+  summary: 'Live urgent events (Server-Sent Events)',
+  description: 'Each message is `id: <epoch>:<seq>`, `event: <name>`, `data: <JSON payload>`, as on the socket. ' +
+    'Reconnecting with Last-Event-ID replays what was missed, or sends `event: resync` when the board must be reloaded.',
+  query: S.object({
+    machine: S.text(),
+    machines: S.array(S.text()),
+    type: S.text(),
+    types: S.array(S.text()),
+    events: S.array(S.enumOf(STREAM_EVENTS), { description: `Default: ${STREAM_DEFAULT_EVENTS.join(', ')}` }),
+    lastEventId: S.text({ description: 'Same as the Last-Event-ID header' }),
+    token: S.text({ description: 'Bearer token, for clients that cannot set headers' })
+  }),
+  headers: { 'Last-Event-ID': S.string({ description: 'id of the last event received (<epoch>:<seq>)' }) },
+  responses: { 200: 'text/event-stream' }
+}), (req, res) => {
+  const rooms = roomsFrom({
+    machines: [...listOf(req.query.machines), ...listOf(req.query.machine)],
+    types: [...listOf(req.query.types), ...listOf(req.query.type)]
+  });
+  const events = listOf(req.query.events);
+  const client = {
+    site: currentSite(),
+    res,
+    rooms: rooms.length ? new Set(rooms) : null,
+    events: new Set(events.length ? events : STREAM_DEFAULT_EVENTS)
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'   // nginx: don't buffer the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${SSE_RETRY_MS}\n\n`);
+
+  const last = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (ok(last)) {
+    const { epoch, since } = parseStreamEventId(last);
+    const result = replayEvents(since, epoch, rooms.length ? rooms : null);
+    if (result.resync) {
+      sseWrite(res, { id: streamEventId(result.seq), event: 'resync', data: result });
+    } else {
+      for (const e of result.events.filter(x => client.events.has(x.event)))
+        sseWrite(res, { id: streamEventId(e.seq), event: e.event, data: e.payload });
     }
-    if (ok(req.query.declaredBy)) {
-      const v = `%${req.query.declaredBy.trim()}%`;
-      request.input('declaredBy', sql.VarChar, v);
-      conditions.push(`
-        (
-          LTRIM(RTRIM(urg.[Declarer_Par])) LIKE @declaredBy OR
-          uDecl.[Nom]    LIKE @declaredBy OR
-          uDecl.[Prenom] LIKE @declaredBy
-        )
-      `);
-    }
-    if (ok(req.query.correctedBy)) {
-      const v = `%${req.query.correctedBy.trim()}%`;
-      request.input('correctedBy', sql.VarChar, v);
-      conditions.push(`
-        (
-          LTRIM(RTRIM(urg.[Corriger_Par])) LIKE @correctedBy OR
-          uCorr.[Nom]    LIKE @correctedBy OR
-          uCorr.[Prenom] LIKE @correctedBy
-        )
-      `);
-    }
-
-    const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-
-    // Normalize Machine
-    const q = await request.query(`
-      ;WITH F AS (
-        SELECT urg.[Machine]
-        FROM [dbo].[M5_Urgent] AS urg
-        LEFT JOIN [dbo].[M5_Users] AS uDecl
-          ON LTRIM(RTRIM(uDecl.[Mlle])) = LTRIM(RTRIM(urg.[Declarer_Par]))
-        LEFT JOIN [dbo].[M5_Users] AS uCorr
-          ON LTRIM(RTRIM(uCorr.[Mlle])) = LTRIM(RTRIM(urg.[Corriger_Par]))
-        ${whereSql}
-      ),
-      N AS (
-        SELECT
-          UPPER(LTRIM(RTRIM(REPLACE(REPLACE([Machine], CHAR(160), ' '), CHAR(9), ' ')))) AS MNorm
-        FROM F
-        WHERE [Machine] IS NOT NULL
-          AND LTRIM(RTRIM([Machine])) <> ''
-          AND [Machine] <> '-'
-      )
-      SELECT DISTINCT MNorm AS Machine
-      FROM N
-      WHERE MNorm IS NOT NULL AND MNorm <> ''
-      ORDER BY Machine ASC;
-    `);
-
-    const machines = (q.recordset || []).map(r => r.Machine);
-    res.json({ count: machines.length, results: machines });
-  } catch (e) {
-    console.error(e);
-    res.status(500).json({ error: 'Failed to fetch machines' });
   }
+
+  sseWrite(res, {
+    id: streamEventId(client.site.eventSeq),
+    event: 'hello',
+    data: { epoch: EVENT_EPOCH, seq: client.site.eventSeq, at: new Date(), events: [...client.events], rooms }
+  });
+
+  streams.add(client);
+  req.on('close', () => streams.delete(client));
 });
 
 /* ---------------------------------------------------------------
-POST /urgent  (emit urgent:added)
+GET /andon   board for the TV screens (no script to install: plain HTML + EventSource)
+ ?machines=MC27,MC14  ?types=coupe   only these
+ ?warn=15 ?alert=30                  age in minutes turning a machine amber / red
+ ?token=                             when the Anonymous role cannot read urgents
 --------------------------------------------------------------- */
-app.post('/urgent', async (req, res) => {
-  try {
-    const pool = await getPool();
-    let { declarerMatricule, password, urgents, unico, machine, planB, mcPb, type, timeRemaining } = req.body || {};
+const ANDON_WARN_MINUTES = toInt(process.env.ANDON_WARN_MINUTES, 15);
+const ANDON_ALERT_MINUTES = toInt(process.env.ANDON_ALERT_MINUTES, 30);
+// every change that opens or closes an urgent
+const ANDON_EVENTS = [...STREAM_DEFAULT_EVENTS, ...Object.values(URGENT_TRANSITIONS).map(t => t.event)];
 
-    if (!Array.isArray(urgents)) {
-      if (!unico || !machine)
-        return res.status(400).json({ error: 'Missing unico or machine.' });
-      urgents = [{ unico, machine, planB, mcPb, type, timeRemaining }];
-    }
+app.get('/andon', validate({
+  summary: 'Andon board page',
+  description: 'Open urgents per machine, coloured by the age of the oldest, updated live from GET /urgent/stream.',
+  query: S.object({
+    machines: S.array(S.text()),
+    types: S.array(S.text()),
+    warn: S.integer({ minimum: 1, description: `Minutes before amber (default ${ANDON_WARN_MINUTES})` }),
+    alert: S.integer({ minimum: 1, description: `Minutes before red (default ${ANDON_ALERT_MINUTES})` }),
+    title: S.text({ maxLength: 100 }),
+    token: S.text()
+  }),
+  responses: { 200: 'HTML page' }
+}), (req, res) => {
+  const warn = toInt(req.query.warn, ANDON_WARN_MINUTES);
+  res.type('html').send(andonPage({
+    title: ok(req.query.title) ? cleanText(req.query.title) : 'Urgents',
+    machines: listOf(req.query.machines).map(normMachine),
+    types: listOf(req.query.types).map(t => t.toLowerCase()),
+    warn,
+    alert: Math.max(toInt(req.query.alert, ANDON_ALERT_MINUTES), warn),
+    token: ok(req.query.token) ? String(req.query.token).trim() : null,
+    openStatuses: OPEN_STATUSES,
+    events: ANDON_EVENTS
+  }));
+});
 
-    if (!declarerMatricule || !password)
-      return res.status(400).json({ error: 'Required: declarerMatricule and password.' });
+/* ===================== Webhooks ===================== */
+/*
+ For systems that cannot hold a socket (MES, maintenance ticketing): each
+ subscription in M5_Webhooks picks events and, optionally, machines / types
+ (matched on the same rooms as socket subscriptions). Every matching event
+ becomes a delivery in M5_Webhooks_Livraisons that the worker POSTs:
 
-    const auth = pool.request();
-    auth.input('mlle', sql.VarChar, String(declarerMatricule).trim());
-    auth.input('pass', sql.VarChar, String(password).trim());
-    const userRes = await auth.query(`
-      SELECT [Mlle],[Nom],[Prenom],[Role]
-      FROM [dbo].[M5_Users]
-      WHERE REPLACE(LTRIM(RTRIM([Mlle])),' ','') = REPLACE(@mlle,' ','')
-        AND LTRIM(RTRIM([Password])) = LTRIM(RTRIM(@pass))
-    `);
-    if (!userRes.recordset.length)
-      return res.status(401).json({ error: 'Invalid matricule or password.' });
+   Content-Type: application/json
+   X-Urgent-Event: urgent:added
+   X-Urgent-Delivery: 42            same id on every retry: dedupe on it
+   X-Urgent-Timestamp: 1729497600   unix seconds of this attempt
+   X-Urgent-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<raw body>")>
+   { "event": "urgent:added", "seq": 12, "at": "...", "data": { ...the socket payload } }
 
-    const user = userRes.recordset[0];
+ Any 2xx is delivered. Otherwise the next attempt waits
+ WEBHOOK_BACKOFF_MS × 2^(attempt - 1), capped at WEBHOOK_BACKOFF_MAX_MS; after
+ WEBHOOK_MAX_ATTEMPTS the delivery is dead (GET /webhook-deliveries/dead-letters)
+ until an admin retries it. scripts/webhook-receiver.js checks signatures locally.
+*/
+const WEBHOOK_EVENTS = ['urgent:added', 'urgent:planb', 'urgent:planb-cleared', 'urgent:resolved'];
+const WEBHOOK_TEST_EVENT = 'webhook:test';
+const DELIVERY_STATES = ['pending', 'sending', 'delivered', 'dead'];
 
-    const allUnicos = urgents.map(u => String(u.unico || '').trim()).filter(Boolean);
-    if (!allUnicos.length)
-      return res.status(400).json({ error: 'No valid Unico provided.' });
+const WEBHOOK_MAX_ATTEMPTS = toInt(process.env.WEBHOOK_MAX_ATTEMPTS, 8);
+const WEBHOOK_BACKOFF_MS = toInt(process.env.WEBHOOK_BACKOFF_MS, 30000);
+const WEBHOOK_BACKOFF_MAX_MS = toInt(process.env.WEBHOOK_BACKOFF_MAX_MS, 3600000);
+const WEBHOOK_TIMEOUT_MS = toInt(process.env.WEBHOOK_TIMEOUT_MS, 10000);
+const WEBHOOK_POLL_MS = toInt(process.env.WEBHOOK_POLL_MS, 5000);
+const WEBHOOK_KEEP_DAYS = toInt(process.env.WEBHOOK_KEEP_DAYS, 7);   // delivered rows; dead ones stay
 
-    const existing = await pool.request().query(`
-      SELECT DISTINCT [Unico]
-      FROM [dbo].[M5_Wires]
-      WHERE [Unico] IN (${allUnicos.map(u => `'${u.replace(/'/g, "''")}'`).join(',')});
-    `);
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
 
-    const foundUnicos = new Set(existing.recordset.map(r => r.Unico?.trim()));
-    const missing = allUnicos.filter(u => !foundUnicos.has(u));
-    if (missing.length > 0) {
-      return res.status(400).json({ error: 'Some Unico values do not exist in wires.', missing });
-    }
+// M5_Webhooks row -> API shape (the secret itself is only shown when it is set)
+function mapWebhookRow(r) {
+  const events = listOf(r.Evenements);
+  return {
+    id: r.id,
+    url: r.Url,
+    description: r.Description ?? null,
+    events: events.length ? events : WEBHOOK_EVENTS,
+    machines: listOf(r.Machines),
+    types: listOf(r.Types),
+    active: !!r.Actif,
+    secretHint: `…${String(r.Secret).slice(-4)}`,
+    createdBy: r.Cree_Par ? String(r.Cree_Par).trim() : null,
+    createdAt: r.Date_Creation
+  };
+}
 
-    const results = [];
-    for (const u of urgents) {
-      if (!u.unico || !u.machine) continue;
-      const declAt = new Date();
+// M5_Webhooks_Livraisons row (+ Url) -> API shape; `withBody` adds the payload as sent
+function mapDeliveryRow(r, { withBody = false } = {}) {
+  const out = {
+    id: r.id,
+    webhook: { id: r.Webhook_Id, url: r.Url },
+    event: r.Evenement,
+    seq: r.Seq ?? null,
+    state: r.Etat,
+    attempts: r.Tentatives,
+    nextAttemptAt: ['pending', 'sending'].includes(r.Etat) ? r.Prochain_Essai : null,
+    lastStatus: r.Code_Http ?? null,
+    lastError: r.Erreur ?? null,
+    createdAt: r.Date_Creation,
+    deliveredAt: r.Date_Livraison ?? null
+  };
+  if (withBody) out.payload = parseJson(r.Corps);
+  return out;
+}
 
-      const ins = pool.request();
-      ins.input('Unico', sql.NVarChar, String(u.unico).trim());
-      ins.input('Machine', sql.NVarChar, String(u.machine).trim());
-      ins.input('Declarer_Par', sql.VarChar, String(user.Mlle).trim());
-      ins.input('Statut', sql.VarChar, 'NOK');
-      ins.input('Date_Declaration', sql.DateTime2, declAt);
-      ins.input('Plan_B', sql.NVarChar, u.planB ? String(u.planB).trim() : null);
-      ins.input('McPb', sql.NVarChar, u.mcPb ? String(u.mcPb).trim() : null);
-      ins.input('Type', sql.NVarChar, u.type ? String(u.type).trim() : null);
-      ins.input('Temps_Restant', sql.NVarChar, u.timeRemaining ? String(u.timeRemaining).trim() : null);
-
-      const inserted = await ins.query(`
-        INSERT INTO [dbo].[M5_Urgent]
-          ([Unico],[Date_Declaration],[Declarer_Par],[Statut],[Machine],
-           [Plan_B],[McPb],[Type],[Temps_Restant])
-        OUTPUT INSERTED.id
-        VALUES (@Unico,@Date_Declaration,@Declarer_Par,@Statut,@Machine,
-                @Plan_B,@McPb,@Type,@Temps_Restant);
-      `);
-
-      const id = inserted.recordset?.[0]?.id;
-      if (!id) continue;
-
-      const row = {
-        id,
-        unico: u.unico.trim(),
-        declaredAt: declAt,
-        status: 'NOK',
-        machine: u.machine.trim(),
-        planB: u.planB ?? null,
-        mcPb: u.mcPb ?? null,
-        type: u.type ? u.type.toLowerCase().trim() : null,
-        timeRemaining: u.timeRemaining ?? null,
-        declaredBy: {
-          matricule: user.Mlle.trim(),
-          "full name": `${(user.Prenom || '').trim()} ${(user.Nom || '').trim()}`.trim(),
-          role: (user.Role || '').trim()
-        },
-        correctedBy: null,
-        correctedAt: null
-      };
-      results.push(row);
+// Subscriptions cache (API shape), reloaded every 30s or after a write
+const WEBHOOK_CACHE_MS = 30000;
+async function loadWebhooks(force) {
+  const site = currentSite();   // site.webhookCache
+  if (!force && site.webhookCache && Date.now() - site.webhookCache.at < WEBHOOK_CACHE_MS)
+    return site.webhookCache.list;
 
-      // 🔔 notify all clients
-      io.emit('urgent:added', {
-        id: row.id,
-        unico: row.unico,
-        machine: row.machine,
-        type: row.type,
-        declaredAt: row.declaredAt,
-        by: row.declaredBy?.matricule
-      });
-      // Optional: targeted rooms
-      // io.to(`mc:${row.machine.toUpperCase()}`).emit('urgent:added', row);
-      // if (row.type) io.to(`type:${row.type}`).emit('urgent:added', row);
-    }
+  const list = (await store.webhooks.list()).map(mapWebhookRow);
+  site.webhookCache = { at: Date.now(), list };
+  return list;
+}
 
-    if (!results.length)
-      return res.status(400).json({ error: 'No valid urgents inserted.' });
+// rooms: the socket rooms the event went to, see emitUrgent()
+function webhookWants(hook, event, rooms) {
+  if (!hook.active || !hook.events.includes(event)) return false;
+  if (hook.machines.length && !hook.machines.some(m => rooms.includes(machineRoom(m)))) return false;
+  if (hook.types.length && !hook.types.some(t => rooms.includes(typeRoom(t)))) return false;
+  return true;
+}
 
-    res.status(201).json({ count: results.length, results });
-  } catch (err) {
-    console.error('❌ POST /urgent error:', err);
-    res.status(500).json({ error: 'Failed to declare urgent(s).' });
-  }
-});
+async function addDelivery(hookId, event, seq, data) {
+  const at = new Date();
+  return store.webhookDeliveries.add({
+    Webhook_Id: hookId,
+    Evenement: event,
+    Seq: seq ?? null,
+    Corps: JSON.stringify({ event, seq: seq ?? null, at, data }),
+    Etat: 'pending',
+    Tentatives: 0,
+    Prochain_Essai: at,
+    Date_Creation: at
+  });
+}
 
-/* ---------------------------------------------------------------
-PATCH /urgent/planb  (emit urgent:planb)
----------------------------------------------------------------- */
-app.patch('/urgent/planb', async (req, res) => {
+// called by emitUrgent(), never throws
+async function queueWebhooks(event, payload, rooms) {
   try {
-    const pool = await getPool();
-    const { unico, McPb } = req.body || {};
+    const hooks = (await loadWebhooks()).filter(h => webhookWants(h, event, rooms));
+    for (const hook of hooks) await addDelivery(hook.id, event, payload.seq, payload);
+    if (hooks.length) setImmediate(runWebhookDeliveries);
+  } catch (e) {
+    console.error(`❌ webhook queue error (${event}):`, e);
+  }
+}
 
-    if (!unico || !McPb)
-      return res.status(400).json({ error: 'Required: unico and McPb.' });
+function webhookSignature(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
 
-    const find = pool.request();
-    find.input('unico', sql.NVarChar, unico.trim());
-    const found = await find.query(`
-      SELECT TOP 1 id, Machine, Type FROM [dbo].[M5_Urgent]
-      WHERE LTRIM(RTRIM([Unico])) = LTRIM(RTRIM(@unico))
-        AND UPPER([Statut]) = 'NOK'
-      ORDER BY [Date_Declaration] DESC, [id] DESC;
-    `);
+// -> { status } | { error } (status too when the receiver answered non-2xx)
+async function postWebhook(hook, d) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const res = await fetch(hook.Url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'urgentdata-webhooks',
+        'X-Urgent-Event': d.Evenement,
+        'X-Urgent-Delivery': String(d.id),
+        'X-Urgent-Timestamp': String(timestamp),
+        'X-Urgent-Signature': webhookSignature(hook.Secret, timestamp, d.Corps)
+      },
+      body: d.Corps,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    const answer = await res.text().catch(() => '');
+    if (res.ok) return { status: res.status };
+    return { status: res.status, error: `HTTP ${res.status}${answer ? `: ${answer.trim().slice(0, 200)}` : ''}` };
+  } catch (e) {
+    if (e.name === 'TimeoutError') return { error: `No answer within ${WEBHOOK_TIMEOUT_MS / 1000}s` };
+    return { error: e.cause?.code || e.cause?.message || e.message };
+  }
+}
 
-    if (!found.recordset.length)
-      return res.status(404).json({ error: 'No NOK urgent found for this Unico.' });
+const webhookBackoff = (attempt) => Math.min(WEBHOOK_BACKOFF_MS * 2 ** (attempt - 1), WEBHOOK_BACKOFF_MAX_MS);
 
-    const row = found.recordset[0];
+async function deliverWebhook(d) {
+  const attempt = d.Tentatives + 1;
 
-    const upd = pool.request();
-    upd.input('id', sql.Int, row.id);
-    upd.input('mcPb', sql.NVarChar, McPb.trim());
-    await upd.query(`
-      UPDATE [dbo].[M5_Urgent]
-      SET [Plan_B] = 1, [McPb] = @mcPb
-      WHERE [id] = @id;
-    `);
+  // the WHERE on Etat / Tentatives makes the claim safe if two instances run the worker;
+  // the lease lets another one pick the delivery up if this process dies mid-send
+  const claimed = await store.webhookDeliveries.update(d.id,
+    { Etat: 'sending', Tentatives: attempt, Prochain_Essai: new Date(Date.now() + 3 * WEBHOOK_TIMEOUT_MS) },
+    { Etat: d.Etat, Tentatives: d.Tentatives });
+  if (!claimed) return;
 
-    // 🔔 notify all clients
-    io.emit('urgent:planb', {
-      id: row.id,
-      unico,
-      machine: row.Machine?.trim() || null,
-      type: row.Type ? String(row.Type).toLowerCase() : null,
-      mcPb: McPb.trim()
-    });
+  const hook = await store.webhooks.get(d.Webhook_Id);
+  const sent = hook?.Actif ? await postWebhook(hook, d) : { error: 'Webhook disabled.' };
+  const result = { Code_Http: sent.status ?? null, Erreur: sent.error ? String(sent.error).slice(0, 400) : null };
+  const expect = { Etat: 'sending', Tentatives: attempt };
 
-    return res.json({ success: true, unico, McPb, Plan_B: true });
-  } catch (err) {
-    console.error('❌ PATCH /urgent/planb error:', err);
-    res.status(500).json({ error: 'Failed to set Plan B.' });
+  if (!sent.error) {
+    await store.webhookDeliveries.update(d.id, { ...result, Etat: 'delivered', Date_Livraison: new Date(), Prochain_Essai: null }, expect);
+  } else if (!hook?.Actif || attempt >= WEBHOOK_MAX_ATTEMPTS) {
+    await store.webhookDeliveries.update(d.id, { ...result, Etat: 'dead', Prochain_Essai: null }, expect);
+    console.warn(`📪 webhook delivery ${d.id} (${d.Evenement} → ${d.Url}) is dead after ${attempt} attempt(s): ${result.Erreur}`);
+  } else {
+    await store.webhookDeliveries.update(d.id,
+      { ...result, Etat: 'pending', Prochain_Essai: new Date(Date.now() + webhookBackoff(attempt)) }, expect);
   }
-});
+}
 
-/* ---------------------------------------------------------------
-PATCH /urgent/resolve  (emit urgent:resolved)
---------------------------------------------------------------- */
-app.patch('/urgent/resolve', async (req, res) => {
+const WEBHOOK_BATCH = 20;
+async function runWebhookDeliveries() {
+  const site = currentSite();
+  if (site.webhookRunning) return;
+  site.webhookRunning = true;
   try {
-    const pool = await getPool();
-    const { unico, unicos, correctorMatricule, password } = req.body || {};
+    let due;
+    do {
+      due = await store.webhookDeliveries.due(new Date(), WEBHOOK_BATCH);
+      for (const d of due) await deliverWebhook(d);
+    } while (due.length === WEBHOOK_BATCH);
+  } catch (e) {
+    console.error('❌ webhook delivery error:', e);
+  } finally {
+    site.webhookRunning = false;
+  }
+}
 
-    if (!correctorMatricule || !password) {
-      return res.status(400).json({ error: 'Required: correctorMatricule, password.' });
-    }
+async function pruneWebhookDeliveries() {
+  try {
+    const removed = await store.webhookDeliveries.prune(new Date(Date.now() - WEBHOOK_KEEP_DAYS * 86400000));
+    if (removed) console.log(`🧹 ${removed} delivered webhook(s) older than ${WEBHOOK_KEEP_DAYS} days removed from the log`);
+  } catch (e) {
+    console.error('❌ webhook log cleanup error:', e);
+  }
+}
 
-    let list = Array.isArray(unicos) ? unicos : (unico ? [unico] : []);
-    list = list.map(u => String(u || '').trim()).filter(Boolean);
-    if (!list.length) {
-      return res.status(400).json({ error: 'Provide "unico" or "unicos" (non-empty).' });
-    }
+function startWebhookWorker() {
+  setInterval(forEachSite(runWebhookDeliveries), WEBHOOK_POLL_MS);
+  setInterval(forEachSite(pruneWebhookDeliveries), 3600000);
+  console.log(`📮 webhook deliveries every ${WEBHOOK_POLL_MS / 1000}s: up to ${WEBHOOK_MAX_ATTEMPTS} attempts, backoff from ${WEBHOOK_BACKOFF_MS / 1000}s`);
+}
 
-    const auth = pool.request();
-    auth.input('mlle', sql.VarChar, String(correctorMatricule).trim());
-    auth.input('pass', sql.VarChar, String(password).trim());
-    const authRes = await auth.query(`
-      SELECT [Mlle],[Nom],[Prenom],[Role]
-      FROM [dbo].[M5_Users]
-      WHERE REPLACE(LTRIM(RTRIM([Mlle])),' ','') = REPLACE(@mlle,' ','')
-        AND LTRIM(RTRIM([Password])) = LTRIM(RTRIM(@pass))
-    `);
-    if (!authRes.recordset.length) {
-      return res.status(401).json({ error: 'Invalid corrector credentials.' });
-    }
-    const corrector = authRes.recordset[0];
+const WEBHOOK_FIELDS = {
+  url: S.string({ pattern: '^https?://\\S+$', maxLength: 500, example: 'http://mes.local/hooks/urgent' }),
+  description: S.nullable(S.string({ maxLength: 200 })),
+  events: S.array(S.enumOf(WEBHOOK_EVENTS), { minItems: 1, description: 'Default: every event' }),
+  machines: S.array(S.text({ maxLength: 50 }), { description: 'Codes or aliases; empty: every machine' }),
+  types: S.array(MACHINE_TYPE, { description: 'Empty: every type' }),
+  active: S.boolean(),
+  secret: S.string({ minLength: 16, maxLength: 100, description: 'HMAC key; generated when not given' })
+};
+const WEBHOOK_PARAMS = S.object({ id: S.integer({ minimum: 1 }) }, ['id']);
 
-    const results = [];
-    const skipped = [];
+// validated body -> M5_Webhooks fields (only the keys sent), or { error } for unknown machines
+async function readWebhookBody(body) {
+  const fields = {};
 
-    for (const u of list) {
-      const find = pool.request();
-      find.input('unico', sql.NVarChar, u);
-      const found = await find.query(`
-        SELECT TOP 1 * FROM [dbo].[M5_Urgent]
-        WHERE LTRIM(RTRIM([Unico])) = LTRIM(RTRIM(@unico)) AND UPPER([Statut]) = 'NOK'
-        ORDER BY [Date_Declaration] DESC, [id] DESC;
-      `);
-      if (!found.recordset.length) {
-        skipped.push({ unico: u, reason: 'No NOK urgent found' });
-        continue;
-      }
+  if (body.url !== undefined) fields.Url = body.url.trim();
+  if (body.description !== undefined) fields.Description = cleanText(body.description) || null;
+  if (body.events !== undefined) fields.Evenements = [...new Set(body.events.map(e => e.trim()))].join(',');
+  if (body.types !== undefined) fields.Types = [...new Set(body.types.map(t => cleanText(t).toLowerCase()))].join(',') || null;
+  if (body.active !== undefined) fields.Actif = body.active;
+  if (body.secret !== undefined) fields.Secret = body.secret;
 
-      const target = found.recordset[0];
-      const now = new Date();
+  if (body.machines !== undefined) {
+    const codes = [];
+    const unknown = [];
+    for (const value of body.machines) {
+      const m = await resolveMachine(value);
+      if (m) codes.push(m.code);
+      else unknown.push(cleanText(value));
+    }
+    if (unknown.length) return { error: `Unknown machine(s): ${unknown.join(', ')}` };
+    fields.Machines = [...new Set(codes)].join(',') || null;
+  }
 
-      const upd = pool.request();
-      upd.input('id', sql.Int, target.id);
-      upd.input('corrBy', sql.VarChar, String(corrector.Mlle).trim());
-      upd.input('corrAt', sql.DateTime2, now);
-      await upd.query(`
-        UPDATE [dbo].[M5_Urgent]
-        SET [Statut] = 'OK',
-            [Corriger_Par] = @corrBy,
-            [Date_Correction] = @corrAt
-        WHERE [id] = @id;
-      `);
-
-      const sel = pool.request();
-      sel.input('id', sql.Int, target.id);
-      const rset = await sel.query(`
-        SELECT
-          urg.*,
-          uDecl.[Nom]   AS Decl_Nom,  uDecl.[Prenom] AS Decl_Prenom,  uDecl.[Role] AS Decl_Role,
-          uCorr.[Nom]   AS Corr_Nom,  uCorr.[Prenom] AS Corr_Prenom,  uCorr.[Role] AS Corr_Role
-        FROM [dbo].[M5_Urgent] AS urg
-        LEFT JOIN [dbo].[M5_Users] AS uDecl
-          ON LTRIM(RTRIM(uDecl.[Mlle])) = LTRIM(RTRIM(urg.[Declarer_Par]))
-        LEFT JOIN [dbo].[M5_Users] AS uCorr
-          ON LTRIM(RTRIM(uCorr.[Mlle])) = LTRIM(RTRIM(urg.[Corriger_Par]))
-        WHERE urg.[id] = @id;
-      `);
-
-      const r = rset.recordset[0];
-      const row = {
-        id: r.id,
-        unico: r.Unico?.trim(),
-        declaredAt: r.Date_Declaration,
-        correctedAt: r.Date_Correction,
-        status: r.Statut,
-        machine: r.Machine?.trim() || null,
-        planB: r.Plan_B?.trim() || null,
-        mcPb: r.McPb ?? null,
-        type: r.Type ? String(r.Type).toLowerCase() : null,
-        timeRemaining: r.Temps_Restant?.trim() || null,
-        declaredBy: {
-          matricule: r.Declarer_Par ? String(r.Declarer_Par).trim() : null,
-          "full name": (r.Decl_Prenom || r.Decl_Nom)
-            ? `${(r.Decl_Prenom || '').trim()} ${(r.Decl_Nom || '').trim()}`.trim()
-            : null,
-          role: r.Decl_Role ? String(r.Decl_Role).trim() : null
-        },
-        correctedBy: {
-          matricule: String(corrector.Mlle).trim(),
-          "full name": `${(corrector.Prenom || '').trim()} ${(corrector.Nom || '').trim()}`.trim(),
-          role: (corrector.Role || '').trim()
-        }
-      };
-      results.push(row);
+  return { fields };
+}
 
-      // 🔔 notify all clients
-      io.emit('urgent:resolved', {
-        id: row.id,
-        unico: row.unico,
-        machine: row.machine,
-        type: row.type,
-        correctedAt: row.correctedAt,
-        by: row.correctedBy?.matricule
-      });
-      // Optional rooms:
-      // io.to(`mc:${row.machine?.toUpperCase()}`).emit('urgent:resolved', row);
-      // if (row.type) io.to(`type:${row.type}`).emit('urgent:resolved', row);
-    }
+// stored fields -> audit value (never the secret)
+const webhookAuditValue = (r) => {
+  const { secretHint, createdBy, createdAt, ...rest } = mapWebhookRow(r);
+  return rest;
+};
 
-    return res.json({ count: results.length, results, skipped });
+/* ---------------------------------------------------------------
+GET    /webhooks                 (secrets hidden, see secretHint)
+POST   /webhooks                 { url, events?, machines?, types?, description?, active?, secret? }
+                                 -> 201 with `secret` (shown this once)
+PUT    /webhooks/:id             { any of the above, rotateSecret? }
+DELETE /webhooks/:id             (its delivery log goes with it)
+POST   /webhooks/:id/test        queue a webhook:test delivery, whatever the filters
+--------------------------------------------------------------- */
+app.get('/webhooks', authorize('webhooks:manage'), validate({ summary: 'Webhook subscriptions' }), async (req, res) => {
+  try {
+    const results = await loadWebhooks(true);
+    res.json({ count: results.length, events: WEBHOOK_EVENTS, results });
   } catch (e) {
-    console.error('❌ PATCH /urgent/resolve (batch) error:', e);
-    res.status(500).json({ error: 'Failed to resolve urgent(s).' });
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
   }
 });
 
-/* ---------------------------------------------------------------
-GET /users (with counts)
---------------------------------------------------------------- */
-app.get('/users', async (req, res) => {
-  try {
-    const pool = await getPool();
-    const conditions = [];
-    const request = pool.request();
-
-    if (ok(req.query.role)) {
-      request.input('role', sql.VarChar, req.query.role.trim());
-      conditions.push('[Role] = @role');
-    }
-    if (ok(req.query.q)) {
-      const like = `%${req.query.q.trim()}%`;
-      request.input('q1', sql.VarChar, like);
-      request.input('q2', sql.VarChar, like);
-      request.input('q3', sql.VarChar, like);
-      conditions.push('([Nom] LIKE @q1 OR [Prenom] LIKE @q2 OR [Mlle] LIKE @q3)');
-    }
-
-    const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
-
-    const query = `
-      SELECT 
-        u.[Nom],
-        u.[Prenom],
-        u.[Mlle],
-        u.[Password],
-        u.[Role],
-        (SELECT COUNT(*) FROM [dbo].[M5_Urgent] WHERE LTRIM(RTRIM([Declarer_Par])) = LTRIM(RTRIM(u.[Mlle]))) AS declaredCount,
-        (SELECT COUNT(*) FROM [dbo].[M5_Urgent] WHERE LTRIM(RTRIM([Corriger_Par])) = LTRIM(RTRIM(u.[Mlle]))) AS correctedCount
-      FROM [dbo].[M5_Users] AS u
-      ${whereSql}
-      ORDER BY u.[Nom] ASC, u.[Prenom] ASC;
-    `;
-
-    const rows = await request.query(query);
-
-    const users = rows.recordset.map(r => ({
-      matricule: r.Mlle?.trim(),
-      fullName: `${(r.Prenom || '').trim()} ${(r.Nom || '').trim()}`.trim(),
-      role: r.Role?.trim(),
-      password: r.Password?.trim() || null,
-      declaredCount: r.declaredCount ?? 0,
-      correctedCount: r.correctedCount ?? 0
-    }));
+app.post('/webhooks', authorize('webhooks:manage'), validate({
+  summary: 'Subscribe a URL to urgent events',
+  description: 'The answer carries `secret` this once; later reads only show its last characters.',
+  body: S.object(WEBHOOK_FIELDS, ['url']),
+  responses: { 201: 'The webhook, with its secret', 400: 'Unknown machine' }
+}), async (req, res) => {
+  let tx;
+  try {
+    const read = await readWebhookBody(req.body);
+    if (read.error) return res.status(400).json({ error: read.error });
 
-    res.json({ count: users.length, results: users });
+    const fields = {
+      Evenements: null, Machines: null, Types: null, Actif: true,
+      ...read.fields,
+      Secret: read.fields.Secret || newWebhookSecret(),
+      Cree_Par: String(req.user.Mlle).trim(),
+      Date_Creation: new Date()
+    };
+
+    tx = await store.begin();
+    const id = await tx.webhooks.insert(fields);
+    await audit(tx, { actor: req.user, entity: 'webhook', entityId: id, action: 'create', newValue: webhookAuditValue({ ...fields, id }) });
+    await tx.commit();
+    tx = null;
+
+    await loadWebhooks(true);
+    res.status(201).json({ ...mapWebhookRow(await store.webhooks.get(id)), secret: fields.Secret });
   } catch (e) {
+    if (tx) await tx.rollback().catch(() => {});
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch users' });
+    res.status(500).json({ error: 'Failed to create webhook' });
   }
 });
 
-/* ---------------------------------------------------------------
-POST /users
---------------------------------------------------------------- */
-app.post('/users', async (req, res) => {
+app.put('/webhooks/:id', authorize('webhooks:manage'), validate({
+  summary: 'Update a webhook (only the fields sent)',
+  params: WEBHOOK_PARAMS,
+  body: S.object({
+    ...WEBHOOK_FIELDS,
+    rotateSecret: S.boolean({ description: 'Generate a new secret (returned this once)' })
+  }, [], { minProperties: 1 }),
+  responses: { 200: 'The webhook (+ secret when it changed)', 400: 'Unknown machine', 404: 'Webhook not found' }
+}), async (req, res) => {
+  let tx;
   try {
-    const pool = await getPool();
-    const { matricule, firstName, lastName, role, password } = req.body || {};
-
-    if (!matricule || !firstName || !lastName || !role || !password) {
-      return res.status(400).json({
-        error: 'Required: matricule, firstName, lastName, role, password.'
-      });
-    }
+    const id = Number(req.params.id);
+    const before = await store.webhooks.get(id);
+    if (!before) return res.status(404).json({ error: 'Webhook not found.' });
 
-    const roleWhitelist = ['Admin', 'Cutting', 'Opera', 'Alimentation'];
-    if (!roleWhitelist.includes(String(role).trim())) {
-      return res.status(400).json({ error: `Invalid role. Allowed: ${roleWhitelist.join(', ')}` });
-    }
-
-    const mlleCanon = String(matricule).trim();
-    const chk = pool.request();
-    chk.input('mlle', sql.VarChar, mlleCanon);
-    const exists = await chk.query(`
-      SELECT 1 AS x
-      FROM [dbo].[M5_Users]
-      WHERE REPLACE(LTRIM(RTRIM([Mlle])),' ','') = REPLACE(@mlle,' ','')
-    `);
-    if (exists.recordset.length) {
-      return res.status(409).json({ error: 'Matricule already exists.' });
-    }
+    const read = await readWebhookBody(req.body);
+    if (read.error) return res.status(400).json({ error: read.error });
+    const fields = read.fields;
+    if (isOn(req.body.rotateSecret, false) && !fields.Secret) fields.Secret = newWebhookSecret();
 
-    const ins = pool.request();
-    ins.input('nom', sql.NVarChar, String(lastName).trim());
-    ins.input('prenom', sql.NVarChar, String(firstName).trim());
-    ins.input('mlle', sql.VarChar, mlleCanon);
-    ins.input('pass', sql.VarChar, String(password).trim());
-    ins.input('role', sql.VarChar, String(role).trim());
-    await ins.query(`
-      INSERT INTO [dbo].[M5_Users] ([Nom],[Prenom],[Mlle],[Password],[Role])
-      VALUES (@nom, @prenom, @mlle, @pass, @role);
-    `);
-
-    return res.status(201).json({
-      matricule: mlleCanon,
-      firstName: String(firstName).trim(),
-      lastName: String(lastName).trim(),
-      role: String(role).trim(),
-      password: String(password).trim(),
-      declaredCount: 0,
-      correctedCount: 0
+    tx = await store.begin();
+    if (Object.keys(fields).length) await tx.webhooks.update(id, fields);
+    const after = { ...before, ...fields };
+    await audit(tx, {
+      actor: req.user, entity: 'webhook', entityId: id, action: 'update',
+      oldValue: webhookAuditValue(before),
+      newValue: { ...webhookAuditValue(after), ...(fields.Secret ? { secretChanged: true } : {}) }
     });
+    await tx.commit();
+    tx = null;
+
+    await loadWebhooks(true);
+    const hook = mapWebhookRow(await store.webhooks.get(id));
+    res.json(fields.Secret ? { ...hook, secret: fields.Secret } : hook);
   } catch (e) {
+    if (tx) await tx.rollback().catch(() => {});
     console.error(e);
-    return res.status(500).json({ error: 'Failed to create user' });
+    res.status(500).json({ error: 'Failed to update webhook' });
   }
 });
 
-/* ---------------------------------------------------------------
-DELETE /users
---------------------------------------------------------------- */
-app.delete('/users', async (req, res) => {
+app.delete('/webhooks/:id', authorize('webhooks:manage'), validate({
+  summary: 'Remove a webhook and its delivery log',
+  params: WEBHOOK_PARAMS,
+  responses: { 200: 'The deleted webhook', 404: 'Webhook not found' }
+}), async (req, res) => {
   try {
-    const pool = await getPool();
-
-    const matricule = req.body?.matricule || req.query?.matricule;
-    const code = req.body?.code || req.query?.code;
-
-    if (!matricule || !code) {
-      return res.status(400).json({ error: 'matricule and code are required.' });
-    }
+    const id = Number(req.params.id);
+    const before = await store.webhooks.get(id);
+    if (!before) return res.status(404).json({ error: 'Webhook not found.' });
 
-    const ADMIN_DELETE_CODE = '0000';
-    if (String(code).trim() !== ADMIN_DELETE_CODE) {
-      return res.status(401).json({ error: 'Invalid admin code.' });
-    }
+    await inTransaction(async (tx) => {
+      await tx.webhooks.remove(id);
+      await audit(tx, { actor: req.user, entity: 'webhook', entityId: id, action: 'delete', oldValue: webhookAuditValue(before) });
+    });
 
-    const check = pool.request();
-    check.input('mlle', sql.VarChar, String(matricule).trim());
-    const user = await check.query(`
-      SELECT * FROM [dbo].[M5_Users]
-      WHERE LTRIM(RTRIM([Mlle])) = LTRIM(RTRIM(@mlle))
-    `);
+    await loadWebhooks(true);
+    res.json({ deleted: mapWebhookRow(before) });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
 
-    if (!user.recordset.length) {
-      return res.status(404).json({ error: 'User not found.' });
-    }
+app.post('/webhooks/:id/test', authorize('webhooks:manage'), validate({
+  summary: 'Send a webhook:test event to a webhook',
+  description: 'Queued like any delivery (signed, retried); follow it in GET /webhook-deliveries.',
+  params: WEBHOOK_PARAMS,
+  responses: { 202: 'The queued delivery', 404: 'Webhook not found', 409: 'Webhook disabled' }
+}), async (req, res) => {
+  try {
+    const hook = await store.webhooks.get(Number(req.params.id));
+    if (!hook) return res.status(404).json({ error: 'Webhook not found.' });
+    if (!hook.Actif) return res.status(409).json({ error: 'Webhook is disabled.' });
 
-    const del = pool.request();
-    del.input('mlle', sql.VarChar, String(matricule).trim());
-    await del.query(`
-      DELETE FROM [dbo].[M5_Users]
-      WHERE LTRIM(RTRIM([Mlle])) = LTRIM(RTRIM(@mlle))
-    `);
+    const deliveryId = await addDelivery(hook.id, WEBHOOK_TEST_EVENT, null,
+      { webhook: hook.id, by: String(req.user.Mlle).trim() });
+    setImmediate(runWebhookDeliveries);
 
-    res.json({ success: true, message: 'User deleted successfully.' });
+    res.status(202).json(mapDeliveryRow(await store.webhookDeliveries.get(deliveryId)));
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to delete user.' });
+    res.status(500).json({ error: 'Failed to queue test delivery' });
   }
 });
 
 /* ---------------------------------------------------------------
-PUT /users/:matricule
+GET  /webhook-deliveries               delivery log, newest first
+ ?webhookId=3  ?state=pending,dead  ?event=urgent:added  ?limit= ?cursor=  (paging, see above)
+GET  /webhook-deliveries/dead-letters  same, state=dead only
+GET  /webhook-deliveries/:id           one delivery with the payload as sent
+POST /webhook-deliveries/:id/retry     dead -> pending, attempts start over
 --------------------------------------------------------------- */
-app.put('/users/:matricule', async (req, res) => {
-  try {
-    const pool = await getPool();
-    const matricule = String(req.params.matricule || '').trim();
-
-    if (!matricule) {
-      return res.status(400).json({ error: 'Matricule is required in URL.' });
-    }
-
-    const { firstName, lastName, role, password } = req.body || {};
+const DELIVERY_PARAMS = S.object({ id: S.integer({ minimum: 1 }) }, ['id']);
+const DELIVERY_FILTER_QUERY = {
+  webhookId: S.integer({ minimum: 1 }),
+  event: S.enumOf([...WEBHOOK_EVENTS, WEBHOOK_TEST_EVENT]),
+  ...PAGE_QUERY
+};
 
-    if (!firstName && !lastName && !role && !password) {
-      return res.status(400).json({ error: 'Nothing to update.' });
+async function listDeliveries(req, res, states) {
+  try {
+    const filter = { states };
+    if (ok(req.query.webhookId)) filter.webhookId = Number(req.query.webhookId);
+    if (ok(req.query.event)) filter.event = String(req.query.event).trim();
+    if (ok(req.query.cursor)) {
+      const cur = decodeCursor(req.query.cursor);
+      if (!cur || !Number.isInteger(cur.id)) {
+        return res.status(400).json({ error: 'Invalid cursor.' });
+      }
+      filter.beforeId = cur.id;
     }
 
-    const check = pool.request();
-    check.input('mlle', sql.VarChar, matricule);
-    const existing = await check.query(`
-      SELECT * FROM [dbo].[M5_Users]
-      WHERE LTRIM(RTRIM([Mlle])) = LTRIM(RTRIM(@mlle))
-    `);
+    const limit = pageLimit(req.query);
+    const rows = await store.webhookDeliveries.list({ ...filter, limit: limit + 1 });
 
-    if (!existing.recordset.length) {
-      return res.status(404).json({ error: 'User not found.' });
-    }
+    const page = rows.slice(0, limit);
+    const results = page.map(r => mapDeliveryRow(r));
+    const nextCursor = rows.length > limit
+      ? encodeCursor({ id: page[page.length - 1].id })
+      : null;
 
-    const fields = [];
-    const updateReq = pool.request();
+    res.json({ count: results.length, limit, nextCursor, results });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+}
 
-    if (firstName) {
-      updateReq.input('prenom', sql.NVarChar, String(firstName).trim());
-      fields.push('[Prenom] = @prenom');
-    }
-    if (lastName) {
-      updateReq.input('nom', sql.NVarChar, String(lastName).trim());
-      fields.push('[Nom] = @nom');
-    }
-    if (role) {
-      updateReq.input('role', sql.VarChar, String(role).trim());
-      fields.push('[Role] = @role');
-    }
-    if (password) {
-      updateReq.input('pass', sql.VarChar, String(password).trim());
-      fields.push('[Password] = @pass');
-    }
+app.get('/webhook-deliveries', authorize('webhooks:manage'), validate({
+  summary: 'Webhook delivery log, newest first',
+  query: S.object({
+    ...DELIVERY_FILTER_QUERY,
+    state: S.array(S.enumOf(DELIVERY_STATES), { description: 'Comma list' })
+  })
+}), (req, res) => listDeliveries(req, res, listOf(req.query.state)));
 
-    if (!fields.length) {
-      return res.status(400).json({ error: 'No valid fields to update.' });
-    }
+app.get('/webhook-deliveries/dead-letters', authorize('webhooks:manage'), validate({
+  summary: 'Webhook deliveries that gave up, newest first',
+  description: `Dead after ${WEBHOOK_MAX_ATTEMPTS} failed attempts (or when the webhook was disabled); POST /webhook-deliveries/{id}/retry sends one again.`,
+  query: S.object(DELIVERY_FILTER_QUERY)
+}), (req, res) => listDeliveries(req, res, ['dead']));
 
-    updateReq.input('mlle', sql.VarChar, matricule);
+app.get('/webhook-deliveries/:id', authorize('webhooks:manage'), validate({
+  summary: 'One webhook delivery, with the payload as sent',
+  params: DELIVERY_PARAMS,
+  responses: { 200: 'The delivery', 404: 'Delivery not found' }
+}), async (req, res) => {
+  try {
+    const row = await store.webhookDeliveries.get(Number(req.params.id));
+    if (!row) return res.status(404).json({ error: 'Delivery not found.' });
+    res.json(mapDeliveryRow(row, { withBody: true }));
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ error: 'Failed to fetch webhook delivery' });
+  }
+});
 
-    const sqlQuery = `
-      UPDATE [dbo].[M5_Users]
-      SET ${fields.join(', ')}
-      WHERE LTRIM(RTRIM([Mlle])) = LTRIM(RTRIM(@mlle));
-    `;
-    await updateReq.query(sqlQuery);
+app.post('/webhook-deliveries/:id/retry', authorize('webhooks:manage'), validate({
+  summary: 'Send a dead webhook delivery again',
+  params: DELIVERY_PARAMS,
+  responses: { 202: 'The delivery, pending again', 404: 'Delivery not found', 409: 'Delivery is not dead' }
+}), async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const row = await store.webhookDeliveries.get(id);
+    if (!row) return res.status(404).json({ error: 'Delivery not found.' });
 
-    const resReq = pool.request();
-    resReq.input('mlle', sql.VarChar, matricule);
-    const result = await resReq.query(`
-      SELECT 
-        [Nom],[Prenom],[Mlle],[Password],[Role],
-        (SELECT COUNT(*) FROM [dbo].[M5_Urgent] WHERE LTRIM(RTRIM([Declarer_Par])) = LTRIM(RTRIM(u.[Mlle]))) AS declaredCount,
-        (SELECT COUNT(*) FROM [dbo].[M5_Urgent] WHERE LTRIM(RTRIM([Corriger_Par])) = LTRIM(RTRIM(u.[Mlle]))) AS correctedCount
-      FROM [dbo].[M5_Users] AS u
-      WHERE LTRIM(RTRIM(u.[Mlle])) = LTRIM(RTRIM(@mlle));
-    `);
+    const changed = await inTransaction(async (tx) => {
+      const done = await tx.webhookDeliveries.update(id,
+        { Etat: 'pending', Tentatives: 0, Prochain_Essai: new Date() },
+        { Etat: 'dead' });
+      if (!done) return false;
 
-    const r = result.recordset[0];
-    res.json({
-      matricule: r.Mlle?.trim(),
-      firstName: r.Prenom?.trim(),
-      lastName: r.Nom?.trim(),
-      role: r.Role?.trim(),
-      password: r.Password?.trim(),
-      declaredCount: r.declaredCount ?? 0,
-      correctedCount: r.correctedCount ?? 0
+      await audit(tx, {
+        actor: req.user, entity: 'webhook', entityId: row.Webhook_Id, action: 'retry',
+        oldValue: { delivery: id, state: row.Etat, attempts: row.Tentatives, lastError: row.Erreur ?? null },
+        newValue: { delivery: id, state: 'pending' }
+      });
+      return true;
     });
+    if (!changed) return res.status(409).json({ error: `Delivery is ${row.Etat}, only dead deliveries can be retried.` });
+    setImmediate(runWebhookDeliveries);
+
+    res.status(202).json(mapDeliveryRow(await store.webhookDeliveries.get(id)));
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to update user.' });
+    res.status(500).json({ error: 'Failed to retry webhook delivery' });
   }
 });
 
+/* ===================== Sites: registry & summary ===================== */
 /* ---------------------------------------------------------------
-GET /wires
+GET /sites   the sites this API serves (see SITES)
 --------------------------------------------------------------- */
-app.get('/wires', async (req, res) => {
-  try {
-    const pool = await getPool();
-    const conditions = [];
-    const request = pool.request();
+app.get('/sites', authorize('urgent:read'), validate({
+  summary: 'Sites served',
+  description: 'Pick one with the URL prefix `/site/<id>/...` or the `X-Site: <id>` header; the default site needs neither. ' +
+    'Sockets connect to the `/<id>` namespace.'
+}), (req, res) => {
+  const results = SITES.map(s => ({
+    id: s.id,
+    name: s.name,
+    default: s.id === DEFAULT_SITE,
+    open: openSites.has(s.id),
+    prefix: `/site/${s.id}`,
+    namespace: `/${s.id}`
+  }));
+  res.json({ count: results.length, current: req.site.id, results });
+});
 
-    if (ok(req.query.type)) {
-      const t = String(req.query.type).toUpperCase().trim(); // COUPE / TWIST
-      if (t === 'COUPE' || t === 'TWIST') {
-        request.input('type', sql.VarChar, t);
-        conditions.push('UPPER([Type]) = @type');
-      }
-    }
+/* ---------------------------------------------------------------
+GET /sites/summary   one line per site, for management
+ ?sites=m5,tanger  (default: all)   ?from= ?to=  period of the counts (default: today): urgents declared in it, urgents resolved in it
+ A site whose database does not answer within SITE_SUMMARY_TIMEOUT_MS is listed with its error.
+--------------------------------------------------------------- */
+const SITE_SUMMARY_TIMEOUT_MS = toInt(process.env.SITE_SUMMARY_TIMEOUT_MS, 10000);
 
-    if (ok(req.query.machine)) {
-      request.input('mach', sql.VarChar, req.query.machine.trim());
-      conditions.push('[Machine] = @mach');
-    }
+// in the site's context -> { open, unacknowledged, planB, oldestOpenAt, machinesWithUrgents, machinesDown, period }
+// period: statsOf() the urgents declared in it, but resolved / resolveMinutes over the urgents resolved in it
+async function siteSummary(period, now) {
+  const open = await store.urgents.all({ statuses: OPEN_STATUSES });
+  const active = await store.urgents.all({ activeSince: period.from });
+  const within = (at) => at && new Date(at) >= period.from && (!period.to || new Date(at) <= period.to);
+  const declared = active.filter(r => within(r.Date_Declaration));
+  const resolved = active.filter(r => within(r.Date_Correction));
+  const { byCode } = await loadMachines();
 
-    if (ok(req.query.q)) {
-      const like = `%${req.query.q.trim()}%`;
-      request.input('q1', sql.VarChar, like);
-      request.input('q2', sql.VarChar, like);
-      conditions.push('([Unico] LIKE @q1 OR [Emplacement] LIKE @q2)');
-    }
+  const oldest = open.reduce((min, r) => (r.Date_Declaration && (!min || r.Date_Declaration < min) ? r.Date_Declaration : min), null);
+  return {
+    open: open.length,
+    unacknowledged: open.filter(r => String(r.Statut || '').trim().toUpperCase() === STATUS.DECLARED).length,
+    planB: open.filter(r => planBOf(r.Plan_B)).length,
+    oldestOpenAt: oldest,
+    oldestOpenMinutes: oldest ? Math.round((now - new Date(oldest)) / 60000) : null,
+    machinesWithUrgents: new Set(open.map(r => normMachine(r.Machine)).filter(Boolean)).size,
+    machinesDown: [...byCode.values()].filter(m => m.status !== 'running').map(m => m.code),
+    period: { ...statsOf(declared), resolved: resolved.length, resolveMinutes: statsOf(resolved).resolveMinutes }
+  };
+}
 
-    const whereSql = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+app.get('/sites/summary', authorize('sites:read'), validate({
+  summary: 'Open urgents and the day\'s counts, per site',
+  query: S.object({
+    sites: S.array(S.text()),
+    from: S.dateTime({ description: 'Default: today 00:00 (server time)' }),
+    to: S.dateTime()
+  }),
+  responses: { 200: 'One entry per site, + totals over the sites that answered', 400: 'Unknown site' }
+}), async (req, res) => {
+  try {
+    const wanted = listOf(req.query.sites).map(id => id.toLowerCase());
+    const unknown = wanted.filter(id => !SITES.some(s => s.id === id));
+    if (unknown.length)
+      return res.status(400).json({ error: `Unknown site(s): ${unknown.join(', ')}`, unknown, allowed: SITES.map(s => s.id) });
 
-    const rows = await request.query(`
-      SELECT [Unico], [Projet], [Emplacement], [Qte_Pq], [Machine], [Type]
-      FROM [dbo].[M5_Wires]
-      ${whereSql}
-      ORDER BY [Unico] ASC;
-    `);
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const period = {
+      from: ok(req.query.from) ? toValidDate(req.query.from) : today,
+      ...(ok(req.query.to) ? { to: toValidDate(req.query.to) } : {})
+    };
 
-    const results = rows.recordset.map(r => ({
-      unico: r.Unico?.trim() || null,
-      projet: r.Projet?.trim?.() || r.Projet || null,
-      emplacement: r.Emplacement?.trim() || null,
-      qte_pq: r.Qte_Pq ?? null,
-      machine: r.Machine?.trim() || null,
-      type: r.Type?.trim() || null
+    const defs = wanted.length ? SITES.filter(s => wanted.includes(s.id)) : SITES;
+    const results = await Promise.all(defs.map(async (def) => {
+      const site = openSite(def.id);
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${SITE_SUMMARY_TIMEOUT_MS / 1000}s`)), SITE_SUMMARY_TIMEOUT_MS);
+      });
+      try {
+        const summary = await Promise.race([siteContext.run(site, () => siteSummary(period, now)), timeout]);
+        return { id: site.id, name: site.name, ...summary };
+      } catch (e) {
+        console.error(`❌ site summary ${site.id}:`, e.message);
+        return { id: site.id, name: site.name, error: e.message };
+      } finally {
+        clearTimeout(timer);
+      }
     }));
 
-    res.json({ count: results.length, results });
+    const answered = results.filter(r => !r.error);
+    const sum = (pick) => answered.reduce((n, r) => n + pick(r), 0);
+    res.json({
+      at: now,
+      period: { from: period.from, to: period.to || null },
+      totals: {
+        sites: results.length,
+        unreachable: results.length - answered.length,
+        open: sum(r => r.open),
+        unacknowledged: sum(r => r.unacknowledged),
+        planB: sum(r => r.planB),
+        declared: sum(r => r.period.declared),
+        resolved: sum(r => r.period.resolved)
+      },
+      results
+    });
   } catch (e) {
     console.error(e);
-    res.status(500).json({ error: 'Failed to fetch wires' });
+    res.status(500).json({ error: 'Failed to build the site summary' });
   }
 });
 
+/* ===================== API contract ===================== */
+/*
+ GET /openapi.json  the OpenAPI 3.1 document, built from the validate() specs of the routes above
+ GET /docs          browsable docs (Swagger UI, served from swagger-ui-dist: no internet needed)
+*/
+const API_INFO = {
+  title: 'urgentdata API',
+  version: '1.0.0',
+  description: 'Urgent wire requests between the production lines and cutting. ' +
+    'With several sites (GET /sites), prefix a path with /site/<id> or send X-Site: <id>; without either the default site answers. ' +
+    'Query and body fields are checked against the schemas below; anything else is a 400 listing each offending field. ' +
+    'Enumerations marked x-ignoreCase accept any case.'
+};
+let openApi = null;   // routes don't change once the server runs
+
+app.get('/openapi.json', validate({ summary: 'This document' }), (req, res) => {
+  openApi = openApi || openApiDocument(app, API_INFO);
+  res.json(openApi);
+});
+
+app.use('/docs/assets', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+app.get('/docs', validate({ summary: 'Browsable API docs', responses: { 200: 'HTML page' } }), (req, res) => {
+  res.type('html').send(docsPage({ title: API_INFO.title, specUrl: 'openapi.json', assets: 'docs/assets' }));
+});
+
 // health
-app.get('/', (_, res) => res.json({ ok: true }));
+app.get('/', validate({ summary: 'Health check' }), (_, res) => res.json({ ok: true }));
+
+// body parser failures (malformed JSON, oversized upload): same shape as validate() instead of the HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed')
+    return res.status(400).json({ error: 'Invalid request.', errors: [{ in: 'body', field: null, message: 'must be valid JSON' }] });
+  if (err.type === 'entity.too.large')
+    return res.status(413).json({ error: `Body too large (limit ${err.limit} bytes).` });
+  console.error('❌ unhandled error:', err);
+  if (res.headersSent) return next(err);
+  res.status(err.status || 500).json({ error: 'Internal error.' });
+});
 
 /* ===================== Start server ===================== */
 // app.listen(...)  ➜  server.listen(...)
 server.listen(PORT, HOST, () => {
   console.log(`✅ API + WS running → http://${HOST}:${PORT}`);
+  for (const { id } of SITES) openSite(id);
+  if (SITES.length > 1) console.log(`🏭 sites: ${SITES.map(s => s.id).join(', ')} (default: ${DEFAULT_SITE})`);
+  startEscalationScheduler();
+  startWebhookWorker();
+  startStreamHeartbeat();
+  startLoginLimiterCleanup();
+  startQueueWatcher();
 });
@@ -0,0 +1,171 @@
+// Brute-force protection for the credential checks (POST /auth/login, body credentials, password change)
+
+/*
+ Failures are counted per key: "mlle:588" (the matricule tried) and "ip:10.0.0.7" (the caller).
+ Each key kind has its rule { free, max }:
+  - the first `free` failures cost nothing; every later one makes the key wait
+    delayMs, 2 × delayMs, 4 × delayMs ... (≤ maxDelayMs) before its next attempt
+  - the `max`-th failure locks the key for lockMs, doubled for each earlier lockout (≤ maxLockMs);
+    the count starts over once the lock has run out
+  - a key is forgotten windowMs after its last failure or the end of its lock
+ An attempt is counted BEFORE the password is checked, so parallel guesses cannot slip
+ past the limit; when the check passes, succeed() clears the matricule and forgive()
+ takes the attempt back from the IP.
+
+ Records: { key, failures, firstAt, lastAt, waitUntil, lockedUntil, lockouts }
+ Backend: get(key) -> record | null
+          save(record, previous) -> false when the stored record is no longer `previous`
+                                    (another instance counted in between; the attempt is re-read)
+          remove(key) -> bool,  list() -> records,  prune(before) -> count
+*/
+const SAVE_TRIES = 5;
+
+const time = (d) => (d ? new Date(d).getTime() : 0);
+const later = (...dates) => Math.max(...dates.map(time));
+const kindOf = (key) => String(key).split(':')[0];
+
+// the stored record still is the one read before (compare-and-set)
+function sameRecord(a, b) {
+  if (!a || !b) return !a && !b;
+  return a.failures === b.failures && time(a.lastAt) === time(b.lastAt) && a.lockouts === b.lockouts;
+}
+
+// In-process backend (default): every instance counts on its own
+function memoryAttempts() {
+  const records = new Map();
+  return {
+    async get(key) {
+      const r = records.get(key);
+      return r ? { ...r } : null;
+    },
+    async save(record, previous) {
+      if (!sameRecord(records.get(record.key) || null, previous)) return false;
+      records.set(record.key, { ...record });
+      return true;
+    },
+    async remove(key) {
+      return records.delete(key);
+    },
+    async list() {
+      return [...records.values()].map(r => ({ ...r }));
+    },
+    async prune(before) {
+      let count = 0;
+      for (const [key, r] of records) {
+        if (later(r.lastAt, r.lockedUntil) < time(before)) {
+          records.delete(key);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+}
+
+function createLoginLimiter({ backend = memoryAttempts(), rules, delayMs, maxDelayMs, lockMs, maxLockMs, windowMs }) {
+  const ruleOf = (key) => {
+    const rule = rules[kindOf(key)];
+    if (!rule) throw new Error(`No login limit rule for "${key}"`);
+    return rule;
+  };
+  const forgotten = (r, now) => later(r.lastAt, r.lockedUntil) + windowMs < now.getTime();
+
+  // one more failure on top of `current` (null: a fresh key)
+  function failed(key, current, now) {
+    const rule = ruleOf(key);
+    const failures = (current?.failures || 0) + 1;
+    const lockouts = current?.lockouts || 0;
+    const next = {
+      key,
+      failures,
+      firstAt: current?.firstAt || now,
+      lastAt: now,
+      waitUntil: null,
+      lockedUntil: null,
+      lockouts
+    };
+
+    if (failures >= rule.max) {
+      next.failures = 0;
+      next.lockouts = lockouts + 1;
+      next.lockedUntil = new Date(now.getTime() + Math.min(lockMs * 2 ** lockouts, maxLockMs));
+    } else if (failures > rule.free) {
+      next.waitUntil = new Date(now.getTime() + Math.min(delayMs * 2 ** (failures - rule.free - 1), maxDelayMs));
+    }
+    return next;
+  }
+
+  // -> { record, locked } | { blocked: { key, until, locked } }
+  async function count(key, now) {
+    for (let i = 0; i < SAVE_TRIES; i++) {
+      const previous = await backend.get(key);
+      const current = previous && !forgotten(previous, now) ? previous : null;
+
+      if (current) {
+        const until = later(current.lockedUntil, current.waitUntil);
+        if (until > now.getTime()) {
+          return { blocked: { key, until: new Date(until), locked: time(current.lockedUntil) > now.getTime() } };
+        }
+      }
+
+      const record = failed(key, current, now);
+      if (await backend.save(record, previous)) return { record, locked: Boolean(record.lockedUntil) };
+    }
+    throw new Error(`Login limiter: "${key}" keeps changing under us`);
+  }
+
+  return {
+    /*
+     Counts one attempt against every key, in order; stops at the first key that has to wait.
+     -> { counted: [{ record, locked }] }   (locked: this attempt started a lockout)
+     -> { blocked: { key, until, locked }, counted }
+    */
+    async attempt(keys, now = new Date()) {
+      const counted = [];
+      for (const key of keys) {
+        const step = await count(key, now);
+        if (step.blocked) return { blocked: step.blocked, counted };
+        counted.push(step);
+      }
+      return { counted };
+    },
+
+    // the password was right: the matricule starts over
+    async succeed(key) {
+      await backend.remove(key);
+    },
+
+    // the password was right: the attempt counted against the caller's IP is taken back
+    async forgive(key) {
+      for (let i = 0; i < SAVE_TRIES; i++) {
+        const r = await backend.get(key);
+        if (!r || !r.failures) return;   // forgotten, or a lockout started (it stays)
+        const failures = r.failures - 1;
+        const waitUntil = failures > ruleOf(key).free ? r.waitUntil : null;
+        if (await backend.save({ ...r, failures, waitUntil }, r)) return;
+      }
+    },
+
+    // -> false when the key had nothing recorded
+    async unlock(key) {
+      return backend.remove(key);
+    },
+
+    // keys still remembered, + locked / waiting flags
+    async list(now = new Date()) {
+      return (await backend.list())
+        .filter(r => !forgotten(r, now))
+        .map(r => ({
+          ...r,
+          locked: time(r.lockedUntil) > now.getTime(),
+          waiting: time(r.waitUntil) > now.getTime()
+        }));
+    },
+
+    async prune(now = new Date()) {
+      return backend.prune(new Date(now.getTime() - windowMs));
+    }
+  };
+}
+
+module.exports = { createLoginLimiter, memoryAttempts };
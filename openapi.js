@@ -0,0 +1,166 @@
+// OpenAPI 3.1 document built from the routes registered on the app and their validate() specs
+const { string, array, enumOf, object, nullable } = require('./schema');
+
+const ERROR_SCHEMAS = {
+  Error: {
+    type: 'object',
+    properties: { error: string() },
+    required: ['error'],
+    description: 'Some routes add details next to `error` (unknown, allowed, conflicts, ...).'
+  },
+  ValidationError: object({
+    error: string({ example: 'Invalid request.' }),
+    errors: array(object({
+      in: enumOf(['params', 'query', 'body']),
+      field: nullable(string({ description: 'Path of the offending field, e.g. urgents[2].unico (null: the whole part)' })),
+      message: string({ example: 'is required' })
+    }, ['in', 'field', 'message']))
+  }, ['error', 'errors'])
+};
+
+const STATUS_TEXT = { 200: 'OK', 201: 'Created', 400: 'Invalid request', 401: 'Not authenticated', 403: 'Permission missing', 404: 'Not found', 409: 'Conflict' };
+
+const json = (schema) => ({ 'application/json': { schema } });
+
+// "/urgent/:id/history" -> "/urgent/{id}/history"
+const openApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// "patch", "/urgent/{id}/cancel" -> "patchUrgentByIdCancel"
+const cap = (w) => w.charAt(0).toUpperCase() + w.slice(1);
+const operationId = (method, path) => method + (path.split('/').filter(Boolean)
+  .map(seg => (/^\{.+\}$/.test(seg) ? `By${cap(seg.slice(1, -1))}` : seg.split(/[^A-Za-z0-9]+/).map(cap).join('')))
+  .join('') || 'Root');
+
+function parameters(where, schema, style) {
+  if (!schema) return [];
+  const required = schema.required || [];
+  return Object.entries(schema.properties || {}).map(([name, s]) => {
+    const { description, deprecated, ...rest } = s;
+    return {
+      name,
+      in: where,
+      required: where === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      ...(deprecated ? { deprecated } : {}),
+      ...(style && rest.type === 'array' ? { style: 'form', explode: false } : {}),
+      schema: rest
+    };
+  });
+}
+
+function responses(spec, guard) {
+  const out = {};
+  for (const [status, description] of Object.entries(spec.responses || { 200: STATUS_TEXT[200] })) {
+    out[status] = status >= 400
+      ? { description, content: json({ $ref: '#/components/schemas/Error' }) }
+      : { description };
+  }
+  out[400] = { description: STATUS_TEXT[400], content: json({ $ref: '#/components/schemas/ValidationError' }) };
+  if (guard) {
+    out[401] = out[401] || { description: STATUS_TEXT[401], content: json({ $ref: '#/components/schemas/Error' }) };
+    if (guard.permission) out[403] = out[403] || { description: STATUS_TEXT[403], content: json({ $ref: '#/components/schemas/Error' }) };
+  }
+  return out;
+}
+
+function operation(path, method, handlers) {
+  const spec = handlers.find(h => h.spec)?.spec || {};
+  // authorize() guards carry the permission they check (null: any logged-in user)
+  const guard = handlers.find(h => h.permission !== undefined);
+
+  const notes = [];
+  if (spec.description) notes.push(spec.description);
+  if (guard?.permission) notes.push(`Permission: \`${guard.permission}\` (callers without a token get the Anonymous role's grants).`);
+  else if (guard) notes.push('Any logged-in user.');
+
+  const op = {
+    operationId: operationId(method, path),
+    tags: [path.split('/')[1] || 'health'],
+    summary: spec.summary || `${method.toUpperCase()} ${path}`,
+    ...(notes.length ? { description: notes.join('\n\n') } : {}),
+    ...(spec.deprecated ? { deprecated: true } : {}),
+    parameters: [
+      ...parameters('path', spec.params),
+      ...parameters('query', spec.query, true),
+      ...Object.entries(spec.headers || {}).map(([name, s]) => {
+        const { description, ...schema } = s;
+        return { name, in: 'header', ...(description ? { description } : {}), schema };
+      })
+    ],
+    responses: responses(spec, guard)
+  };
+  if (!op.parameters.length) delete op.parameters;
+
+  const content = spec.content || (spec.body && { 'application/json': spec.body });
+  if (content) {
+    const required = Object.values(content).some(s => s.required?.length || s.type === 'string');
+    op.requestBody = {
+      required,
+      content: Object.fromEntries(Object.entries(content).map(([type, schema]) => [type, { schema }]))
+    };
+  }
+
+  if (guard) {
+    op.security = guard.permission ? [{ bearerAuth: [] }, {}] : [{ bearerAuth: [] }];
+    if (guard.permission) op['x-permission'] = guard.permission;
+  } else {
+    op.security = [];
+  }
+  return op;
+}
+
+/*
+ Walks app.router: every route registered with app.get/post/... becomes an
+ operation, documented from its validate() spec and authorize() guard.
+*/
+function openApiDocument(app, { title, version, description } = {}) {
+  const paths = {};
+  for (const layer of app.router.stack) {
+    const route = layer.route;
+    if (!route || typeof route.path !== 'string') continue;
+    const path = openApiPath(route.path);
+    for (const method of Object.keys(route.methods)) {
+      const handlers = route.stack.filter(l => !l.method || l.method === method).map(l => l.handle);
+      paths[path] = paths[path] || {};
+      paths[path][method] = operation(path, method, handlers);
+    }
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: title || 'API',
+      version: version || '1.0.0',
+      ...(description ? { description } : {})
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      schemas: ERROR_SCHEMAS,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Token from POST /auth/login' }
+      }
+    }
+  };
+}
+
+// Swagger UI page; `assets` = where swagger-ui-dist is served, `specUrl` = the document
+function docsPage({ title, specUrl, assets }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${title}</title>
+  <link rel="stylesheet" href="${assets}/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="${assets}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: ${JSON.stringify(specUrl)}, dom_id: '#docs', deepLinking: true, persistAuthorization: true });
+  </script>
+</body>
+</html>`;
+}
+
+module.exports = { openApiDocument, docsPage };
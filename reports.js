@@ -0,0 +1,114 @@
+// Printable HTML of the shift handover report (GET /reports/shift?format=html)
+
+const escapeHtml = (v) => String(v ?? '').replace(/[&<>"']/g, c =>
+  ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+const pad2 = (n) => String(n).padStart(2, '0');
+// server local time, like the report windows
+const time = (d) => (d ? `${pad2(new Date(d).getHours())}:${pad2(new Date(d).getMinutes())}` : '');
+const dayTime = (d) => (d ? `${pad2(new Date(d).getDate())}/${pad2(new Date(d).getMonth() + 1)} ${time(d)}` : '');
+const minutes = (n) => (n === null || n === undefined ? '' : n >= 60 ? `${Math.floor(n / 60)} h ${pad2(Math.round(n % 60))}` : `${Math.round(n)} min`);
+const who = (p) => (p ? escapeHtml(p['full name'] || p.fullName || p.matricule || '') : '');
+const machineOf = (u) => escapeHtml(u.machine) + (u.planB && u.mcPb ? ` → ${escapeHtml(u.mcPb)}` : '');
+
+// columns: [[header, (row) -> html]]
+function table(title, rows, columns, empty) {
+  const head = `<h2>${escapeHtml(title)} <small>(${rows.length})</small></h2>`;
+  if (!rows.length) return `${head}<p class="empty">${escapeHtml(empty)}</p>`;
+  return `${head}
+<table>
+  <thead><tr>${columns.map(([h]) => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+  <tbody>
+${rows.map(r => `    <tr>${columns.map(([, cell]) => `<td>${cell(r)}</td>`).join('')}</tr>`).join('\n')}
+  </tbody>
+</table>`;
+}
+
+function shiftReportPage(report) {
+  const s = report.summary;
+  const title = `Shift ${report.shift.name} handover, ${report.date} (${report.shift.start}–${report.shift.end})`;
+  const scope = report.machines ? `Machines: ${report.machines.join(', ')}`
+    : report.machineLike ? `Machines like ${report.machineLike}` : 'All machines';
+  const tiles = [
+    ['Carried over', s.carriedOver], ['Declared', s.declared], ['Resolved', s.resolved],
+    ['Cancelled', s.cancelled], ['Open at end', s.openAtEnd], ['On Plan B', s.planBMachines],
+    ['Median resolve', minutes(s.resolveMinutes.median) || '–']
+  ];
+  const outcome = (u) => `<span class="tag ${u.outcome}">${u.outcome}</span>`;
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font: 13px/1.4 system-ui, sans-serif; margin: 24px; color: #222; }
+    h1 { font-size: 20px; margin: 0 0 4px; }
+    h2 { font-size: 15px; margin: 22px 0 6px; border-bottom: 2px solid #333; }
+    h2 small { font-weight: normal; color: #666; }
+    .meta { color: #555; margin-bottom: 12px; }
+    .warn { color: #a60; font-weight: bold; }
+    .tiles { display: flex; flex-wrap: wrap; gap: 8px; }
+    .tile { border: 1px solid #bbb; border-radius: 4px; padding: 6px 12px; min-width: 90px; }
+    .tile b { display: block; font-size: 20px; }
+    table { border-collapse: collapse; width: 100%; }
+    th, td { border: 1px solid #ccc; padding: 3px 6px; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    .empty { color: #777; font-style: italic; }
+    .tag { padding: 0 4px; border-radius: 3px; font-size: 11px; }
+    .tag.open { background: #fdd; } .tag.resolved { background: #dfd; } .tag.cancelled { background: #eee; }
+    .sign { margin-top: 32px; display: flex; gap: 48px; }
+    .sign div { flex: 1; border-top: 1px solid #333; padding-top: 4px; }
+    @media print { body { margin: 0; } .noprint { display: none; } h2 { break-after: avoid; } tr { break-inside: avoid; } }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${escapeHtml(scope)} · generated ${escapeHtml(dayTime(report.generatedAt))}
+    ${report.inProgress ? '<span class="warn">· shift still running, figures stop at the generation time</span>' : ''}
+    <button class="noprint" onclick="window.print()">Print</button></div>
+
+  <div class="tiles">${tiles.map(([label, v]) => `<div class="tile"><b>${escapeHtml(v)}</b>${escapeHtml(label)}</div>`).join('')}</div>
+
+  ${table('Still open, handed over', report.openAtEnd, [
+    ['#', u => u.id], ['Unico', u => escapeHtml(u.unico)], ['Machine', machineOf], ['Type', u => escapeHtml(u.type)],
+    ['Status', u => escapeHtml(u.status)], ['Declared', u => escapeHtml(dayTime(u.declaredAt))],
+    ['Open for', u => minutes(u.openMinutes)], ['Declared by', u => who(u.declaredBy)]
+  ], 'Nothing left open.')}
+
+  ${table('Carried over from the previous shift', report.carriedOver, [
+    ['#', u => u.id], ['Unico', u => escapeHtml(u.unico)], ['Machine', machineOf],
+    ['Declared', u => escapeHtml(dayTime(u.declaredAt))], ['Open at start', u => minutes(u.openMinutesAtStart)], ['Outcome', outcome]
+  ], 'Nothing was carried over.')}
+
+  ${table('Declared during the shift', report.declared, [
+    ['#', u => u.id], ['Unico', u => escapeHtml(u.unico)], ['Machine', machineOf], ['Type', u => escapeHtml(u.type)],
+    ['At', u => escapeHtml(time(u.declaredAt))], ['Declared by', u => who(u.declaredBy)], ['Outcome', outcome]
+  ], 'No declarations.')}
+
+  ${table('Resolved during the shift', report.resolved, [
+    ['#', u => u.id], ['Unico', u => escapeHtml(u.unico)], ['Machine', machineOf],
+    ['Resolved', u => escapeHtml(time(u.correctedAt))], ['In', u => minutes(u.resolveMinutes)], ['By', u => who(u.correctedBy)]
+  ], 'Nothing resolved.')}
+
+  ${table('Who resolved what', report.resolvedBy, [
+    ['Operator', p => `${who(p)}${p.matricule ? ` <small>(${escapeHtml(p.matricule)})</small>` : ''}`],
+    ['Resolved', p => p.count], ['Unicos', p => escapeHtml(p.unicos.join(', '))]
+  ], 'Nothing resolved.')}
+
+  ${table('Machines on Plan B', report.planB, [
+    ['Machine', p => escapeHtml(p.machine)], ['Plan B machine', p => escapeHtml(p.mcPb)], ['Since', p => escapeHtml(dayTime(p.since))],
+    ['Urgents', p => p.count], ['Still open', p => p.open], ['Unicos', p => escapeHtml(p.unicos.join(', '))]
+  ], 'No machine on Plan B.')}
+
+  ${table('Top Unicos', report.topUnicos, [
+    ['Unico', u => escapeHtml(u.unico)], ['Declared', u => u.declared], ['Still open', u => u.open],
+    ['Machines', u => escapeHtml(u.machines.join(', '))]
+  ], 'No declarations.')}
+
+  <div class="sign"><div>Outgoing team leader</div><div>Incoming team leader</div></div>
+</body>
+</html>`;
+}
+
+module.exports = { shiftReportPage };
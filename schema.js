@@ -0,0 +1,191 @@
+// Request schemas: plain JSON Schema (the OpenAPI 3.1 dialect), checked by validate()
+// and published as the API contract at /openapi.json (see openapi.js)
+
+/* ===================== Builders ===================== */
+// Every builder takes extra keywords to merge in (description, example, maxLength, ...)
+const string = (extra) => ({ type: 'string', ...extra });
+// non-blank string
+const text = (extra) => ({ type: 'string', pattern: '\\S', ...extra });
+const integer = (extra) => ({ type: 'integer', ...extra });
+const boolean = (extra) => ({ type: 'boolean', ...extra });
+// anything Date can read: 2025-10-21, 2025-10-21T08:00:00, 2025-10-21T08:00:00Z
+const dateTime = (extra) => ({ type: 'string', format: 'date-time', ...extra });
+// in a query string: a comma list (?machines=MC1,MC2) or the repeated parameter
+const array = (items, extra) => ({ type: 'array', items, ...extra });
+// values are matched trimmed; ignoreCase: the route normalizes the case itself, so "coupe" and "COUPE" both pass
+const enumOf = (values, { ignoreCase = false, ...extra } = {}) => ({
+  type: 'string',
+  enum: [...values],
+  ...(ignoreCase ? { 'x-ignoreCase': true } : {}),
+  ...extra
+});
+// unknown properties are rejected
+const object = (properties, required = [], extra) => ({
+  type: 'object',
+  properties,
+  ...(required.length ? { required } : {}),
+  additionalProperties: false,
+  ...extra
+});
+const nullable = (schema) => ({ ...schema, type: [...[].concat(schema.type), 'null'] });
+
+/* ===================== Checking ===================== */
+const BOOLEAN_WORDS = ['true', 'false', '1', '0', 'on', 'off', 'yes', 'no'];
+const PATTERN_MESSAGES = {
+  '\\S': 'must not be blank',
+  '^https?://\\S+$': 'must be an http:// or https:// URL',
+  '^\\d{4}-\\d{2}-\\d{2}$': 'must be a day (YYYY-MM-DD)'
+};
+const article = (type) => (type === 'null' ? 'null' : /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`);
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;   // string | number | boolean | object | undefined
+}
+
+/*
+ Query strings and path parameters only carry text: `fromText` lets "12" pass as
+ an integer, "false" as a boolean and "a,b" as an array. Nothing is rewritten,
+ the routes keep reading req.query / req.params as before.
+ -> the value as it is checked, or undefined when it cannot be read as `type`
+*/
+function fromText(value, type) {
+  if (typeof value !== 'string') return type === 'array' && Array.isArray(value) ? value : undefined;
+  const v = value.trim();
+  if (type === 'integer') return /^[-+]?\d+$/.test(v) ? Number(v) : undefined;
+  if (type === 'number') return v !== '' && Number.isFinite(Number(v)) ? Number(v) : undefined;
+  if (type === 'boolean') return BOOLEAN_WORDS.includes(v.toLowerCase()) ? v : undefined;
+  if (type === 'array') return v.split(',').map(s => s.trim()).filter(Boolean);
+  return undefined;
+}
+
+function matchType(value, types, textual) {
+  const actual = typeOf(value);
+  for (const type of types) {
+    if (actual === type || (type === 'number' && actual === 'integer')) return { value };
+    if (textual) {
+      const read = fromText(value, type);
+      if (read !== undefined) return { value: read };
+    }
+  }
+  return null;
+}
+
+const join = (path, key) => (path ? `${path}.${key}` : key);
+
+/*
+ Checks `value` against `schema`, pushing { field, message } into `errors`.
+ Supported keywords: type, enum (+ x-ignoreCase), pattern, format: date-time,
+ minLength, maxLength, minimum, maximum, items, minItems, maxItems, properties,
+ required, additionalProperties, minProperties, anyOf (of `required` lists).
+*/
+function check(schema, value, path, errors, textual) {
+  const fail = (message, at = path) => errors.push({ field: at || null, message });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const hit = matchType(value, types, textual);
+    if (!hit) return fail(`must be ${types.map(article).join(' or ')}`);
+    value = hit.value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.enum) {
+      const norm = (s) => (schema['x-ignoreCase'] ? String(s).trim().toLowerCase() : String(s).trim());
+      if (!schema.enum.some(e => norm(e) === norm(value)))
+        return fail(`must be one of: ${schema.enum.join(', ')}`);
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength)
+      return fail(`must be at least ${schema.minLength} character(s)`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength)
+      return fail(`must be at most ${schema.maxLength} character(s)`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value))
+      return fail(PATTERN_MESSAGES[schema.pattern] || `must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && isNaN(new Date(value).getTime()))
+      return fail('must be a date (e.g. 2025-10-21 or 2025-10-21T08:00:00)');
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum)
+      return fail(`must be ${schema.minimum} or more`);
+    if (schema.maximum !== undefined && value > schema.maximum)
+      return fail(`must be ${schema.maximum} or less`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems)
+      return fail(`must have at least ${schema.minItems} item(s)`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems)
+      return fail(`must have at most ${schema.maxItems} item(s)`);
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, `${path}[${i}]`, errors, textual));
+  }
+
+  if (typeOf(value) === 'object') {
+    const props = schema.properties || {};
+    const present = (key) => value[key] !== undefined;
+
+    for (const key of schema.required || []) {
+      if (!present(key)) fail('is required', join(path, key));
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (v === undefined) continue;
+      if (props[key]) check(props[key], v, join(path, key), errors, textual);
+      else if (schema.additionalProperties === false) fail('is not allowed', join(path, key));
+    }
+    if (schema.minProperties && Object.keys(value).filter(present).length < schema.minProperties)
+      fail(`needs at least one of: ${Object.keys(props).join(', ')}`);
+    if (schema.anyOf && !schema.anyOf.some(alt => (alt.required || []).every(present)))
+      fail(`requires ${schema.anyOf.map(alt => (alt.required || []).join(' and ')).join(', or ')}`);
+  }
+}
+
+/* ===================== Middleware ===================== */
+/*
+ validate({ summary, description, params, query, body, content, headers, responses })
+  params / query / body: object() schemas   (a route without `query` accepts no query parameters)
+  content: { 'text/csv': schema, 'application/json': schema } instead of `body`
+           when the route takes more than one content type
+  headers: { name: schema }, documented only
+ -> 400 { error, errors: [{ in: 'params'|'query'|'body', field, message }] }
+ The spec is kept on the middleware (`.spec`) for the OpenAPI document.
+*/
+function bodySchemaOf(spec, req) {
+  if (spec.body) return spec.body;
+  if (!spec.content) return null;
+  const type = Object.keys(spec.content).find(t => req.is(t));
+  return type ? spec.content[type] : undefined;
+}
+
+function validate(spec = {}) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    const run = (where, schema, value, textual) => {
+      const found = [];
+      check(schema, value, '', found, textual);
+      errors.push(...found.map(e => ({ in: where, ...e })));
+    };
+
+    run('params', spec.params || object({}), { ...req.params }, true);
+    run('query', spec.query || object({}), { ...req.query }, true);
+
+    const bodySchema = bodySchemaOf(spec, req);
+    if (bodySchema === undefined) {
+      errors.push({ in: 'body', field: null, message: `must be sent as ${Object.keys(spec.content).join(' or ')}` });
+    } else if (bodySchema) {
+      // no body at all reads as {} so `required` names the missing fields
+      run('body', bodySchema, req.body === undefined ? {} : req.body, false);
+    }
+
+    if (errors.length) return res.status(400).json({ error: 'Invalid request.', errors });
+    next();
+  };
+  middleware.spec = spec;
+  return middleware;
+}
+
+module.exports = {
+  string, text, integer, boolean, dateTime, array, enumOf, object, nullable,
+  validate
+};
@@ -0,0 +1,64 @@
+// Local webhook receiver: checks the signature of each delivery and prints it
+//   WEBHOOK_SECRET=local-test-secret-1234 node scripts/webhook-receiver.js [port]
+//   then POST /webhooks { "url": "http://localhost:4000/hook", "secret": "local-test-secret-1234" }
+// FAIL_FIRST=3 answers 500 to the first 3 deliveries, to watch the retries
+const http = require('http');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 4000);
+const SECRET = process.env.WEBHOOK_SECRET || '';
+const TOLERANCE_S = 300;   // older timestamps are refused (replays)
+let failFirst = Number(process.env.FAIL_FIRST || 0);
+
+// -> null when fine, or why the request is refused
+function checkSignature(headers, body) {
+  if (!SECRET) return null;
+  const timestamp = Number(headers['x-urgent-timestamp']);
+  if (!Number.isInteger(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_S)
+    return 'timestamp missing or too old';
+
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex')}`;
+  const given = String(headers['x-urgent-signature'] || '');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected)))
+    return 'bad signature';
+  return null;
+}
+
+const seen = new Set();   // delivery ids: retries of a delivery already handled are acknowledged, not replayed
+
+http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', c => chunks.push(c));
+  req.on('end', () => {
+    const body = Buffer.concat(chunks).toString('utf8');
+    const delivery = req.headers['x-urgent-delivery'];
+    const event = req.headers['x-urgent-event'];
+
+    const refused = checkSignature(req.headers, body);
+    if (refused) {
+      console.log(`⛔ ${event} #${delivery}: ${refused}`);
+      res.writeHead(401).end(refused);
+      return;
+    }
+    if (failFirst > 0) {
+      failFirst--;
+      console.log(`💥 ${event} #${delivery}: answering 500 (${failFirst} more to fail)`);
+      res.writeHead(500).end('failing on purpose');
+      return;
+    }
+    if (seen.has(delivery)) {
+      console.log(`↩️  ${event} #${delivery}: already handled`);
+      res.writeHead(200).end('duplicate');
+      return;
+    }
+    seen.add(delivery);
+
+    let payload = body;
+    try { payload = JSON.parse(body); } catch { /* printed as received */ }
+    console.log(`📨 ${event} #${delivery}${SECRET ? ' (signature ok)' : ''}`);
+    console.log(JSON.stringify(payload, null, 2));
+    res.writeHead(204).end();
+  });
+}).listen(PORT, () => {
+  console.log(`👂 webhook receiver on http://localhost:${PORT}/ ${SECRET ? '(checking signatures)' : '(WEBHOOK_SECRET not set: signatures not checked)'}`);
+});
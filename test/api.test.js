@@ -0,0 +1,123 @@
+// Login, declaration and the urgent lifecycle, on the in-memory backend
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const { admin: ADMIN, opera: OPERA, cutter: CUTTER, otherCutter: OTHER_CUTTER } = USERS;
+
+const api = serve();
+const { call, login, declare } = api;
+
+test('login returns a token for the right password only', async () => {
+  const ok = await call('POST', '/auth/login', { body: OPERA });
+  assert.equal(ok.status, 200);
+  assert.equal(typeof ok.body.token, 'string');
+
+  const me = await call('GET', '/auth/me', { token: ok.body.token });
+  assert.equal(me.status, 200);
+  assert.equal(me.body.matricule, OPERA.matricule);
+
+  const bad = await call('POST', '/auth/login', { body: { matricule: OPERA.matricule, password: 'nope' } });
+  assert.equal(bad.status, 401);
+});
+
+test('writes need a token and the permission', async () => {
+  const anonymous = await call('POST', '/urgent', { body: { unico: 'LH-150211', machine: 'MC02' } });
+  assert.equal(anonymous.status, 401);
+
+  const cutter = await login(CUTTER);
+  const forbidden = await call('POST', '/urgent', { token: cutter, body: { unico: 'LH-150211', machine: 'MC02' } });
+  assert.equal(forbidden.status, 403);
+  assert.equal(forbidden.body.permission, 'urgent:declare');
+});
+
+test('declare stores the urgent under the registry code and rejects unknown Unicos', async () => {
+  const opera = await login(OPERA);
+
+  const urgent = await declare(opera, { unico: 'LH-150211', machine: ' mc02 ', timeRemaining: '45' });
+  assert.equal(urgent.status, 'NOK');
+  assert.equal(urgent.machine, 'MC02');
+  assert.equal(urgent.declaredBy.matricule, OPERA.matricule);
+  assert.ok(urgent.deadline);
+
+  const listed = await call('GET', '/urgent?status=open&unico=LH-150211', { token: opera });
+  assert.equal(listed.status, 200);
+  assert.ok(listed.body.results.some(u => u.id === urgent.id));
+
+  const unknown = await call('POST', '/urgent', { token: opera, body: { unico: 'NO-SUCH-WIRE', machine: 'MC02' } });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.missing, ['NO-SUCH-WIRE']);
+
+  const invalid = await call('POST', '/urgent', { token: opera, body: { machine: 'MC02' } });
+  assert.equal(invalid.status, 400);
+});
+
+test('acknowledge, start and resolve move an urgent to OK', async () => {
+  const opera = await login(OPERA);
+  const cutter = await login(CUTTER);
+  const other = await login(OTHER_CUTTER);
+  const { id } = await declare(opera, { unico: 'LH-148032', machine: 'MC27' });
+
+  const acked = await call('PATCH', `/urgent/${id}/acknowledge`, { token: cutter, body: {} });
+  assert.equal(acked.status, 200);
+  assert.equal(acked.body.status, 'ACK');
+  assert.equal(acked.body.acknowledged.by, CUTTER.matricule);
+
+  const again = await call('PATCH', `/urgent/${id}/acknowledge`, { token: cutter, body: {} });
+  assert.equal(again.status, 409);
+  assert.deepEqual(again.body.allowedFrom, ['NOK']);
+
+  const started = await call('PATCH', `/urgent/${id}/start`, { token: cutter, body: {} });
+  assert.equal(started.status, 200);
+  assert.equal(started.body.status, 'EN_COURS');
+  assert.equal(started.body.assigned.matricule, CUTTER.matricule);
+
+  // claimed by starting: another operator cannot resolve it
+  const taken = await call('PATCH', '/urgent/resolve', { token: other, body: { unico: 'LH-148032' } });
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.skipped[0].assignedTo, CUTTER.matricule);
+
+  const resolved = await call('PATCH', '/urgent/resolve', { token: cutter, body: { unico: 'LH-148032' } });
+  assert.equal(resolved.status, 200);
+  assert.equal(resolved.body.count, 1);
+  assert.equal(resolved.body.results[0].id, id);
+  assert.equal(resolved.body.results[0].status, 'OK');
+  assert.equal(resolved.body.results[0].correctedBy.matricule, CUTTER.matricule);
+
+  const nothing = await call('PATCH', '/urgent/resolve', { token: cutter, body: { unico: 'LH-148032' } });
+  assert.equal(nothing.status, 200);
+  assert.equal(nothing.body.count, 0);
+  assert.equal(nothing.body.skipped[0].reason, 'No open urgent found');
+
+  const history = await call('GET', `/urgent/${id}/history`, { token: opera });
+  assert.equal(history.status, 200);
+});
+
+test('cancel needs a reason, reopen starts the urgent over', async () => {
+  const opera = await login(OPERA);
+  const admin = await login(ADMIN);
+  const { id } = await declare(opera, { unico: 'TW-200119', machine: 'MC14' });
+
+  const noReason = await call('PATCH', `/urgent/${id}/cancel`, { token: opera, body: {} });
+  assert.equal(noReason.status, 400);
+
+  const cancelled = await call('PATCH', `/urgent/${id}/cancel`, { token: opera, body: { reason: 'Declared twice' } });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'ANNULE');
+  assert.equal(cancelled.body.cancelled.reason, 'Declared twice');
+
+  const closed = await call('PATCH', `/urgent/${id}/start`, { token: admin, body: {} });
+  assert.equal(closed.status, 409);
+
+  const reopened = await call('PATCH', `/urgent/${id}/reopen`, { token: opera, body: { reason: 'Still missing' } });
+  assert.equal(reopened.status, 200);
+  assert.equal(reopened.body.status, 'NOK');
+  assert.equal(reopened.body.cancelled, null);
+
+  const missing = await call('PATCH', '/urgent/999999/acknowledge', { token: admin, body: {} });
+  assert.equal(missing.status, 404);
+
+  const trail = await call('GET', `/audit?entity=urgent&entityId=${id}`, { token: admin });
+  assert.equal(trail.status, 200);
+  assert.deepEqual(trail.body.results.map(a => a.action).sort(), ['cancel', 'declare', 'reopen']);
+});
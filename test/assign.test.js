@@ -0,0 +1,94 @@
+// Assignment: claim, assign, reassign, release, the workload, and resolve respecting it
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+// id of the open urgent of a Unico in the demo data
+async function openId(token, unico) {
+  const { body } = await api.call('GET', `/urgent?unico=${unico}&status=open`, { token });
+  assert.equal(body.results.length, 1, `one open urgent for ${unico}`);
+  return body.results[0].id;
+}
+
+const patch = (token, id, action, body) => api.call('PATCH', `/urgent/${id}/${action}`, { token, body });
+
+test('a cutter claims an open urgent, others cannot take it, only the holder releases it', async () => {
+  const cutter = await api.login(USERS.cutter);
+  const other = await api.login(USERS.otherCutter);
+  const opera = await api.login(USERS.opera);
+  const id = await openId(cutter, 'LH-148031');
+
+  const claimed = await patch(cutter, id, 'claim');
+  assert.equal(claimed.status, 200, JSON.stringify(claimed.body));
+  assert.equal(claimed.body.assigned.matricule, '1935');
+  assert.equal(claimed.body.assigned.by, '1935');
+
+  assert.equal((await patch(cutter, id, 'claim')).status, 200);   // already theirs
+  const taken = await patch(other, id, 'claim');
+  assert.equal(taken.status, 409);
+  assert.equal(taken.body.assignedTo, '1935');
+  assert.equal((await patch(opera, id, 'claim')).status, 403);
+
+  assert.equal((await patch(other, id, 'release')).status, 403);
+  const released = await patch(cutter, id, 'release');
+  assert.equal(released.status, 200);
+  assert.equal(released.body.assigned, null);
+  assert.equal((await patch(cutter, id, 'release')).status, 409);
+});
+
+test('an admin assigns to Cutting users only, and reassigns rather than assigns over', async () => {
+  const admin = await api.login(USERS.admin);
+  const cutter = await api.login(USERS.cutter);
+  const other = await api.login(USERS.otherCutter);
+  const id = await openId(admin, 'LH-160400');
+
+  const notCutting = await patch(admin, id, 'assign', { matricule: '588' });
+  assert.equal(notCutting.status, 400);
+  assert.equal(notCutting.body.role, 'Opera');
+  assert.equal((await patch(cutter, id, 'assign', { matricule: '1935' })).status, 403);
+
+  assert.equal((await patch(admin, id, 'assign', { matricule: '1936' })).status, 200);
+  const over = await patch(admin, id, 'assign', { matricule: '1935' });
+  assert.equal(over.status, 409);
+  assert.match(over.body.error, /reassign/);
+
+  const moved = await patch(admin, id, 'reassign', { matricule: ' 1935 ' });
+  assert.equal(moved.status, 200);
+  assert.equal(moved.body.assigned.matricule, '1935');
+  assert.equal(moved.body.assigned.by, '1000');
+
+  const own = await api.call('GET', '/users/1935/workload', { token: cutter });
+  assert.equal(own.status, 200);
+  assert.deepEqual(own.body.results.map(u => u.id), [id]);
+  assert.equal(own.body.byStatus.NOK, 1);
+  assert.equal(own.body.user.assignedCount, 1);
+
+  assert.equal((await api.call('GET', '/users/1935/workload', { token: other })).status, 403);
+  assert.equal((await api.call('GET', '/users/1935/workload', { token: admin })).status, 200);
+  assert.equal((await api.call('GET', '/users/9999/workload', { token: admin })).status, 404);
+
+  // closed urgents keep their assignment and cannot be handed out
+  const { body: closed } = await api.call('GET', '/urgent?unico=LH-148032&status=OK', { token: admin });
+  assert.equal((await patch(admin, closed.results[0].id, 'assign', { matricule: '1935' })).status, 409);
+});
+
+test('resolve skips an urgent assigned to someone else, unless the caller may assign', async () => {
+  const cutter = await api.login(USERS.cutter);
+  const holder = await api.login(USERS.otherCutter);
+
+  // TW-200118 was started, and so claimed, by 1936 in the demo data
+  const refused = await api.call('PATCH', '/urgent/resolve', { token: cutter, body: { unico: 'TW-200118' } });
+  assert.equal(refused.status, 409, JSON.stringify(refused.body));
+
+  const resolved = await api.call('PATCH', '/urgent/resolve', { token: holder, body: { unico: 'TW-200118' } });
+  assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+  assert.equal(resolved.body.results[0].assigned.matricule, '1936');
+
+  // LH-160400 was reassigned to 1935 above
+  const admin = await api.login(USERS.admin);
+  const overruled = await api.call('PATCH', '/urgent/resolve', { token: admin, body: { unico: 'LH-160400' } });
+  assert.equal(overruled.status, 200, JSON.stringify(overruled.body));
+  assert.equal(overruled.body.results[0].correctedBy.matricule, '1000');
+});
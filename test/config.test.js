@@ -0,0 +1,29 @@
+// Start-up configuration: the SQL Server settings have no built-in default
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const path = require('node:path');
+
+function start(env) {
+  return spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, AUTH_SECRET: 'test-secret', PORT: '0', DB_HOST: '', DB_USER: '', DB_PASS: '', ...env },
+    encoding: 'utf8',
+    timeout: 15000
+  });
+}
+
+test('the mssql backend does not start without a server and credentials', () => {
+  const run = start({ DATA_BACKEND: 'mssql' });
+  assert.notEqual(run.status, 0);
+  assert.match(run.stderr, /DB_HOST, DB_USER, DB_PASS/);
+});
+
+test('a site on mssql names what it lacks', () => {
+  const run = start({
+    DATA_BACKEND: 'memory',
+    DB_HOST: 'sql.example',
+    SITES: JSON.stringify([{ id: 'm5' }, { id: 'tanger', backend: 'mssql', db: { user: 'api' } }])
+  });
+  assert.notEqual(run.status, 0);
+  assert.match(run.stderr, /SITES\[1\] "tanger": mssql needs DB_PASS/);
+});
@@ -0,0 +1,60 @@
+// Request validation (schema.js) and the OpenAPI document built from it
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+test('unknown fields, wrong types and bad dates are listed one by one', async () => {
+  const token = await api.login(USERS.opera);
+
+  const query = await api.call('GET', '/urgent?colour=red&from=yesterday', { token });
+  assert.equal(query.status, 400);
+  assert.equal(query.body.error, 'Invalid request.');
+  const fields = query.body.errors.map(e => `${e.in}:${e.field}`).sort();
+  assert.deepEqual(fields, ['query:colour', 'query:from']);
+  assert.match(query.body.errors.find(e => e.field === 'from').message, /must be a date/);
+
+  const body = await api.call('POST', '/urgent', {
+    token,
+    body: { urgents: [{ unico: 'LH-150211', machine: 'MC02' }, { unico: '  ', machine: 'MC02', timeRemaining: true }] }
+  });
+  assert.equal(body.status, 400);
+  const byField = Object.fromEntries(body.body.errors.map(e => [e.field, e.message]));
+  assert.equal(byField['urgents[1].unico'], 'must not be blank');
+  assert.ok(byField['urgents[1].timeRemaining']);
+
+  const admin = await api.login(USERS.admin);
+  const params = await api.call('PATCH', '/urgent/abc/acknowledge', { token: admin, body: {} });
+  assert.equal(params.status, 400);
+  assert.equal(params.body.errors[0].in, 'params');
+});
+
+test('the OpenAPI document describes the routes with their schemas and guards', async () => {
+  const { status, body } = await api.call('GET', '/openapi.json');
+  assert.equal(status, 200);
+  assert.match(body.openapi, /^3\.1/);
+  assert.ok(body.components.schemas.ValidationError);
+
+  const declare = body.paths['/urgent'].post;
+  assert.ok(declare.requestBody.content['application/json'].schema.properties.urgents);
+  assert.ok(declare.parameters.some(p => p.in === 'header' && p.name === 'Idempotency-Key'));
+  assert.ok(declare.responses[401] && declare.responses[403]);
+
+  const stats = body.paths['/urgent/stats'].get;
+  assert.equal(stats.parameters.find(p => p.name === 'from').required, true);
+
+  const cancel = body.paths['/urgent/{id}/cancel'].patch;
+  assert.ok(cancel.parameters.some(p => p.in === 'path' && p.name === 'id' && p.required));
+  assert.deepEqual(cancel.requestBody.content['application/json'].schema.required, ['reason']);
+});
+
+test('the docs page is served with its own assets', async () => {
+  const page = await api.fetch('/docs');
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+  assert.match(await page.text(), /openapi\.json/);
+
+  const asset = await api.fetch('/docs/assets/swagger-ui-bundle.js');
+  assert.equal(asset.status, 200);
+});
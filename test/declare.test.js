@@ -0,0 +1,69 @@
+// POST /urgent batches: atomicity, duplicate policy and Idempotency-Key replay
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+async function openCount(token, unico) {
+  const { body } = await api.call('GET', `/urgent?status=open&unico=${unico}`, { token });
+  return body.results.length;
+}
+
+test('a retry with the same Idempotency-Key replays the first answer', async () => {
+  const token = await api.login(USERS.opera);
+  const request = { token, headers: { 'Idempotency-Key': 'tablet-7-0001' }, body: { unico: 'LH-150211', machine: 'MC02' } };
+
+  const first = await api.call('POST', '/urgent', request);
+  assert.equal(first.status, 201, JSON.stringify(first.body));
+  assert.equal(first.headers.get('idempotent-replayed'), null);
+
+  const retry = await api.call('POST', '/urgent', request);
+  assert.equal(retry.status, 201);
+  assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  assert.deepEqual(retry.body, first.body);
+  assert.equal(await openCount(token, 'LH-150211'), 1);
+
+  const reused = await api.call('POST', '/urgent', { ...request, body: { unico: 'LH-148032', machine: 'MC27' } });
+  assert.equal(reused.status, 422);
+  assert.equal(await openCount(token, 'LH-148032'), 0);
+});
+
+test('an atomic batch is all or nothing, a non-atomic one skips what fails', async () => {
+  const token = await api.login(USERS.opera);
+  const urgents = [
+    { unico: 'TW-200119', machine: 'MC14', type: 'twist' },
+    { unico: 'NO-SUCH-WIRE', machine: 'MC14' }
+  ];
+
+  const atomic = await api.call('POST', '/urgent', { token, body: { urgents } });
+  assert.equal(atomic.status, 400);
+  assert.deepEqual(atomic.body.missing, ['NO-SUCH-WIRE']);
+  assert.equal(await openCount(token, 'TW-200119'), 0);
+
+  const lenient = await api.call('POST', '/urgent?atomic=false', { token, body: { urgents } });
+  assert.equal(lenient.status, 201, JSON.stringify(lenient.body));
+  assert.equal(lenient.body.count, 1);
+  assert.equal(lenient.body.results[0].unico, 'TW-200119');
+  assert.deepEqual(lenient.body.skipped, [{ index: 1, unico: 'NO-SUCH-WIRE', reason: 'Unico does not exist in wires' }]);
+});
+
+test('onDuplicate decides what happens to an urgent already open', async () => {
+  const token = await api.login(USERS.opera);
+  // LH-148031 on MC27 is open in the demo data
+  const urgent = { unico: 'LH-148031', machine: 'KOMAX27' };
+
+  const rejected = await api.call('POST', '/urgent', { token, body: urgent });
+  assert.equal(rejected.status, 409);
+  const { openId } = rejected.body.duplicates[0];
+
+  const merged = await api.call('POST', '/urgent?onDuplicate=merge', { token, body: urgent });
+  assert.equal(merged.status, 200);
+  assert.equal(merged.body.count, 0);
+  assert.equal(merged.body.merged[0].id, openId);
+
+  const allowed = await api.call('POST', '/urgent', { token, body: { ...urgent, onDuplicate: 'allow' } });
+  assert.equal(allowed.status, 201);
+  assert.notEqual(allowed.body.results[0].id, openId);
+  assert.equal(await openCount(token, 'LH-148031'), 2);
+});
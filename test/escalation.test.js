@@ -0,0 +1,47 @@
+// Deadlines and escalation, with the check running every 100 ms
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { serve, USERS } = require('./helpers');
+
+const api = serve({ ESCALATION_CHECK_MS: '100' });
+
+async function openUrgent(token, unico) {
+  const { body } = await api.call('GET', `/urgent?status=open&unico=${unico}`, { token });
+  return body.results[0];
+}
+
+test('an urgent past its deadline escalates once to the last level', async () => {
+  const token = await api.login(USERS.admin);
+  await sleep(500);
+
+  // seeded 95 min ago with 30 min to go
+  const urgent = await openUrgent(token, 'LH-160400');
+  assert.equal(urgent.escalation?.level, 'overdue');
+
+  const { body } = await api.call('GET', `/urgent/${urgent.id}/history`, { token });
+  assert.equal(body.results.filter(a => a.action === 'escalate').length, 1);
+});
+
+test('a reopened urgent gets its time remaining again from the reopening', async () => {
+  const token = await api.login(USERS.admin);
+
+  // seeded 180 min ago with 1h to go, resolved since
+  const { body: resolved } = await api.call('GET', '/urgent?status=OK&unico=LH-148032', { token });
+  const { id } = resolved.results[0];
+
+  const before = Date.now();
+  const reopened = await api.call('PATCH', `/urgent/${id}/reopen`, { token, body: { reason: 'Wrong wire cut' } });
+  assert.equal(reopened.status, 200, JSON.stringify(reopened.body));
+  const deadline = new Date(reopened.body.deadline).getTime();
+  assert.ok(deadline >= before + 60 * 60000 && deadline <= Date.now() + 60 * 60000, reopened.body.deadline);
+  assert.equal(reopened.body.escalation, null);
+
+  await sleep(500);
+  const urgent = await openUrgent(token, 'LH-148032');
+  assert.equal(urgent.id, id);
+  assert.equal(urgent.escalation, null);
+
+  const { body } = await api.call('GET', `/urgent/${id}/history`, { token });
+  assert.deepEqual(body.results.filter(a => a.action === 'escalate'), []);
+});
@@ -0,0 +1,65 @@
+// CSV and XLSX exports
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+// CSV text -> rows of cells (no quoted separators in these tests)
+const csvRows = (text, sep) => text.replace(/^﻿/, '').trim().split('\r\n').map(line => line.split(sep));
+
+test('the CSV export lists the filtered urgents with French headers by default', async () => {
+  const token = await api.login(USERS.opera);
+  const res = await api.fetch('/urgent/export?unico=LH-1&status=OK', { token });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/csv/);
+  assert.match(res.headers.get('content-disposition'), /attachment; filename="urgents-\d{8}-\d{4}\.csv"/);
+
+  const [headers, ...rows] = csvRows(await res.text(), ';');
+  assert.equal(headers[0], 'ID');
+  assert.equal(headers[2], 'Statut');
+  assert.deepEqual(rows.map(r => r[1]).sort(), ['LH-148032', 'LH-150211']);
+  assert.ok(rows.every(r => r[2] === 'OK'));
+});
+
+test('cells that Excel would run as formulas are neutralised', async () => {
+  const token = await api.login(USERS.opera);
+  const { id } = await api.declare(token, { unico: 'TW-200250', machine: 'TW03', type: 'twist' });
+  const cancelled = await api.call('PATCH', `/urgent/${id}/cancel`, { token, body: { reason: '-1+1' } });
+  assert.equal(cancelled.status, 200);
+
+  const res = await api.fetch('/urgent/export?unico=TW-200250&lang=en', { token });
+  const [headers, row] = csvRows(await res.text(), ',');
+  assert.equal(row[headers.indexOf('Cancel reason')], "'-1+1");
+});
+
+test('the XLSX export is a workbook with a header row and one row per urgent', async () => {
+  const token = await api.login(USERS.admin);
+  const res = await api.fetch('/urgent/export?format=xlsx&lang=en&status=open', { token });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(Buffer.from(await res.arrayBuffer()));
+  const sheet = workbook.getWorksheet('urgents');
+  assert.equal(sheet.getRow(1).getCell(1).value, 'ID');
+
+  const { body } = await api.call('GET', '/urgent?status=open&limit=100', { token });
+  assert.equal(sheet.rowCount - 1, body.results.length);
+  assert.ok(sheet.getRow(2).getCell(6).value instanceof Date);
+});
+
+test('users and wires export with their own permissions', async () => {
+  const admin = await api.login(USERS.admin);
+  const users = await api.fetch('/users/export?lang=en', { token: admin });
+  const [, ...userRows] = csvRows(await users.text(), ',');
+  assert.equal(userRows.length, 6);
+
+  const wires = await api.fetch('/wires/export?format=csv', { token: admin });
+  assert.equal(wires.status, 200);
+
+  const cutter = await api.login(USERS.cutter);
+  const forbidden = await api.fetch('/users/export', { token: cutter });
+  assert.equal(forbidden.status, 403);
+});
@@ -0,0 +1,136 @@
+// Runs index.js on the in-memory backend (seeded demo data) for the tests of one file
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const net = require('node:net');
+const path = require('node:path');
+const { setTimeout: sleep } = require('node:timers/promises');
+
+// demo users, see data/seed.js
+const USERS = {
+  admin: { matricule: '1000', password: 'admin' },
+  opera: { matricule: '588', password: 'opera' },
+  otherOpera: { matricule: '612', password: 'opera' },
+  cutter: { matricule: '1935', password: 'cutting' },
+  otherCutter: { matricule: '1936', password: 'cutting' },
+  alim: { matricule: '2040', password: 'alim' }
+};
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// resolves once the server logs that it listens
+function startServer(port, env) {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: {
+      ...process.env,
+      DATA_BACKEND: 'memory',
+      PORT: String(port),
+      HOST: '127.0.0.1',
+      AUTH_SECRET: 'test-secret',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  return new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${output}`)), 15000);
+    const read = (chunk) => {
+      output += chunk;
+      if (output.includes('API + WS running')) {
+        clearTimeout(timer);
+        resolve(child);
+      }
+    };
+    child.stdout.on('data', read);
+    child.stderr.on('data', read);
+    child.once('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code}):\n${output}`));
+    });
+  });
+}
+
+// polls check() until it returns something truthy (-> that value), fails after `timeout` ms
+async function waitFor(check, { timeout = 5000, every = 50, what = 'condition' } = {}) {
+  const end = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > end) throw new Error(`Timed out waiting for ${what}`);
+    await sleep(every);
+  }
+}
+
+/*
+ serve(env) -> api, started in before() and stopped in after() of the calling file
+   api.base                         http://127.0.0.1:<port>, once started
+   api.call(method, url, options)   -> { status, headers, body }  (JSON parsed, text otherwise)
+     options: token, body (sent as JSON), headers
+   api.fetch(url, options)          -> the fetch() Response (files), options: token, headers
+   api.login(user)                  -> token
+   api.declare(token, urgent)       -> the urgent declared (asserts 201)
+ env is added to the server's environment (SITES, WEBHOOK_*, LOGIN_*, ...).
+*/
+function serve(env = {}) {
+  let child = null;
+
+  const api = {
+    base: null,
+
+    async call(method, url, { token, body, headers = {} } = {}) {
+      const res = await fetch(`${api.base}${url}`, {
+        method,
+        headers: {
+          ...(token ? { authorization: `Bearer ${token}` } : {}),
+          ...(body !== undefined ? { 'content-type': 'application/json' } : {}),
+          ...headers
+        },
+        body: body !== undefined ? JSON.stringify(body) : undefined
+      });
+      const text = await res.text();
+      const json = (res.headers.get('content-type') || '').includes('json');
+      return { status: res.status, headers: res.headers, body: json && text ? JSON.parse(text) : text };
+    },
+
+    fetch(url, { token, headers = {} } = {}) {
+      return fetch(`${api.base}${url}`, {
+        headers: { ...(token ? { authorization: `Bearer ${token}` } : {}), ...headers }
+      });
+    },
+
+    async login(user) {
+      const { status, body } = await api.call('POST', '/auth/login', { body: user });
+      assert.equal(status, 200, JSON.stringify(body));
+      return body.token;
+    },
+
+    async declare(token, urgent) {
+      const { status, body } = await api.call('POST', '/urgent', { token, body: urgent });
+      assert.equal(status, 201, JSON.stringify(body));
+      return body.results[0];
+    }
+  };
+
+  before(async () => {
+    const port = await freePort();
+    api.base = `http://127.0.0.1:${port}`;
+    child = await startServer(port, env);
+  });
+
+  after(() => {
+    child?.kill();
+  });
+
+  return api;
+}
+
+module.exports = { serve, waitFor, USERS };
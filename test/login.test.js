@@ -0,0 +1,62 @@
+// Login limiter (limiter.js): growing waits, lockouts, POST /auth/unlock
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { serve, USERS } = require('./helpers');
+
+const api = serve({
+  LOGIN_FREE_FAILURES: '1',
+  LOGIN_MAX_FAILURES: '3',
+  LOGIN_DELAY_MS: '300',
+  LOGIN_LOCK_MINUTES: '1'
+});
+
+const attempt = (user, password = user.password) =>
+  api.call('POST', '/auth/login', { body: { matricule: user.matricule, password } });
+
+test('failures past the free ones make the matricule wait, then lock it until unlocked', async () => {
+  const user = USERS.otherOpera;
+  assert.equal((await attempt(user, 'wrong')).status, 401);
+  assert.equal((await attempt(user, 'wrong')).status, 401);
+
+  const waiting = await attempt(user);
+  assert.equal(waiting.status, 429);
+  assert.equal(waiting.headers.get('retry-after'), '1');
+  assert.match(waiting.body.error, /try again in 1 s/);
+
+  await sleep(350);
+  assert.equal((await attempt(user, 'wrong')).status, 401);
+  const locked = await attempt(user);
+  assert.equal(locked.status, 429);
+  assert.match(locked.body.error, /locked until/);
+  assert.ok(Number(locked.headers.get('retry-after')) > 50);
+
+  const admin = await api.login(USERS.admin);
+  const { body: lockouts } = await api.call('GET', '/auth/lockouts?locked=true', { token: admin });
+  assert.deepEqual(lockouts.results.map(r => [r.kind, r.value, r.lockouts]), [['matricule', '612', 1]]);
+  const { body: trail } = await api.call('GET', '/audit?entity=login', { token: admin });
+  assert.ok(trail.results.some(a => a.entityId === 'mlle:612' && a.action === 'lockout'));
+
+  const unlocked = await api.call('POST', '/auth/unlock', { token: admin, body: { matricule: ' 612 ' } });
+  assert.equal(unlocked.status, 200);
+  assert.deepEqual(unlocked.body.unlocked, ['mlle:612']);
+  assert.equal((await attempt(user)).status, 200);
+
+  const again = await api.call('POST', '/auth/unlock', { token: admin, body: { matricule: '612' } });
+  assert.equal(again.status, 404);
+});
+
+test('a successful login clears the failures of the matricule', async () => {
+  const user = USERS.otherCutter;
+  assert.equal((await attempt(user, 'wrong')).status, 401);
+  assert.equal((await attempt(user)).status, 200);
+
+  assert.equal((await attempt(user, 'wrong')).status, 401);
+  assert.equal((await attempt(user)).status, 200);
+});
+
+test('only logins:manage may list or lift lockouts', async () => {
+  const opera = await api.login(USERS.opera);
+  assert.equal((await api.call('GET', '/auth/lockouts', { token: opera })).status, 403);
+  assert.equal((await api.call('POST', '/auth/unlock', { token: opera, body: { matricule: '588' } })).status, 403);
+});
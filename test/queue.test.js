@@ -0,0 +1,58 @@
+// Work queue (GET /urgent/queue) over the open urgents of the demo data
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+const unicos = (body) => body.results.map(item => item.urgent.unico);
+const factor = (item, name) => item.factors.find(f => f.factor === name);
+
+test('overdue first, then the nearest deadline, each score explained', async () => {
+  const token = await api.login(USERS.cutter);
+  const { status, body } = await api.call('GET', '/urgent/queue', { token });
+  assert.equal(status, 200);
+
+  // LH-160400: 30 min given 95 min ago; LH-150210: 10 min left; LH-148031: 20 min left. TW-200118 is started.
+  assert.deepEqual(unicos(body), ['LH-160400', 'LH-150210', 'LH-148031']);
+  assert.deepEqual(body.results.map(item => item.rank), [1, 2, 3]);
+
+  const [first] = body.results;
+  assert.equal(factor(first, 'deadline').value, 1);
+  assert.match(factor(first, 'deadline').reason, /^overdue by \d+ min$/);
+  assert.equal(factor(first, 'lineStopped').points, 30);
+  assert.equal(factor(first, 'capability').value, 1);
+  assert.equal(first.score, Math.round(first.factors.reduce((n, f) => n + f.points, 0) * 10) / 10);
+});
+
+test('weights, started urgents and type filters can be chosen per request', async () => {
+  const token = await api.login(USERS.cutter);
+
+  const byAge = await api.call('GET', '/urgent/queue?weights=deadline=0,lineStopped=0,capability=0,twist=0&started=true', { token });
+  assert.equal(byAge.body.weights.deadline, 0);
+  assert.deepEqual(unicos(byAge.body), ['LH-160400', 'TW-200118', 'LH-150210', 'LH-148031']);
+
+  const twist = await api.call('GET', '/urgent/queue?type=twist&started=true', { token });
+  assert.deepEqual(unicos(twist.body), ['TW-200118']);
+  assert.equal(factor(twist.body.results[0], 'twist').points, 5);
+
+  const invalid = await api.call('GET', '/urgent/queue?weights=speed=3', { token });
+  assert.equal(invalid.status, 400);
+  assert.ok(invalid.body.allowed.includes('deadline'));
+});
+
+test('a Plan B takes the line-stopped points away and moves the urgent down', async () => {
+  const opera = await api.login(USERS.opera);
+  const cutter = await api.login(USERS.cutter);
+
+  const { body: before } = await api.call('GET', '/urgent/queue', { token: cutter });
+  const top = before.results[0];
+  const switched = await api.call('PATCH', `/urgent/${top.urgent.id}/planb`, { token: opera, body: { mcPb: 'MC02' } });
+  assert.equal(switched.status, 200, JSON.stringify(switched.body));
+
+  const { body: after } = await api.call('GET', '/urgent/queue', { token: cutter });
+  const moved = after.results.find(item => item.urgent.id === top.urgent.id);
+  assert.equal(factor(moved, 'lineStopped').points, 0);
+  assert.equal(factor(moved, 'lineStopped').reason, 'covered by Plan B on MC02');
+  assert.deepEqual(unicos(after), ['LH-150210', 'LH-148031', 'LH-160400']);
+});
@@ -0,0 +1,84 @@
+// Several sites (SITES) in one API: routing, tokens bound to their site, the summary
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve({
+  SITES: JSON.stringify([
+    { id: 'm5', name: 'M5 line 1', backend: 'memory' },
+    { id: 'tanger', name: 'Tanger', backend: 'memory' }
+  ])
+});
+
+async function loginOn(site, user) {
+  const { status, body } = await api.call('POST', `/site/${site}/auth/login`, { body: user });
+  assert.equal(status, 200, JSON.stringify(body));
+  return body.token;
+}
+
+test('a request picks its site by prefix or X-Site, the first site by default', async () => {
+  const token = await api.login(USERS.opera);
+
+  const plain = await api.call('GET', '/sites', { token });
+  assert.equal(plain.status, 200);
+  assert.equal(plain.body.current, 'm5');
+  assert.deepEqual(plain.body.results.map(s => [s.id, s.default, s.prefix]), [['m5', true, '/site/m5'], ['tanger', false, '/site/tanger']]);
+
+  const tanger = await loginOn('tanger', USERS.opera);
+  const prefixed = await api.call('GET', '/site/tanger/sites', { token: tanger });
+  assert.equal(prefixed.body.current, 'tanger');
+  assert.equal(prefixed.headers.get('x-site'), 'tanger');
+
+  const header = await api.call('GET', '/sites', { token: tanger, headers: { 'X-Site': 'Tanger' } });
+  assert.equal(header.body.current, 'tanger');
+
+  const unknown = await api.call('GET', '/site/nowhere/sites', { token });
+  assert.equal(unknown.status, 404);
+  assert.deepEqual(unknown.body.allowed, ['m5', 'tanger']);
+});
+
+test('a token only works on the site that issued it, and the data stays on its site', async () => {
+  const m5 = await api.login(USERS.opera);
+
+  const elsewhere = await api.call('GET', '/site/tanger/urgent', { token: m5 });
+  assert.equal(elsewhere.status, 401);
+  assert.match(elsewhere.body.error, /site "m5"/);
+
+  await api.declare(m5, { unico: 'TW-200250', machine: 'TW03', type: 'twist' });
+  const here = await api.call('GET', '/urgent?unico=TW-200250', { token: m5 });
+  assert.equal(here.body.results.length, 1);
+
+  const tanger = await loginOn('tanger', USERS.opera);
+  const there = await api.call('GET', '/site/tanger/urgent?unico=TW-200250', { token: tanger });
+  assert.equal(there.body.results.length, 0);
+});
+
+test('the summary counts Plan B as stored, and the urgents resolved in the period', async () => {
+  const admin = await api.login(USERS.admin);
+  const opera = await api.login(USERS.opera);
+  const cutter = await api.login(USERS.cutter);
+  const from = new Date(Date.now() - 60 * 60000).toISOString();
+
+  // the demo data stores Plan_B as the SQL Server column does: '0' on every urgent
+  const before = await api.call('GET', `/sites/summary?from=${from}`, { token: admin });
+  assert.equal(before.status, 200, JSON.stringify(before.body));
+  assert.deepEqual(before.body.results.map(s => s.planB), [0, 0]);
+
+  const { body: urgents } = await api.call('GET', '/urgent?unico=LH-148031&status=open', { token: opera });
+  const switched = await api.call('PATCH', `/urgent/${urgents.results[0].id}/planb`, { token: opera, body: { mcPb: 'MC1' } });
+  assert.equal(switched.status, 200, JSON.stringify(switched.body));
+
+  // declared 95 minutes ago, before the period, resolved in it
+  const resolved = await api.call('PATCH', '/urgent/resolve', { token: cutter, body: { unico: 'LH-160400' } });
+  assert.equal(resolved.status, 200, JSON.stringify(resolved.body));
+
+  const { body } = await api.call('GET', `/sites/summary?from=${from}`, { token: admin });
+  const [m5, tanger] = body.results;
+  assert.equal(m5.planB, 1);
+  assert.equal(tanger.planB, 0);
+  assert.equal(m5.period.resolved, 1);
+  assert.equal(tanger.period.resolved, 0);
+  assert.equal(body.totals.planB, 1);
+  assert.equal(body.totals.resolved, 1);
+  assert.equal(body.totals.declared, m5.period.declared + tanger.period.declared);
+});
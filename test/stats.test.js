@@ -0,0 +1,53 @@
+// GET /urgent/stats over the seeded urgents (data/seed.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+const minutesAgo = (m) => new Date(Date.now() - m * 60000).toISOString();
+
+test('stats need a bounded period', async () => {
+  const token = await api.login(USERS.opera);
+
+  const unbounded = await api.call('GET', '/urgent/stats', { token });
+  assert.equal(unbounded.status, 400);
+  assert.equal(unbounded.body.errors[0].field, 'from');
+
+  const tooLong = await api.call('GET', `/urgent/stats?from=${minutesAgo(200 * 24 * 60)}`, { token });
+  assert.equal(tooLong.status, 400);
+  assert.equal(tooLong.body.errors[0].field, 'to');
+});
+
+test('the summary counts and times the urgents declared in the period', async () => {
+  const token = await api.login(USERS.opera);
+  const { status, body } = await api.call('GET', `/urgent/stats?from=${minutesAgo(2 * 24 * 60)}`, { token });
+  assert.equal(status, 200, JSON.stringify(body));
+
+  const { resolveMinutes, ...counts } = body.summary;
+  assert.deepEqual(counts, { declared: 8, resolved: 3, open: 4, cancelled: 1 });
+  // resolved after 40, 90 and 40 minutes
+  assert.equal(Math.round(resolveMinutes.median), 40);
+  assert.equal(Math.round(resolveMinutes.mean), 57);
+  assert.equal(Math.round(resolveMinutes.p90), 80);
+  assert.deepEqual(body.groups, []);
+
+  const lastDay = await api.call('GET', `/urgent/stats?from=${minutesAgo(1000)}`, { token });
+  assert.equal(lastDay.body.summary.declared, 6);
+});
+
+test('groupBy splits the counts', async () => {
+  const token = await api.login(USERS.opera);
+  const { status, body } = await api.call('GET', `/urgent/stats?from=${minutesAgo(2 * 24 * 60)}&groupBy=machine,type`, { token });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.deepEqual(body.groupBy, ['machine', 'type']);
+
+  const mc27 = body.groups.find(g => g.key.machine === 'MC27');
+  assert.deepEqual(mc27.key, { machine: 'MC27', type: 'coupe' });
+  assert.equal(mc27.declared, 2);
+  assert.equal(mc27.resolved, 1);
+  assert.equal(body.groups.reduce((n, g) => n + g.declared, 0), 8);
+
+  const badGroup = await api.call('GET', `/urgent/stats?from=${minutesAgo(60)}&groupBy=colour`, { token });
+  assert.equal(badGroup.status, 400);
+});
@@ -0,0 +1,97 @@
+// Server-Sent Events (GET /urgent/stream): filters, resume with Last-Event-ID, and the andon page
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, waitFor, USERS } = require('./helpers');
+
+const api = serve({ SSE_HEARTBEAT_MS: '100' });
+
+// opens the stream -> { messages: [{ id, event, data }], comments, close() }, once `hello` is in
+async function openStream(url, headers = {}) {
+  const abort = new AbortController();
+  const res = await fetch(`${api.base}${url}`, { headers, signal: abort.signal });
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+  const stream = { messages: [], comments: 0, close: () => abort.abort() };
+  (async () => {
+    let buffer = '';
+    const decoder = new TextDecoder();
+    try {
+      for await (const chunk of res.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let end;
+        while ((end = buffer.indexOf('\n\n')) >= 0) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (block.startsWith(':')) stream.comments++;
+          const field = (name) => block.split('\n').find(l => l.startsWith(`${name}: `))?.slice(name.length + 2);
+          if (field('event')) stream.messages.push({ id: field('id'), event: field('event'), data: JSON.parse(field('data')) });
+        }
+      }
+    } catch { /* aborted by close() */ }
+  })();
+
+  await waitFor(() => stream.messages.some(m => m.event === 'hello'), { what: 'event hello' });
+  return stream;
+}
+
+const added = (stream) => stream.messages.filter(m => m.event === 'urgent:added');
+
+test('the stream sends the events of its machines, with ?token= for EventSource', async () => {
+  const token = await api.login(USERS.opera);
+  const denied = await api.call('GET', '/urgent/stream?token=not-a-token');
+  assert.equal(denied.status, 401);
+
+  const stream = await openStream(`/urgent/stream?machines=MC02&token=${token}`);
+  try {
+    const hello = stream.messages[0];
+    assert.equal(hello.event, 'hello');
+    assert.equal(hello.id, `${hello.data.epoch}:${hello.data.seq}`);
+
+    await api.declare(token, { unico: 'TW-200250', machine: 'TW03', type: 'twist' });
+    const urgent = await api.declare(token, { unico: 'LH-150211', machine: 'MC02' });
+
+    const [message] = await waitFor(() => added(stream).length && added(stream), { what: 'urgent:added' });
+    assert.equal(message.data.id, urgent.id);
+    const [epoch, seq] = message.id.split(':');
+    assert.equal(epoch, hello.data.epoch);
+    assert.ok(Number(seq) > hello.data.seq);
+    await waitFor(() => stream.comments > 0, { what: 'a heartbeat' });
+    assert.equal(added(stream).length, 1);
+  } finally {
+    stream.close();
+  }
+});
+
+test('reconnecting with Last-Event-ID replays what was missed, or asks for a resync', async () => {
+  const token = await api.login(USERS.opera);
+  const first = await openStream('/urgent/stream?machines=MC27', { authorization: `Bearer ${token}` });
+  const lastId = first.messages[0].id;
+  first.close();
+
+  const missed = await api.declare(token, { unico: 'LH-148032', machine: 'MC27' });
+
+  const resumed = await openStream('/urgent/stream?machines=MC27', { authorization: `Bearer ${token}`, 'Last-Event-ID': lastId });
+  resumed.close();
+  assert.deepEqual(resumed.messages.map(m => m.event), ['urgent:added', 'hello']);
+  assert.equal(resumed.messages[0].data.id, missed.id);
+
+  const restarted = await openStream(`/urgent/stream?lastEventId=0:0&token=${token}`);
+  restarted.close();
+  assert.equal(restarted.messages[0].event, 'resync');
+  assert.match(restarted.messages[0].data.reason, /restarted/);
+});
+
+test('the andon page is served with its filters and the events it listens to', async () => {
+  const page = await api.fetch('/andon?machines=mc27,MC14&warn=10&alert=5&title=Line%201');
+  assert.equal(page.status, 200);
+  assert.match(page.headers.get('content-type'), /text\/html/);
+
+  const html = await page.text();
+  assert.match(html, /<title>Line 1<\/title>/);
+  assert.match(html, /new EventSource\('urgent\/stream\?/);
+  const cfg = JSON.parse(/var cfg = (.*);/.exec(html)[1]);
+  assert.deepEqual(cfg.machines, ['MC27', 'MC14']);
+  assert.equal(cfg.alert, 10);   // never before amber
+  assert.ok(cfg.events.includes('urgent:resolved'));
+});
@@ -0,0 +1,49 @@
+// Users API: role filter, create / delete
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+test('the role filter ignores case and padding', async () => {
+  const admin = await api.login(USERS.admin);
+
+  for (const role of ['Cutting', 'cutting', 'CUTTING', '%20cutting%20']) {
+    const { status, body } = await api.call('GET', `/users?role=${role}`, { token: admin });
+    assert.equal(status, 200, role);
+    assert.deepEqual(body.results.map(u => u.matricule).sort(), ['1935', '1936'], role);
+    assert.ok(body.results.every(u => u.role === 'Cutting'));
+  }
+
+  const unknown = await api.call('GET', '/users?role=Boss', { token: admin });
+  assert.equal(unknown.status, 400);
+});
+
+test('reading users needs users:read', async () => {
+  const cutter = await api.login(USERS.cutter);
+  const { status, body } = await api.call('GET', '/users', { token: cutter });
+  assert.equal(status, 403);
+  assert.equal(body.permission, 'users:read');
+});
+
+test('delete trims the matricule for the removal and the audit entry', async () => {
+  const admin = await api.login(USERS.admin);
+  const created = await api.call('POST', '/users', {
+    token: admin,
+    body: { matricule: '7001', firstName: 'Sara', lastName: 'Test', role: 'Opera', password: 'secret-7001' }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.matricule, '7001');
+
+  const removed = await api.call('DELETE', '/users?matricule=%207001%20', { token: admin });
+  assert.equal(removed.status, 200, JSON.stringify(removed.body));
+
+  const left = await api.call('GET', '/users?q=7001', { token: admin });
+  assert.equal(left.body.count, 0);
+
+  const trail = await api.call('GET', '/audit?entity=user&entityId=7001', { token: admin });
+  assert.deepEqual(trail.body.results.map(a => a.action).sort(), ['create', 'delete']);
+
+  const again = await api.call('DELETE', '/users', { token: admin, body: { matricule: '7001' } });
+  assert.equal(again.status, 404);
+});
@@ -0,0 +1,115 @@
+// Outbound webhooks: filters, signatures, retries and dead letters, against a local receiver
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const http = require('node:http');
+const { serve, waitFor, USERS } = require('./helpers');
+
+const api = serve({
+  WEBHOOK_POLL_MS: '100',
+  WEBHOOK_BACKOFF_MS: '50',
+  WEBHOOK_BACKOFF_MAX_MS: '100',
+  WEBHOOK_MAX_ATTEMPTS: '3'
+});
+
+// what the receiver got, and the status each path answers with
+const received = [];
+const answers = { '/ok': 200, '/fail': 500 };
+let receiver;
+let receiverUrl;
+
+before(async () => {
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      received.push({ path: req.url, headers: req.headers, body });
+      res.writeHead(answers[req.url] ?? 404).end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}`;
+});
+
+after(() => receiver.close());
+
+const SECRET = 'test-secret-0123456789';
+
+async function delivery(token, id) {
+  return (await api.call('GET', `/webhook-deliveries/${id}`, { token })).body;
+}
+
+test('matching events are delivered signed, once, to the subscribed URL', async () => {
+  const admin = await api.login(USERS.admin);
+  const opera = await api.login(USERS.opera);
+
+  const created = await api.call('POST', '/webhooks', {
+    token: admin,
+    body: { url: `${receiverUrl}/ok`, events: ['urgent:added'], machines: ['MC2'], secret: SECRET }
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.deepEqual(created.body.machines, ['MC02']);
+  assert.equal(created.body.secret, SECRET);
+
+  const listed = await api.call('GET', '/webhooks', { token: admin });
+  assert.equal(listed.body.results[0].secret, undefined);
+  assert.equal(listed.body.results[0].secretHint, '…6789');
+
+  await api.declare(opera, { unico: 'TW-200250', machine: 'TW03', type: 'twist' });   // another machine
+  const urgent = await api.declare(opera, { unico: 'LH-150211', machine: 'MC02' });
+
+  const hit = await waitFor(() => received.find(r => r.path === '/ok'), { what: 'the delivery' });
+  const payload = JSON.parse(hit.body);
+  assert.equal(payload.event, 'urgent:added');
+  assert.equal(payload.data.id, urgent.id);
+  assert.equal(hit.headers['x-urgent-event'], 'urgent:added');
+
+  const timestamp = hit.headers['x-urgent-timestamp'];
+  const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(`${timestamp}.${hit.body}`).digest('hex')}`;
+  assert.equal(hit.headers['x-urgent-signature'], expected);
+
+  const sent = await waitFor(async () => {
+    const d = await delivery(admin, Number(hit.headers['x-urgent-delivery']));
+    return d.state === 'delivered' && d;
+  }, { what: 'state delivered' });
+  assert.equal(sent.attempts, 1);
+  assert.equal(sent.lastStatus, 200);
+  assert.equal(received.filter(r => r.path === '/ok').length, 1);
+});
+
+test('failed deliveries are retried with the same id, then dead until retried by hand', async () => {
+  const admin = await api.login(USERS.admin);
+
+  const { body: hook } = await api.call('POST', '/webhooks', { token: admin, body: { url: `${receiverUrl}/fail` } });
+  const queued = await api.call('POST', `/webhooks/${hook.id}/test`, { token: admin });
+  assert.equal(queued.status, 202);
+  const { id } = queued.body;
+
+  const dead = await waitFor(async () => {
+    const d = await delivery(admin, id);
+    return d.state === 'dead' && d;
+  }, { what: 'state dead' });
+  assert.equal(dead.attempts, 3);
+  assert.equal(dead.lastStatus, 500);
+
+  const attempts = received.filter(r => r.path === '/fail');
+  assert.equal(attempts.length, 3);
+  assert.ok(attempts.every(r => r.headers['x-urgent-delivery'] === String(id)));
+
+  const letters = await api.call('GET', '/webhook-deliveries/dead-letters', { token: admin });
+  assert.deepEqual(letters.body.results.map(d => d.id), [id]);
+
+  const retried = await api.call('POST', `/webhook-deliveries/${id}/retry`, { token: admin });
+  assert.equal(retried.status, 202);
+  assert.equal(retried.body.state, 'pending');
+
+  answers['/fail'] = 204;
+  const delivered = await waitFor(async () => {
+    const d = await delivery(admin, id);
+    return d.state === 'delivered' && d;
+  }, { what: 'state delivered' });
+  assert.equal(delivered.lastStatus, 204);
+
+  const again = await api.call('POST', `/webhook-deliveries/${id}/retry`, { token: admin });
+  assert.equal(again.status, 409);
+});
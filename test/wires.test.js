@@ -0,0 +1,88 @@
+// Wire catalog import (POST /wires/import) over the seeded catalog (data/seed.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { serve, USERS } = require('./helpers');
+
+const api = serve();
+
+const SEEDED = [
+  ['LH-148031', 'K9', 'A-01-03', '200', 'MC27', 'COUPE'],
+  ['LH-148032', 'K9', 'A-01-04', '200', 'MC27', 'COUPE'],
+  ['LH-150210', 'K9', 'A-02-01', '100', 'MC01', 'COUPE'],
+  ['LH-150211', 'B12', 'A-02-02', '100', 'MC02', 'COUPE'],
+  ['LH-160400', 'B12', 'B-01-01', '50', 'MC14', 'COUPE'],
+  ['TW-200118', 'B12', 'C-03-02', '50', 'TW03', 'TWIST'],
+  ['TW-200119', 'X5', 'C-03-03', '50', 'MC14', 'TWIST'],
+  ['TW-200250', 'X5', 'C-04-01', '25', 'TW04', 'TWIST']
+];
+
+const csvOf = (rows) => ['Unico;Projet;Emplacement;Qte_Pq;Machine;Type', ...rows.map(r => r.join(';'))].join('\r\n');
+const withMachine = (unico, machine) => SEEDED.map(r => (r[0] === unico ? [...r.slice(0, 4), machine, r[5]] : r));
+
+test('a dry run diffs the file against the catalog, machines resolved like declarations', async () => {
+  const token = await api.login(USERS.admin);
+  const rows = [
+    ...withMachine('LH-148032', ' komax27 ').map(r => (r[0] === 'LH-150211' ? [...r.slice(0, 4), ' mc01 ', r[5]] : r)),
+    ['LH-170001', 'K9', 'A-09-09', '10', 'mc14 ', 'COUPE']
+  ];
+
+  const { status, body } = await api.call('POST', '/wires/import', { token, body: { csv: csvOf(rows) } });
+  assert.equal(status, 200, JSON.stringify(body));
+  assert.equal(body.mode, 'dry-run');
+  assert.deepEqual(body.summary, { rows: 9, added: 1, changed: 1, removed: 0, unchanged: 7, blocked: 0, invalid: 0 });
+  assert.equal(body.added[0].machine, 'MC14');
+  assert.deepEqual(body.changed[0], { unico: 'LH-150211', line: 5, changes: { machine: { from: 'MC02', to: 'MC01' } } });
+
+  // nothing written
+  const wire = await api.call('GET', '/wires/LH-170001', { token });
+  assert.equal(wire.status, 404);
+});
+
+test('invalid rows block the apply', async () => {
+  const token = await api.login(USERS.admin);
+  const rows = [...SEEDED, ['LH-170002', 'K9', 'A-09-09', 'ten', 'MC14', 'COUPE']];
+
+  const { status, body } = await api.call('POST', '/wires/import?mode=apply', { token, body: { csv: csvOf(rows) } });
+  assert.equal(status, 422);
+  assert.deepEqual(body.invalid, [{ line: 10, unico: 'LH-170002', errors: ['Qte_Pq must be a whole number'] }]);
+});
+
+test('apply removes the wires left out, except the ones open urgents still use', async () => {
+  const token = await api.login(USERS.admin);
+  const opera = await api.login(USERS.opera);
+  // left out: LH-148031 (open urgent in the demo data), LH-148032 and LH-150211 (none)
+  const rows = [...SEEDED.filter(r => !['LH-148031', 'LH-148032', 'LH-150211'].includes(r[0])), ['LH-170001', 'K9', 'A-09-09', '10', 'mc14 ', 'COUPE']];
+
+  const dryRun = await api.call('POST', '/wires/import', { token, body: { csv: csvOf(rows) } });
+  assert.deepEqual(dryRun.body.removed.map(w => w.unico).sort(), ['LH-148032', 'LH-150211']);
+
+  // declared after the dry run: the apply must keep the wire
+  await api.declare(opera, { unico: 'LH-150211', machine: 'MC02' });
+
+  const applied = await api.call('POST', '/wires/import?mode=apply&filename=wires-P2.csv', { token, body: { csv: csvOf(rows) } });
+  assert.equal(applied.status, 200, JSON.stringify(applied.body));
+  assert.ok(applied.body.importId);
+  assert.deepEqual(applied.body.removed.map(w => w.unico), ['LH-148032']);
+  assert.deepEqual(applied.body.blocked.map(w => w.unico).sort(), ['LH-148031', 'LH-150211']);
+  assert.equal(applied.body.summary.added, 1);
+
+  assert.equal((await api.call('GET', '/wires/LH-148032', { token })).status, 404);
+  assert.equal((await api.call('GET', '/wires/LH-150211', { token })).status, 200);
+  assert.equal((await api.call('GET', '/wires/LH-170001', { token })).body.machine, 'MC14');
+
+  const imports = await api.call('GET', '/wires/imports', { token });
+  assert.equal(imports.status, 200);
+  assert.equal(imports.body.results[0].id, applied.body.importId);
+});
+
+test('a wire created or updated by hand gets the registry code of its machine', async () => {
+  const token = await api.login(USERS.admin);
+
+  const created = await api.call('POST', '/wires/LH-180001', { token, body: { type: 'coupe', machine: ' mc2 ' } });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  assert.equal(created.body.machine, 'MC02');
+
+  const updated = await api.call('PUT', '/wires/LH-180001', { token, body: { machine: 'KOMAX27' } });
+  assert.equal(updated.status, 200);
+  assert.equal(updated.body.machine, 'MC27');
+});